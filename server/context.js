@@ -0,0 +1,353 @@
+/**
+ * Builds the model's user prompt from the org chart context the client sends
+ * The client only sends structured data (src/utils/orgChartContext.js); the
+ * prompt text is assembled here from capped fields, so /api/interpret can't be
+ * used to send the model arbitrary prompts.
+ */
+
+const MAX_TEXT_LENGTH = 200;
+
+export const CONTEXT_LIMITS = {
+  people: 2000,
+  departments: 200,
+  roles: 1000,
+  periods: 100
+};
+
+function text(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function list(value, limit, mapItem) {
+  return Array.isArray(value)
+    ? value.slice(0, limit).filter(item => item && typeof item === 'object').map(mapItem).filter(item => item.id)
+    : [];
+}
+
+/**
+ * Keep the known, size-capped fields of the context sent with a command
+ * @param {*} raw - Request body's context field
+ * @returns {Object|null} { selectedQuarter, periods, departments, personNodes, roleTemplates },
+ *   or null when it isn't an object
+ */
+export function sanitizeContext(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const periods = Array.isArray(raw.periods)
+    ? raw.periods.slice(0, CONTEXT_LIMITS.periods).map(text).filter(Boolean)
+    : [];
+
+  return {
+    selectedQuarter: text(raw.selectedQuarter),
+    periods,
+    departments: list(raw.departments, CONTEXT_LIMITS.departments, d => ({
+      id: text(d.id),
+      name: text(d.name),
+      displayName: text(d.displayName)
+    })),
+    personNodes: list(raw.people, CONTEXT_LIMITS.people, p => ({
+      id: text(p.id),
+      displayName: text(p.displayName),
+      roleName: text(p.roleName),
+      department: text(p.department),
+      managerId: text(p.managerId) || null,
+      isCustom: p.isCustom === true
+    })),
+    roleTemplates: list(raw.roles, CONTEXT_LIMITS.roles, r => ({
+      id: text(r.id),
+      cleanName: text(r.cleanName),
+      department: text(r.department),
+      quarters: Object.fromEntries(periods.map(period => [
+        period,
+        Math.min(Math.max(parseInt(r.quarters?.[period], 10) || 0, 0), 100000)
+      ]))
+    }))
+  };
+}
+
+/**
+ * Get a summary of roles and their counts
+ * @param {Array} personNodes - Array of person nodes
+ * @returns {Array} Role summary with name and count
+ */
+export function getRoleSummary(personNodes) {
+  const roleCounts = {};
+
+  personNodes.forEach(node => {
+    const roleName = node.roleName;
+    if (!roleCounts[roleName]) {
+      roleCounts[roleName] = { roleName, count: 0, ids: [] };
+    }
+    roleCounts[roleName].count++;
+    roleCounts[roleName].ids.push(node.id);
+  });
+
+  return Object.values(roleCounts).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build a map of managers and their direct reports by department
+ * @param {Array} personNodes - Array of person nodes
+ * @param {Object} managerAssignments - Map of personId -> managerId
+ * @returns {Object} Manager hierarchy information
+ */
+export function buildManagerHierarchy(personNodes, managerAssignments) {
+  // Build a map of managerId -> list of direct reports
+  const managerToReports = {};
+
+  // Track who has direct reports (these are managers)
+  Object.entries(managerAssignments).forEach(([personId, managerId]) => {
+    if (!managerToReports[managerId]) {
+      managerToReports[managerId] = [];
+    }
+    const person = personNodes.find(p => p.id === personId);
+    if (person) {
+      managerToReports[managerId].push({
+        id: person.id,
+        name: person.displayName,
+        role: person.roleName,
+        department: person.department
+      });
+    }
+  });
+
+  // Build manager info with their teams
+  const managers = [];
+  Object.entries(managerToReports).forEach(([managerId, reports]) => {
+    const manager = personNodes.find(p => p.id === managerId);
+    if (manager) {
+      // Group reports by role
+      const roleGroups = {};
+      reports.forEach(r => {
+        if (!roleGroups[r.role]) {
+          roleGroups[r.role] = 0;
+        }
+        roleGroups[r.role]++;
+      });
+
+      managers.push({
+        id: manager.id,
+        name: manager.displayName,
+        role: manager.roleName,
+        department: manager.department,
+        directReportCount: reports.length,
+        reportsByRole: roleGroups
+      });
+    }
+  });
+
+  // Sort by number of direct reports (most active managers first)
+  return managers.sort((a, b) => b.directReportCount - a.directReportCount);
+}
+
+/**
+ * Get department managers - people who manage others in each department
+ * @param {Array} personNodes - Array of person nodes
+ * @param {Object} managerAssignments - Map of personId -> managerId
+ * @returns {Object} Map of departmentId -> array of managers
+ */
+export function getDepartmentManagers(personNodes, managerAssignments) {
+  const deptManagers = {};
+
+  // Find who manages people in each department
+  Object.entries(managerAssignments).forEach(([personId, managerId]) => {
+    const person = personNodes.find(p => p.id === personId);
+    const manager = personNodes.find(p => p.id === managerId);
+
+    if (person && manager) {
+      const dept = person.department;
+      if (!deptManagers[dept]) {
+        deptManagers[dept] = {};
+      }
+      if (!deptManagers[dept][managerId]) {
+        deptManagers[dept][managerId] = {
+          id: manager.id,
+          name: manager.displayName,
+          role: manager.roleName,
+          department: manager.department,
+          managesInDept: 0
+        };
+      }
+      deptManagers[dept][managerId].managesInDept++;
+    }
+  });
+
+  // Convert to sorted arrays
+  const result = {};
+  Object.entries(deptManagers).forEach(([dept, managers]) => {
+    result[dept] = Object.values(managers).sort((a, b) => b.managesInDept - a.managesInDept);
+  });
+
+  return result;
+}
+
+/**
+ * Format person nodes for Claude context (limited to avoid token overflow)
+ * @param {Array} personNodes - Array of person nodes
+ * @param {number} limit - Max number of nodes to include
+ * @returns {string} Formatted person nodes
+ */
+export function formatPersonNodes(personNodes, limit = 100) {
+  const nodes = personNodes.slice(0, limit);
+
+  const formatted = nodes.map(p =>
+    `- ${p.displayName} (id: "${p.id}", role: "${p.roleName}", dept: "${p.department}", manager: ${p.managerId ? `"${p.managerId}"` : 'none'}, isCustom: ${p.isCustom || false})`
+  ).join('\n');
+
+  if (personNodes.length > limit) {
+    return `${formatted}\n... and ${personNodes.length - limit} more people`;
+  }
+
+  return formatted;
+}
+
+/**
+ * Format departments for Claude context
+ * @param {Array} departments - Array of department objects
+ * @returns {string} Formatted departments
+ */
+export function formatDepartments(departments) {
+  return departments.map(d =>
+    `- ${d.displayName || d.name} (id: "${d.id}")`
+  ).join('\n');
+}
+
+/**
+ * Format role templates with their planned headcount for Claude context
+ * Only periods where the headcount changes are listed, to keep the prompt short.
+ * @param {Array} roleTemplates - Array of role template objects
+ * @param {Array<string>} timeline - Ordered period IDs
+ * @param {number} limit - Max number of roles to include
+ * @returns {string} Formatted roles
+ */
+export function formatRoleTemplates(roleTemplates, timeline, limit = 100) {
+  const formatted = roleTemplates.slice(0, limit).map(t => {
+    let previous = 0;
+    const changes = [];
+    timeline.forEach(period => {
+      const count = t.quarters[period] || 0;
+      if (count !== previous) {
+        changes.push(`${period}: ${count}`);
+        previous = count;
+      }
+    });
+    return `- ${t.cleanName} (roleId: "${t.id}", dept: "${t.department}", headcount from ${changes.join(', ') || 'none'})`;
+  }).join('\n');
+
+  if (roleTemplates.length > limit) {
+    return `${formatted}\n... and ${roleTemplates.length - limit} more roles`;
+  }
+
+  return formatted;
+}
+
+/**
+ * Build the complete context object for Claude
+ * @param {Object} context - Context from sanitizeContext
+ * @returns {Object} Context object with all relevant information
+ */
+export function buildOrgChartContext(context) {
+  const { departments, personNodes, selectedQuarter, roleTemplates, periods } = context;
+  const managerAssignments = Object.fromEntries(
+    personNodes.filter(p => p.managerId).map(p => [p.id, p.managerId])
+  );
+
+  const roleSummary = getRoleSummary(personNodes);
+  const managerHierarchy = buildManagerHierarchy(personNodes, managerAssignments);
+  const departmentManagers = getDepartmentManagers(personNodes, managerAssignments);
+
+  return {
+    departments,
+    personNodes,
+    selectedQuarter,
+    managerAssignments,
+    roleTemplates,
+    periods,
+    roleSummary,
+    managerHierarchy,
+    departmentManagers,
+    stats: {
+      totalPeople: personNodes.length,
+      totalDepartments: departments.length,
+      totalRoles: roleSummary.length,
+      assignedManagers: Object.keys(managerAssignments).length
+    }
+  };
+}
+
+/**
+ * Format manager hierarchy for Claude context
+ * @param {Array} managerHierarchy - Array of manager info objects
+ * @param {number} limit - Max number of managers to include
+ * @returns {string} Formatted manager hierarchy
+ */
+function formatManagerHierarchy(managerHierarchy, limit = 30) {
+  const managers = managerHierarchy.slice(0, limit);
+
+  const formatted = managers.map(m => {
+    const roleBreakdown = Object.entries(m.reportsByRole)
+      .map(([role, count]) => `${count} ${role}`)
+      .join(', ');
+    return `- ${m.name} (id: "${m.id}", role: "${m.role}", dept: "${m.department}") manages ${m.directReportCount} people: ${roleBreakdown}`;
+  }).join('\n');
+
+  if (managerHierarchy.length > limit) {
+    return `${formatted}\n... and ${managerHierarchy.length - limit} more managers`;
+  }
+
+  return formatted;
+}
+
+/**
+ * Format department managers for Claude context
+ * @param {Object} departmentManagers - Map of dept -> managers
+ * @returns {string} Formatted department managers
+ */
+function formatDepartmentManagers(departmentManagers) {
+  return Object.entries(departmentManagers).map(([dept, managers]) => {
+    const topManagers = managers.slice(0, 3);
+    const managerList = topManagers.map(m =>
+      `${m.name} (id: "${m.id}", manages ${m.managesInDept} in dept)`
+    ).join(', ');
+    return `- ${dept}: ${managerList}`;
+  }).join('\n');
+}
+
+/**
+ * Build the user prompt with org chart context
+ * @param {string} command - The user's text command
+ * @param {Object} context - The org chart context
+ * @returns {string} Formatted user prompt
+ */
+export function buildUserPrompt(command, context) {
+  const { departments, personNodes, roleTemplates, periods, roleSummary, stats, selectedQuarter, managerHierarchy, departmentManagers } = context;
+
+  return `Current org chart state (Quarter: ${selectedQuarter}):
+
+Departments:
+${formatDepartments(departments)}
+
+People (${stats.totalPeople} total):
+${formatPersonNodes(personNodes)}
+
+Role summary:
+${roleSummary.slice(0, 100).map(r => `- ${r.roleName}: ${r.count} people`).join('\n')}
+
+Roles from the headcount plan (periods: ${periods.join(', ')}):
+${formatRoleTemplates(roleTemplates, periods)}
+
+Manager hierarchy (who manages whom):
+${formatManagerHierarchy(managerHierarchy)}
+
+Department managers (who manages people in each department):
+${formatDepartmentManagers(departmentManagers)}
+
+Stats:
+- Total people: ${stats.totalPeople}
+- Total departments: ${stats.totalDepartments}
+- People with managers assigned: ${stats.assignedManagers}
+
+User command: "${command}"
+
+Parse this command and return the structured JSON response.`;
+}
@@ -0,0 +1,216 @@
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import serveHandler from 'serve-handler';
+import { createInterpreterFromEnv } from './interpreters.js';
+import { createRateLimiter } from './rateLimit.js';
+import { sanitizeContext, buildOrgChartContext, buildUserPrompt } from './context.js';
+
+/**
+ * Production server: the built app (like `serve -s dist`) plus /api/interpret,
+ * which holds the Anthropic key so it never ships in the browser bundle
+ * The endpoint is public, so everything sent to the model is built here from
+ * capped, structured input, and requests are limited per IP and server-wide.
+ */
+
+const MAX_BODY_BYTES = 512 * 1024;
+const MAX_COMMAND_LENGTH = 1000;
+const MAX_HISTORY_TURNS = 6;
+const MAX_RESPONSE_LENGTH = 8000;
+const OUTCOME_STATUSES = ['executed', 'failed', 'cancelled'];
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = Object.assign(new Error('Request body too large'), { status: 413 });
+    if (parseInt(req.headers['content-length'] || '0', 10) > MAX_BODY_BYTES) {
+      reject(tooLarge);
+      return;
+    }
+
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; the connection is closed once the 413 has been sent
+        req.removeAllListeners('data');
+        req.pause();
+        reject(tooLarge);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function clip(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_COMMAND_LENGTH) : '';
+}
+
+/**
+ * Rebuild an earlier interpreter response from its known fields
+ * @param {*} response - Response as sent back by the client
+ * @returns {Object|null} { success, command } or { success: false, error, suggestions },
+ *   or null when it's malformed or too long to resend
+ */
+function sanitizeResponse(response) {
+  if (!response || typeof response !== 'object') return null;
+
+  let clean;
+  if (response.success === true) {
+    const { command } = response;
+    if (!command || typeof command !== 'object' || typeof command.type !== 'string') return null;
+    clean = {
+      success: true,
+      command: { type: clip(command.type), description: clip(command.description), params: command.params ?? null }
+    };
+  } else {
+    clean = {
+      success: false,
+      error: clip(response.error),
+      suggestions: Array.isArray(response.suggestions) ? response.suggestions.slice(0, 5).map(clip) : []
+    };
+  }
+
+  return JSON.stringify(clean).length <= MAX_RESPONSE_LENGTH ? clean : null;
+}
+
+/**
+ * Keep the well-formed turns of a conversation sent by the command bar
+ * @param {*} history - Request body's history field
+ * @returns {Array} Up to MAX_HISTORY_TURNS { command, response, outcome } turns
+ */
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+
+  return history
+    .slice(-MAX_HISTORY_TURNS)
+    .filter(turn => turn && typeof turn.command === 'string' && turn.command.length <= MAX_COMMAND_LENGTH)
+    .map(({ command, response, outcome }) => ({
+      command,
+      response: sanitizeResponse(response),
+      outcome: outcome && OUTCOME_STATUSES.includes(outcome.status)
+        ? { status: outcome.status, message: clip(outcome.message) }
+        : null
+    }))
+    .filter(turn => turn.response);
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options
+ * @param {Function} options.interpret - Interpreter from interpreters.js
+ * @param {string} options.interpreterName - Reported by /api/health
+ * @param {Function} options.ipLimiter - Rate limiter keyed by client IP
+ * @param {Function} options.globalLimiter - Rate limiter for all requests together, capping API spend
+ * @param {string} options.staticDir - Built app to serve
+ * @param {boolean} options.trustProxy - Take the client IP from X-Forwarded-For (behind a hosting proxy)
+ * @returns {Function} (req, res) handler
+ */
+export function createHandler({ interpret, interpreterName, ipLimiter, globalLimiter, staticDir, trustProxy = false }) {
+  const handleInterpret = async (req, res) => {
+    const forwardedFor = trustProxy && String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    const ip = forwardedFor || req.socket.remoteAddress || 'unknown';
+
+    let body;
+    try {
+      body = await readJSONBody(req);
+    } catch (error) {
+      if (error.status === 413) {
+        res.on('finish', () => req.destroy());
+        sendJSON(res, 413, { success: false, error: error.message }, { Connection: 'close' });
+        return;
+      }
+      sendJSON(res, error.status || 400, { success: false, error: error.message });
+      return;
+    }
+
+    const { command, history } = body;
+    if (typeof command !== 'string' || !command.trim() || command.length > MAX_COMMAND_LENGTH) {
+      sendJSON(res, 400, { success: false, error: `Command must be 1-${MAX_COMMAND_LENGTH} characters` });
+      return;
+    }
+    const context = sanitizeContext(body.context);
+    if (!context) {
+      sendJSON(res, 400, { success: false, error: 'Org chart context is required' });
+      return;
+    }
+    const prompt = buildUserPrompt(command, buildOrgChartContext(context));
+
+    // Only well-formed commands count against the limits, since only they reach the model
+    for (const limit of [ipLimiter(`ip:${ip}`), globalLimiter('all')]) {
+      if (!limit.allowed) {
+        const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+        sendJSON(res, 429, {
+          success: false,
+          error: `Too many commands. Try again in ${retryAfter} seconds.`
+        }, { 'Retry-After': String(retryAfter) });
+        return;
+      }
+    }
+
+    try {
+      sendJSON(res, 200, await interpret(command, prompt, sanitizeHistory(history)));
+    } catch (error) {
+      console.error('Interpreter error:', error);
+      sendJSON(res, 502, { success: false, error: `Failed to interpret command: ${error.message}` });
+    }
+  };
+
+  return (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/api/interpret') {
+      if (req.method !== 'POST') {
+        sendJSON(res, 405, { success: false, error: 'Use POST' }, { Allow: 'POST' });
+        return;
+      }
+      handleInterpret(req, res);
+      return;
+    }
+    if (pathname === '/api/health') {
+      sendJSON(res, 200, { ok: true, interpreter: interpreterName });
+      return;
+    }
+    if (pathname.startsWith('/api/')) {
+      sendJSON(res, 404, { success: false, error: 'Not found' });
+      return;
+    }
+
+    // Single-page app: unknown paths get index.html, as with `serve -s`
+    serveHandler(req, res, { public: staticDir, rewrites: [{ source: '**', destination: '/index.html' }] });
+  };
+}
+
+// Start listening when run directly (`npm start`)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const env = process.env;
+  const { name, interpret } = createInterpreterFromEnv(env);
+  const windowMs = 60 * 1000;
+  const handler = createHandler({
+    interpret,
+    interpreterName: name,
+    ipLimiter: createRateLimiter({ max: parseInt(env.RATE_LIMIT_PER_IP || '20', 10), windowMs }),
+    globalLimiter: createRateLimiter({ max: parseInt(env.RATE_LIMIT_GLOBAL || '300', 10), windowMs }),
+    staticDir: path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist'),
+    trustProxy: env.TRUST_PROXY === 'true'
+  });
+
+  const port = parseInt(env.PORT || '3000', 10);
+  http.createServer(handler).listen(port, () => {
+    console.log(`Org chart server on http://localhost:${port} (interpreter: ${name})`);
+  });
+}
@@ -0,0 +1,123 @@
+import { readFileSync } from 'node:fs';
+import { buildSystemPrompt, buildMessages, parseCommandResponse } from './prompt.js';
+
+/**
+ * Command interpreters behind /api/interpret
+ * Each interpreter is an async function (command, prompt, history) => command
+ * response, in the { success, command } / { success: false, error } shape the
+ * client expects. history holds the session's earlier { command, response, outcome } turns.
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Interpreter that asks the Anthropic API, holding the key server-side
+ * @param {Object} options
+ * @param {string} options.apiKey - Anthropic API key
+ * @param {string} options.model - Model name
+ * @param {number} options.timeoutMs - How long to wait for the API before falling back
+ * @param {Function} options.fallback - Interpreter to answer with when the API times out
+ * @returns {Function} Interpreter
+ */
+export function createAnthropicInterpreter({ apiKey, model = DEFAULT_MODEL, timeoutMs = DEFAULT_TIMEOUT_MS, fallback }) {
+  const systemPrompt = buildSystemPrompt();
+
+  const requestCommand = async (prompt, history) => {
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: 2048,
+        system: systemPrompt,
+        messages: buildMessages(prompt, history)
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error?.message || `API request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return parseCommandResponse(data.content[0]?.text || '');
+  };
+
+  return async (command, prompt, history = []) => {
+    try {
+      return await requestCommand(prompt, history);
+    } catch (error) {
+      if (error.name !== 'TimeoutError' || !fallback) throw error;
+
+      // A canned answer still helps; otherwise say the model was slow rather than that it's off
+      const response = await fallback(command, prompt, history);
+      if (response.success) return response;
+      return {
+        ...response,
+        error: `The model didn't answer within ${Math.round(timeoutMs / 1000)} seconds. Try again, or split the command into smaller steps.`
+      };
+    }
+  };
+}
+
+/**
+ * Offline interpreter for development and tests
+ * Answers from a JSON file of { "command text": response } when one is given
+ * (matched case-insensitively), and otherwise explains that no model is set up.
+ * @param {Object} options
+ * @param {string} options.responsesFile - Optional path to canned responses
+ * @returns {Function} Interpreter
+ */
+export function createStubInterpreter({ responsesFile } = {}) {
+  const responses = {};
+  if (responsesFile) {
+    const canned = JSON.parse(readFileSync(responsesFile, 'utf8'));
+    Object.entries(canned).forEach(([command, response]) => {
+      responses[command.trim().toLowerCase()] = response;
+    });
+  }
+
+  return async (command) => {
+    const response = responses[command.trim().toLowerCase()];
+    if (response) return response;
+
+    return {
+      success: false,
+      error: 'The command interpreter is running in stub mode, so only canned commands are understood. Set ANTHROPIC_API_KEY on the server to use the model.',
+      suggestions: Object.keys(responses).slice(0, 5)
+    };
+  };
+}
+
+/**
+ * Pick the interpreter from environment variables
+ * INTERPRETER=stub forces the stub; otherwise ANTHROPIC_API_KEY selects the
+ * Anthropic interpreter and its absence falls back to the stub. The stub also
+ * answers when the API takes longer than INTERPRET_TIMEOUT_MS.
+ * @param {Object} env - process.env
+ * @returns {{name: string, interpret: Function}}
+ */
+export function createInterpreterFromEnv(env) {
+  const stub = createStubInterpreter({ responsesFile: env.INTERPRETER_STUB_RESPONSES });
+
+  if (env.INTERPRETER !== 'stub' && env.ANTHROPIC_API_KEY) {
+    return {
+      name: 'anthropic',
+      interpret: createAnthropicInterpreter({
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.ANTHROPIC_MODEL,
+        timeoutMs: env.INTERPRET_TIMEOUT_MS ? parseInt(env.INTERPRET_TIMEOUT_MS, 10) : undefined,
+        fallback: stub
+      })
+    };
+  }
+
+  return { name: 'stub', interpret: stub };
+}
@@ -0,0 +1,37 @@
+/**
+ * Fixed-window rate limiter kept in memory
+ * Good enough for a single server process; counts reset when it restarts.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per key in each window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {Function} check(key, now?) => { allowed, remaining, retryAfterMs }
+ */
+export function createRateLimiter({ max, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  return (key, now = Date.now()) => {
+    // Drop expired windows so the map doesn't grow with every visitor
+    if (windows.size > 10000) {
+      windows.forEach((window, k) => {
+        if (now - window.start >= windowMs) windows.delete(k);
+      });
+    }
+
+    let window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(key, window);
+    }
+
+    if (window.count >= max) {
+      return { allowed: false, remaining: 0, retryAfterMs: window.start + windowMs - now };
+    }
+
+    window.count++;
+    return { allowed: true, remaining: max - window.count, retryAfterMs: 0 };
+  };
+}
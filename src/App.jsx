@@ -63,7 +63,7 @@ function App() {
           ) : (
             <div className="welcome">
               <h2>Welcome to Org Chart Builder</h2>
-              <p>Upload your CSV file to begin building your 2026 organizational chart.</p>
+              <p>Upload your CSV or Excel file to begin planning your organizational chart across 2025–2027.</p>
               <ul>
                 <li>Visualize quarterly headcount growth</li>
                 <li>Assign manager relationships</li>
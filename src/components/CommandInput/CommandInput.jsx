@@ -1,13 +1,49 @@
-import { useState } from 'react';
-import { MessageSquare, Send, Loader2, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { useState, useRef, useEffect } from 'react';
+import { MessageSquare, Send, Loader2, X, CheckCircle, AlertCircle, History, HelpCircle, Ban, Clock } from 'lucide-react';
 import { useOrgChartStore } from '../../stores/orgChartStore';
 import { interpretCommand, isDestructiveCommand } from '../../services/claudeCommandService';
 import { executeCommand, getCommandPreview } from '../../services/commandExecutor';
 import CommandPreview from './CommandPreview';
 import './CommandInput.css';
 
+/**
+ * Where a transcript turn ended up
+ * @returns {string} 'unclear' | 'pending' | 'executed' | 'failed' | 'cancelled'
+ */
+function getTurnStatus(turn) {
+  if (!turn.response.success) return 'unclear';
+  return turn.outcome?.status || 'pending';
+}
+
+/**
+ * One-line result for a transcript turn in the history panel
+ */
+function getTurnSummary(turn) {
+  const description = turn.response.command?.description;
+  switch (getTurnStatus(turn)) {
+    case 'unclear':
+      return turn.response.error;
+    case 'pending':
+      return `${description} (waiting for confirmation)`;
+    case 'cancelled':
+      return `Cancelled: ${description}`;
+    default:
+      return turn.outcome.message;
+  }
+}
+
+const TURN_ICONS = {
+  unclear: HelpCircle,
+  pending: Clock,
+  executed: CheckCircle,
+  failed: AlertCircle,
+  cancelled: Ban
+};
+
 /**
  * CommandInput - Natural language command input for org chart modifications
+ * Keeps a transcript of the session's commands, so follow-ups like "no, the
+ * second one" can refer back to earlier ones.
  */
 function CommandInput() {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -17,37 +53,66 @@ function CommandInput() {
   const [preview, setPreview] = useState(null);
   const [feedback, setFeedback] = useState(null); // { type: 'success' | 'error', message }
   const [error, setError] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [transcript, setTranscript] = useState([]); // { id, command, response, outcome }
+  const [pendingTurnId, setPendingTurnId] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const nextTurnId = useRef(1);
+  const historyListRef = useRef(null);
+  const feedbackTimerRef = useRef(null);
 
   // Get store state for context
   const storeState = useOrgChartStore();
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!command.trim() || phase === 'processing') return;
+  const isBusy = phase === 'processing' || phase === 'executing';
 
+  // Keep the latest turn in view
+  useEffect(() => {
+    if (showHistory && historyListRef.current) {
+      historyListRef.current.scrollTop = historyListRef.current.scrollHeight;
+    }
+  }, [transcript, showHistory]);
+
+  // Don't let a pending auto-dismiss fire after unmount
+  useEffect(() => () => clearTimeout(feedbackTimerRef.current), []);
+
+  const setTurnOutcome = (turnId, outcome) => {
+    setTranscript(turns => turns.map(turn => (turn.id === turnId ? { ...turn, outcome } : turn)));
+  };
+
+  const submitCommand = async (text) => {
+    const trimmed = text.trim();
+    if (!trimmed || isBusy) return;
+
+    // A new command replaces the last one's feedback, so its auto-dismiss mustn't reset this one
+    clearTimeout(feedbackTimerRef.current);
+    setCommand(trimmed);
     setPhase('processing');
     setError(null);
+    setSuggestions([]);
     setFeedback(null);
 
     try {
-      // Call Claude to interpret the command
-      const result = await interpretCommand(command.trim(), storeState);
+      // Parse locally when possible, otherwise ask the model with the session so far
+      const result = await interpretCommand(trimmed, storeState, transcript);
+
+      const turnId = nextTurnId.current++;
+      setTranscript(turns => [...turns, { id: turnId, command: trimmed, response: result, outcome: null }]);
 
       if (!result.success) {
         setError(result.error);
-        if (result.suggestions) {
-          setError(`${result.error}\n\nSuggestions:\n${result.suggestions.map(s => `- ${s}`).join('\n')}`);
-        }
+        setSuggestions(result.suggestions || []);
         setPhase('idle');
         return;
       }
 
       // Store the parsed command
       setParsedCommand(result.command);
+      setPendingTurnId(turnId);
 
       // Get preview information
       const commandPreview = getCommandPreview(result.command);
-      setPreview(commandPreview);
+      setPreview({ ...commandPreview, source: result.source });
 
       // If destructive, show confirmation modal
       if (isDestructiveCommand(result.command.type)) {
@@ -62,6 +127,11 @@ function CommandInput() {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCommand(command);
+  };
+
   const handleConfirm = async () => {
     if (!parsedCommand) return;
 
@@ -70,6 +140,10 @@ function CommandInput() {
     try {
       const result = executeCommand(parsedCommand);
 
+      setTurnOutcome(pendingTurnId, {
+        status: result.success ? 'executed' : 'failed',
+        message: result.message
+      });
       setFeedback({
         type: result.success ? 'success' : 'error',
         message: result.message
@@ -81,15 +155,18 @@ function CommandInput() {
         setParsedCommand(null);
         setPreview(null);
       }
+      setPendingTurnId(null);
 
       setPhase('complete');
 
       // Auto-dismiss feedback after 5 seconds
-      setTimeout(() => {
+      clearTimeout(feedbackTimerRef.current);
+      feedbackTimerRef.current = setTimeout(() => {
         setFeedback(null);
         setPhase('idle');
       }, 5000);
     } catch (err) {
+      setTurnOutcome(pendingTurnId, { status: 'failed', message: err.message });
       setFeedback({
         type: 'error',
         message: err.message
@@ -99,20 +176,29 @@ function CommandInput() {
   };
 
   const handleCancel = () => {
+    setTurnOutcome(pendingTurnId, { status: 'cancelled', message: '' });
     setParsedCommand(null);
     setPreview(null);
+    setPendingTurnId(null);
     setPhase('idle');
   };
 
   const handleClear = () => {
     setCommand('');
     setError(null);
+    setSuggestions([]);
     setFeedback(null);
     setParsedCommand(null);
     setPreview(null);
+    setPendingTurnId(null);
     setPhase('idle');
   };
 
+  const handleNewConversation = () => {
+    handleClear();
+    setTranscript([]);
+  };
+
   const dismissFeedback = () => {
     setFeedback(null);
     if (phase === 'complete') {
@@ -143,8 +229,10 @@ function CommandInput() {
               type="text"
               value={command}
               onChange={(e) => setCommand(e.target.value)}
-              placeholder="Type a command... (e.g., 'Add a VP of Engineering')"
-              disabled={phase === 'processing' || phase === 'executing'}
+              placeholder={transcript.length > 0
+                ? "Type a command or a follow-up... (e.g., 'also do the same for SAs')"
+                : "Type a command... (e.g., 'Add a VP of Engineering')"}
+              disabled={isBusy}
               autoFocus
             />
             {command && (
@@ -152,7 +240,7 @@ function CommandInput() {
                 type="button"
                 className="clear-button"
                 onClick={handleClear}
-                disabled={phase === 'processing' || phase === 'executing'}
+                disabled={isBusy}
               >
                 <X size={16} />
               </button>
@@ -161,7 +249,7 @@ function CommandInput() {
           <button
             type="submit"
             className="submit-button"
-            disabled={!command.trim() || phase === 'processing' || phase === 'executing'}
+            disabled={!command.trim() || isBusy}
           >
             {phase === 'processing' ? (
               <Loader2 size={18} className="spin" />
@@ -169,6 +257,15 @@ function CommandInput() {
               <Send size={18} />
             )}
           </button>
+          <button
+            type="button"
+            className={`collapse-button command-history-toggle ${showHistory ? 'active' : ''}`}
+            onClick={() => setShowHistory(!showHistory)}
+            title="Commands this session"
+          >
+            <History size={18} />
+            {transcript.length > 0 && <span className="command-history-count">{transcript.length}</span>}
+          </button>
           <button
             type="button"
             className="collapse-button"
@@ -190,12 +287,28 @@ function CommandInput() {
           <div className="command-status error">
             <AlertCircle size={16} />
             <span>{error}</span>
-            <button onClick={() => setError(null)}>
+            <button onClick={() => { setError(null); setSuggestions([]); }}>
               <X size={14} />
             </button>
           </div>
         )}
 
+        {suggestions.length > 0 && (
+          <div className="command-suggestions">
+            <span>Did you mean:</span>
+            {suggestions.map((suggestion, index) => (
+              <button
+                key={index}
+                className="command-suggestion"
+                onClick={() => submitCommand(suggestion)}
+                disabled={isBusy}
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        )}
+
         {feedback && (
           <div className={`command-status ${feedback.type}`}>
             {feedback.type === 'success' ? (
@@ -209,6 +322,45 @@ function CommandInput() {
             </button>
           </div>
         )}
+
+        {showHistory && (
+          <div className="command-history">
+            <div className="command-history-header">
+              <span>This session</span>
+              <button onClick={handleNewConversation} disabled={isBusy || transcript.length === 0}>
+                New conversation
+              </button>
+            </div>
+            {transcript.length === 0 ? (
+              <p className="command-history-empty">
+                Commands you run appear here. Follow-ups like &quot;no, the second one&quot; refer back to them.
+              </p>
+            ) : (
+              <ol className="command-history-list" ref={historyListRef}>
+                {transcript.map(turn => {
+                  const status = getTurnStatus(turn);
+                  const Icon = TURN_ICONS[status];
+                  return (
+                    <li key={turn.id} className={`command-history-item ${status}`}>
+                      <button
+                        className="command-history-command"
+                        onClick={() => setCommand(turn.command)}
+                        disabled={isBusy}
+                        title="Edit and run again"
+                      >
+                        {turn.command}
+                      </button>
+                      <div className="command-history-result">
+                        <Icon size={14} />
+                        <span>{getTurnSummary(turn)}</span>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+          </div>
+        )}
       </div>
 
       <CommandPreview
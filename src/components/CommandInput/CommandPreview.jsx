@@ -1,4 +1,7 @@
-import { X, AlertTriangle, Check, Loader2, Plus, Trash2, UserPlus, UserMinus } from 'lucide-react';
+import {
+  X, AlertTriangle, Check, Loader2, Plus, Trash2, UserPlus, UserMinus, ListOrdered,
+  Pencil, ArrowRightLeft, GitBranch, Users, LocateFixed, ChevronsDownUp, ChevronsUpDown
+} from 'lucide-react';
 
 /**
  * Get icon for command type
@@ -16,6 +19,23 @@ function getCommandIcon(type) {
     case 'REMOVE_MANAGER':
     case 'BULK_REMOVE_MANAGER':
       return <UserMinus size={20} />;
+    case 'PLAN':
+      return <ListOrdered size={20} />;
+    case 'RENAME_ROLE':
+    case 'RENAME_DEPARTMENT':
+      return <Pencil size={20} />;
+    case 'MOVE_ROLE_TO_DEPARTMENT':
+      return <ArrowRightLeft size={20} />;
+    case 'MOVE_SUBTREE':
+      return <GitBranch size={20} />;
+    case 'SET_HEADCOUNT':
+      return <Users size={20} />;
+    case 'FOCUS':
+      return <LocateFixed size={20} />;
+    case 'COLLAPSE':
+      return <ChevronsDownUp size={20} />;
+    case 'EXPAND':
+      return <ChevronsUpDown size={20} />;
     default:
       return <Check size={20} />;
   }
@@ -33,7 +53,9 @@ function CommandPreview({
 }) {
   if (!isOpen || !preview) return null;
 
-  const { type, description, isDestructive, affectedCount, details } = preview;
+  const { type, description, isDestructive, affectedCount, details, steps, source } = preview;
+  const deletesRoles = type === 'DELETE_ROLE' || (steps || []).some(step => step.type === 'DELETE_ROLE');
+  const confirmLabel = deletesRoles ? 'Confirm Delete' : isDestructive ? 'Confirm Changes' : 'Confirm';
 
   return (
     <div className="modal-overlay" onClick={onCancel}>
@@ -57,7 +79,7 @@ function CommandPreview({
           {isDestructive && (
             <div className="warning-banner">
               <AlertTriangle size={20} />
-              <span>This action cannot be undone</span>
+              <span>You can undo this change with Ctrl+Z</span>
             </div>
           )}
 
@@ -68,6 +90,9 @@ function CommandPreview({
                 {affectedCount} {affectedCount === 1 ? 'person' : 'people'} affected
               </span>
             )}
+            {source === 'local' && (
+              <span className="affected-count command-source">Matched offline</span>
+            )}
           </div>
 
           {details && details.length > 0 && (
@@ -80,6 +105,30 @@ function CommandPreview({
               </ul>
             </div>
           )}
+
+          {steps && steps.length > 0 && (
+            <div className="command-details">
+              <h4>Steps</h4>
+              <ol className="command-steps">
+                {steps.map((step, index) => (
+                  <li key={index} className={step.isDestructive ? 'destructive' : ''}>
+                    <span className="command-step-number">{index + 1}</span>
+                    <div className="command-step-body">
+                      <p>{step.description || step.type}</p>
+                      {step.details.length > 0 && (
+                        <ul>
+                          {step.details.map((detail, detailIndex) => (
+                            <li key={detailIndex}>{detail}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+              <p className="command-steps-note">Steps run in order. If any step fails, none are applied.</p>
+            </div>
+          )}
         </div>
 
         <div className="modal-footer">
@@ -103,7 +152,7 @@ function CommandPreview({
             ) : (
               <>
                 <Check size={16} />
-                <span>{isDestructive ? 'Confirm Delete' : 'Confirm'}</span>
+                <span>{confirmLabel}</span>
               </>
             )}
           </button>
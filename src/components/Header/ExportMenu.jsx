@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import { Download, ChevronDown } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { formatPeriod } from '../../utils/periods';
+import { exportChartImage, exportChartPdf } from '../../utils/chartExport';
+import { toFlatCSV } from '../../utils/flatExport';
+import { downloadUrl, downloadBlob, getExportFileName } from '../../utils/download';
+import DiagramExportModal from '../Modals/DiagramExportModal';
+import './ExportMenu.css';
+
+/**
+ * ExportMenu - Export button with a menu of data, image and PDF formats
+ */
+function ExportMenu() {
+  const { selectedQuarter } = useOrgChartStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [busyLabel, setBusyLabel] = useState(null);
+  const [isDiagramOpen, setIsDiagramOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (event) => {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const run = async (label, action) => {
+    setIsOpen(false);
+    setBusyLabel(label);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('Export failed: ' + error.message);
+    } finally {
+      setBusyLabel(null);
+    }
+  };
+
+  const exportJSON = () => {
+    const data = useOrgChartStore.getState().exportToJSON();
+    downloadBlob(JSON.stringify(data, null, 2), 'application/json', getExportFileName(selectedQuarter, 'json'));
+  };
+
+  const exportFlatFile = (allQuarters) => {
+    setIsOpen(false);
+    const rows = useOrgChartStore.getState().getFlatExportRows(allQuarters);
+    const period = allQuarters ? 'all-quarters' : selectedQuarter;
+    downloadBlob(toFlatCSV(rows), 'text/csv', getExportFileName(period, 'csv'));
+  };
+
+  const exportImage = (format, scope) => run(`Exporting ${format.toUpperCase()}...`, async () => {
+    const { nodes } = useOrgChartStore.getState();
+    const dataUrl = await exportChartImage({ format, scope, nodes });
+    downloadUrl(dataUrl, getExportFileName(selectedQuarter, format));
+  });
+
+  const exportPdf = (groupBy) => run('Exporting PDF...', async () => {
+    const state = useOrgChartStore.getState();
+    const blob = await exportChartPdf({
+      nodes: state.nodes,
+      edges: state.edges,
+      groupBy,
+      scenarioName: state.getActiveScenario().name,
+      periodLabel: formatPeriod(selectedQuarter)
+    });
+    downloadBlob(blob, 'application/pdf', getExportFileName(selectedQuarter, 'pdf'));
+  });
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        className="export-button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={Boolean(busyLabel)}
+      >
+        <Download size={18} />
+        <span>{busyLabel || 'Export'}</span>
+        <ChevronDown size={14} />
+      </button>
+
+      {isOpen && (
+        <div className="export-dropdown">
+          <div className="export-group-label">Data</div>
+          <button onClick={() => { setIsOpen(false); exportJSON(); }}>Saved state (JSON)</button>
+          <button onClick={() => exportFlatFile(false)}>Flat file (CSV) – {formatPeriod(selectedQuarter)}</button>
+          <button onClick={() => exportFlatFile(true)}>Flat file (CSV) – all quarters</button>
+
+          <div className="export-group-label">Image</div>
+          <button onClick={() => exportImage('png', 'view')}>PNG – current view</button>
+          <button onClick={() => exportImage('png', 'full')}>PNG – full chart</button>
+          <button onClick={() => exportImage('svg', 'view')}>SVG – current view</button>
+          <button onClick={() => exportImage('svg', 'full')}>SVG – full chart</button>
+
+          <div className="export-group-label">PDF</div>
+          <button onClick={() => exportPdf('manager')}>Page per top-level manager</button>
+          <button onClick={() => exportPdf('department')}>Page per department</button>
+
+          <div className="export-group-label">Diagram</div>
+          <button onClick={() => { setIsOpen(false); setIsDiagramOpen(true); }}>Mermaid, DOT or GraphML…</button>
+        </div>
+      )}
+
+      <DiagramExportModal isOpen={isDiagramOpen} onClose={() => setIsDiagramOpen(false)} />
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -1,14 +1,20 @@
 import { Upload } from 'lucide-react';
 import './FileUpload.css';
 
+// MIME types vary by browser and OS (Excel on Windows reports CSV as
+// application/vnd.ms-excel), so accept by extension
+const ACCEPTED_EXTENSIONS = ['.csv', '.xlsx', '.xlsm', '.xls'];
+
 function FileUpload({ onFileSelect, isLoading }) {
   const handleFileChange = (event) => {
     const file = event.target.files?.[0];
-    if (file && file.type === 'text/csv') {
+    if (file && ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
       onFileSelect(file);
     } else if (file) {
-      alert('Please select a valid CSV file');
+      alert('Please select a CSV or Excel (.xlsx) file');
     }
+    // Allow picking the same file again after it changes on disk
+    event.target.value = '';
   };
 
   return (
@@ -16,14 +22,14 @@ function FileUpload({ onFileSelect, isLoading }) {
       <input
         type="file"
         id="csv-upload"
-        accept=".csv"
+        accept={ACCEPTED_EXTENSIONS.join(',')}
         onChange={handleFileChange}
         disabled={isLoading}
         style={{ display: 'none' }}
       />
       <label htmlFor="csv-upload" className={`upload-button ${isLoading ? 'loading' : ''}`}>
         <Upload size={18} />
-        <span>{isLoading ? 'Loading...' : 'Upload CSV'}</span>
+        <span>{isLoading ? 'Loading...' : 'Upload CSV / Excel'}</span>
       </label>
     </div>
   );
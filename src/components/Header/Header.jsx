@@ -1,6 +1,13 @@
-import { Users, Calendar, Download, Upload, RotateCcw } from 'lucide-react';
+import { useEffect } from 'react';
+import { Users, Calendar, Upload, RotateCcw, Undo2, Redo2 } from 'lucide-react';
 import { useOrgChartStore } from '../../stores/orgChartStore';
+import { formatPeriod } from '../../utils/periods';
+import { readCSVRows } from '../../utils/csvParser';
+import { isFlatExport } from '../../utils/flatExport';
 import CommandInput from '../CommandInput/CommandInput';
+import FileUpload from './FileUpload';
+import ExportMenu from './ExportMenu';
+import CSVMappingModal from '../Modals/CSVMappingModal';
 import './Header.css';
 
 function Header() {
@@ -8,11 +15,41 @@ function Header() {
     csvFileName,
     personNodes,
     selectedQuarter,
-    exportToJSON,
     importFromJSON,
+    importFlatAssignments,
+    prepareCSVImport,
+    pendingImport,
+    getUndoEntry,
+    getRedoEntry,
+    undo,
+    redo,
+    isLoading,
     error
   } = useOrgChartStore();
 
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const lastUndo = getUndoEntry();
+  const lastRedo = getRedoEntry();
+
   const handleReset = () => {
     if (window.confirm('Are you sure you want to reset? This will clear all changes and reload the default data.')) {
       localStorage.removeItem('org-chart-storage');
@@ -20,28 +57,29 @@ function Header() {
     }
   };
 
-  const handleExport = () => {
-    const data = useOrgChartStore.getState().exportToJSON();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `org-chart-${selectedQuarter}-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  };
-
   const handleImport = () => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = '.json,.csv';
     input.onchange = async (e) => {
       const file = e.target.files[0];
       if (!file) return;
 
       try {
+        // Flat files from Export carry reporting lines only
+        if (file.name.toLowerCase().endsWith('.csv')) {
+          const rows = await readCSVRows(file);
+          if (!isFlatExport(rows)) {
+            alert('This CSV has no Seat ID and Manager ID columns. Use Upload CSV / Excel for planning sheets.');
+            return;
+          }
+          const result = importFlatAssignments(rows);
+          if (result) {
+            alert(`Imported ${result.applied} reporting lines${result.skipped ? ` (${result.skipped} skipped)` : ''}.`);
+          }
+          return;
+        }
+
         const text = await file.text();
         const jsonData = JSON.parse(text);
 
@@ -64,7 +102,7 @@ function Header() {
       <div className="header-content">
         <div className="header-left">
           <h1>Org Chart Builder</h1>
-          <span className="header-subtitle">2026 Growth Planning</span>
+          <span className="header-subtitle">Multi-Year Growth Planning</span>
         </div>
 
         <div className="header-center">
@@ -77,7 +115,7 @@ function Header() {
               <div className="header-divider"></div>
               <div className="header-info">
                 <Calendar size={16} />
-                <span>{selectedQuarter}</span>
+                <span>{formatPeriod(selectedQuarter)}</span>
               </div>
             </>
           )}
@@ -88,15 +126,31 @@ function Header() {
             <>
               <CommandInput />
 
-              <button className="import-button" onClick={handleImport} title="Import saved data">
+              <div className="history-buttons">
+                <button
+                  className="history-button"
+                  onClick={undo}
+                  disabled={!lastUndo}
+                  title={lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo'}
+                >
+                  <Undo2 size={18} />
+                </button>
+                <button
+                  className="history-button"
+                  onClick={redo}
+                  disabled={!lastRedo}
+                  title={lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                >
+                  <Redo2 size={18} />
+                </button>
+              </div>
+
+              <button className="import-button" onClick={handleImport} title="Import saved data or a flat file of reporting lines">
                 <Upload size={18} />
                 <span>Import</span>
               </button>
 
-              <button className="export-button" onClick={handleExport}>
-                <Download size={18} />
-                <span>Export</span>
-              </button>
+              <ExportMenu />
 
               <button className="reset-button" onClick={handleReset} title="Reset to default data">
                 <RotateCcw size={18} />
@@ -105,6 +159,7 @@ function Header() {
             </>
           )}
 
+          <FileUpload onFileSelect={prepareCSVImport} isLoading={isLoading} />
         </div>
       </div>
 
@@ -114,6 +169,8 @@ function Header() {
           <button onClick={() => useOrgChartStore.getState().clearError()}>✕</button>
         </div>
       )}
+
+      {pendingImport && <CSVMappingModal />}
     </header>
   );
 }
@@ -0,0 +1,307 @@
+import { useState, useMemo, useEffect } from 'react';
+import { X, Table, Check, ArrowRight } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { detectCSVMapping, getSectionRoleNames, processCSVData, normalizeName } from '../../utils/csvParser';
+import { comparePeriods, formatPeriod } from '../../utils/periods';
+import { reconcileImport } from '../../utils/importMerge';
+import ImportReport from './ImportReport';
+import ReconciliationDiff from './ReconciliationDiff';
+import './CSVMappingModal.css';
+
+/**
+ * Build a label for a column from the two header rows
+ */
+function getColumnLabel(rows, colIdx) {
+  // Year labels only appear on the first column of each block, so carry them forward
+  let yearLabel = '';
+  for (let i = colIdx; i >= 0; i--) {
+    const cell = (rows[0]?.[i] || '').trim();
+    if (cell) {
+      yearLabel = cell;
+      break;
+    }
+  }
+  const quarterLabel = (rows[1]?.[colIdx] || '').trim();
+  const label = [yearLabel, quarterLabel].filter(Boolean).join(' ');
+  return `Col ${colIdx + 1}${label ? ` – ${label}` : ''}`;
+}
+
+/**
+ * CSVMappingModal - Review and override the detected column/department mapping,
+ * then preview the validation report before anything replaces the current chart
+ */
+function CSVMappingModal() {
+  const {
+    pendingImport,
+    confirmCSVImport,
+    cancelCSVImport,
+    selectImportSheet,
+    roleTemplates,
+    departments,
+    personNodes,
+    managerAssignments,
+    seatPeople
+  } = useOrgChartStore();
+  const [mapping, setMapping] = useState(pendingImport?.mapping || null);
+  const [step, setStep] = useState('mapping'); // mapping | review
+  const hasCurrentChart = roleTemplates.length > 0;
+  const [merge, setMerge] = useState(hasCurrentChart);
+
+  // Picking another workbook sheet replaces the detected mapping
+  useEffect(() => {
+    setMapping(pendingImport?.mapping || null);
+  }, [pendingImport?.mapping]);
+
+  // Dry run of the import with the current mapping
+  const parsed = useMemo(() => {
+    if (step !== 'review' || !pendingImport || !mapping) return null;
+    return processCSVData(pendingImport.rows, mapping);
+  }, [step, pendingImport, mapping]);
+  const report = parsed?.report || null;
+
+  const reconciliation = useMemo(() => {
+    if (!parsed || !merge) return null;
+    return reconcileImport(
+      { roleTemplates, departments, personNodes, managerAssignments, seatPeople },
+      parsed
+    );
+  }, [parsed, merge, roleTemplates, departments, personNodes, managerAssignments, seatPeople]);
+
+  if (!pendingImport || !mapping) return null;
+
+  const { rows } = pendingImport;
+  const columnCount = Math.max(...rows.slice(0, 2).map(r => r.length), 0);
+  const columnOptions = Array.from({ length: columnCount }, (_, i) => i);
+
+  // Changing columns changes which rows count as headers, so re-detect sections
+  const updateColumns = (changes) => {
+    const columns = { ...mapping.columns, ...changes };
+    setMapping(detectCSVMapping(rows, { ...mapping, columns }));
+  };
+
+  const updatePeriodColumn = (period, colIdx) => {
+    updateColumns({ periods: { ...mapping.columns.periods, [period]: colIdx } });
+  };
+
+  const updateCostColumn = (year, colIdx) => {
+    updateColumns({ costs: { ...mapping.columns.costs, [year]: colIdx } });
+  };
+
+  const periods = Object.keys(mapping.columns.periods).sort(comparePeriods);
+
+  const updateDepartment = (header, changes) => {
+    setMapping({
+      ...mapping,
+      departments: mapping.departments.map(d =>
+        d.header === header ? { ...d, ...changes } : d
+      )
+    });
+  };
+
+  // processCSVData matches excluded roles by normalized name, so compare the same way
+  const isRoleExcluded = (dept, roleName) =>
+    dept.excludeRoles.some(r => normalizeName(r) === normalizeName(roleName));
+
+  const toggleRole = (dept, roleName) => {
+    const excludeRoles = isRoleExcluded(dept, roleName)
+      ? dept.excludeRoles.filter(r => normalizeName(r) !== normalizeName(roleName))
+      : [...dept.excludeRoles, roleName];
+    updateDepartment(dept.header, { excludeRoles });
+  };
+
+  const renderColumnSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value, 10))}
+      className="form-select"
+    >
+      {columnOptions.map(colIdx => (
+        <option key={colIdx} value={colIdx}>
+          {getColumnLabel(rows, colIdx)}
+        </option>
+      ))}
+    </select>
+  );
+
+  const includedCount = mapping.departments.filter(d => d.include).length;
+
+  return (
+    <div className="modal-overlay" onClick={cancelCSVImport}>
+      <div className="modal-content csv-mapping-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Table size={24} />
+            <h2>{step === 'mapping' ? 'Map CSV Columns' : 'Review Import'}</h2>
+          </div>
+          <button className="modal-close" onClick={cancelCSVImport}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="mapping-file-name">
+            {pendingImport.file.name}
+            {pendingImport.sheetName && ` – ${pendingImport.sheetName}`}
+          </p>
+
+          {step === 'review' && hasCurrentChart && (
+            <label className="mapping-merge">
+              <input
+                type="checkbox"
+                checked={merge}
+                onChange={() => setMerge(!merge)}
+              />
+              <span>Merge with current chart (keep manager assignments and custom roles)</span>
+            </label>
+          )}
+
+          {step === 'review' && reconciliation && <ReconciliationDiff reconciliation={reconciliation} />}
+
+          {step === 'review' && report && <ImportReport report={report} />}
+
+          {step === 'mapping' && (
+            <>
+              {pendingImport.sheetNames && (
+                <div className="mapping-section">
+                  <h4>Sheet</h4>
+                  <select
+                    value={pendingImport.sheetName}
+                    onChange={(e) => selectImportSheet(e.target.value)}
+                    className="form-select mapping-sheet"
+                  >
+                    {pendingImport.sheetNames.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="mapping-section">
+                <h4>Columns</h4>
+                <div className="mapping-columns">
+                  <div className="form-group">
+                    <label>Role name</label>
+                    {renderColumnSelect(mapping.columns.roleName, (colIdx) => updateColumns({ roleName: colIdx }))}
+                  </div>
+                  <div className="form-group">
+                    <label>Cost per role</label>
+                    {renderColumnSelect(mapping.columns.cost, (colIdx) => updateColumns({ cost: colIdx }))}
+                  </div>
+                  {Object.keys(mapping.columns.costs || {}).sort().map(year => (
+                    <div key={year} className="form-group">
+                      <label>{year} cost per role</label>
+                      {renderColumnSelect(mapping.columns.costs[year], (colIdx) => updateCostColumn(year, colIdx))}
+                    </div>
+                  ))}
+                  {periods.map(period => (
+                    <div key={period} className="form-group">
+                      <label>{formatPeriod(period)} headcount</label>
+                      {renderColumnSelect(mapping.columns.periods[period], (colIdx) => updatePeriodColumn(period, colIdx))}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mapping-section">
+                <h4>Departments ({includedCount} of {mapping.departments.length} included)</h4>
+                {mapping.departments.length === 0 ? (
+                  <p className="mapping-empty">
+                    No department sections detected. Check the role name and cost columns.
+                  </p>
+                ) : (
+                  <div className="mapping-departments">
+                    {mapping.departments.map(dept => (
+                      <div
+                        key={dept.header}
+                        className={`mapping-department ${dept.include ? '' : 'excluded'}`}
+                      >
+                        <div className="mapping-department-header">
+                          <label className="checkbox-container">
+                            <input
+                              type="checkbox"
+                              checked={dept.include}
+                              onChange={() => updateDepartment(dept.header, { include: !dept.include })}
+                            />
+                            <span className="mapping-source">
+                              "{dept.header}" (rows {dept.startRow}–{dept.endRow})
+                            </span>
+                          </label>
+                          <input
+                            type="color"
+                            value={dept.color}
+                            onChange={(e) => updateDepartment(dept.header, { color: e.target.value })}
+                            className="mapping-color"
+                            disabled={!dept.include}
+                          />
+                          <input
+                            type="text"
+                            value={dept.name}
+                            onChange={(e) => updateDepartment(dept.header, { name: e.target.value })}
+                            className="form-input"
+                            disabled={!dept.include}
+                          />
+                        </div>
+
+                        {dept.include && (
+                          <div className="mapping-roles">
+                            {getSectionRoleNames(rows, mapping.columns, dept).map(roleName => (
+                              <label key={roleName} className="mapping-role">
+                                <input
+                                  type="checkbox"
+                                  checked={!isRoleExcluded(dept, roleName)}
+                                  onChange={() => toggleRole(dept, roleName)}
+                                />
+                                <span>{roleName}</span>
+                              </label>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'mapping' ? (
+            <>
+              <button className="cancel-button" onClick={cancelCSVImport}>
+                Cancel
+              </button>
+              <button
+                className="confirm-button"
+                onClick={() => setStep('review')}
+                disabled={includedCount === 0}
+              >
+                <span>Review</span>
+                <ArrowRight size={16} />
+              </button>
+            </>
+          ) : (
+            <>
+              <button className="cancel-button" onClick={() => setStep('mapping')}>
+                Back
+              </button>
+              <button className="cancel-button" onClick={cancelCSVImport}>
+                Cancel
+              </button>
+              <button
+                className="confirm-button"
+                onClick={() => confirmCSVImport(mapping, { merge: hasCurrentChart && merge })}
+                disabled={!report || report.counts.accepted === 0}
+              >
+                <Check size={16} />
+                <span>Import</span>
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CSVMappingModal;
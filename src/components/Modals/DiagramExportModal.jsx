@@ -0,0 +1,102 @@
+import { useState, useMemo } from 'react';
+import { X, Code, Copy, Download, Check } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { DIAGRAM_FORMATS, getDiagramGraph, formatDiagram } from '../../utils/diagramExport';
+import { downloadBlob, getExportFileName } from '../../utils/download';
+import './DiagramExportModal.css';
+
+/**
+ * DiagramExportModal - Hierarchy as Mermaid, DOT or GraphML text to copy into
+ * docs or download, for the whole chart or one manager's subtree
+ */
+function DiagramExportModal({ isOpen, onClose }) {
+  const { personNodes, departments, collapsedNodes, layoutType, selectedQuarter } = useOrgChartStore();
+  const [formatId, setFormatId] = useState('mermaid');
+  const [rootId, setRootId] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const managers = useMemo(() => personNodes
+    .filter(person => personNodes.some(p => p.managerId === person.id))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName)), [personNodes]);
+
+  const format = DIAGRAM_FORMATS.find(f => f.id === formatId);
+  const text = useMemo(() => {
+    if (!isOpen) return '';
+    const graph = getDiagramGraph(personNodes, departments, collapsedNodes, rootId || null);
+    return formatDiagram(formatId, graph, layoutType === 'dagre-lr' ? 'LR' : 'TB');
+  }, [isOpen, personNodes, departments, collapsedNodes, rootId, formatId, layoutType]);
+
+  if (!isOpen) return null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      alert('Could not copy to the clipboard: ' + error.message);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(text, format.type, getExportFileName(selectedQuarter, format.extension));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content diagram-export-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Code size={24} />
+            <h2>Export Diagram</h2>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="diagram-options">
+            <div className="form-group">
+              <label>Format</label>
+              <select value={formatId} onChange={(e) => setFormatId(e.target.value)} className="form-select">
+                {DIAGRAM_FORMATS.map(f => (
+                  <option key={f.id} value={f.id}>{f.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Hierarchy</label>
+              <select value={rootId} onChange={(e) => setRootId(e.target.value)} className="form-select">
+                <option value="">Whole chart</option>
+                {managers.map(manager => (
+                  <option key={manager.id} value={manager.id}>{manager.displayName}'s team</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="diagram-hint">
+            People under collapsed managers are left out, as on the canvas.
+          </p>
+          <textarea className="diagram-text" value={text} readOnly spellCheck={false} />
+        </div>
+
+        <div className="modal-footer">
+          <button className="cancel-button" onClick={handleCopy}>
+            {copied ? <Check size={16} /> : <Copy size={16} />}
+            <span>{copied ? 'Copied' : 'Copy'}</span>
+          </button>
+          <button className="cancel-button" onClick={handleDownload}>
+            <Download size={16} />
+            <span>Download .{format.extension}</span>
+          </button>
+          <button className="close-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DiagramExportModal;
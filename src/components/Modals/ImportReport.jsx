@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { CheckCircle, MinusCircle, AlertTriangle } from 'lucide-react';
+import { formatPeriod } from '../../utils/periods';
+import './ImportReport.css';
+
+const FILTERS = [
+  { id: 'all', label: 'All rows' },
+  { id: 'accepted', label: 'Accepted' },
+  { id: 'skipped', label: 'Skipped' },
+  { id: 'flagged', label: 'Flagged' }
+];
+
+/**
+ * ImportReport - Shows how each CSV row will be imported, with per-quarter totals
+ * @param {Object} report - Report returned by processCSVData
+ */
+function ImportReport({ report }) {
+  const [filter, setFilter] = useState('all');
+
+  const { rows, periods, totals, expectedTotals, totalMismatches, counts } = report;
+  const mismatchedPeriods = new Set(totalMismatches.map(m => m.period));
+
+  const visibleRows = rows.filter(row => {
+    if (filter === 'all') return true;
+    if (filter === 'flagged') return row.issues.length > 0;
+    return row.status === filter;
+  });
+
+  return (
+    <div className="import-report">
+      <div className="breakdown-stats">
+        <div className="stat-card">
+          <div className="stat-icon" style={{ backgroundColor: '#dcfce7', color: '#15803d' }}>
+            <CheckCircle size={20} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Accepted Roles</span>
+            <span className="stat-value">{counts.accepted}</span>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon" style={{ backgroundColor: '#f1f5f9', color: '#475569' }}>
+            <MinusCircle size={20} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Skipped Rows</span>
+            <span className="stat-value">{counts.skipped}</span>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon" style={{ backgroundColor: '#fef3c7', color: '#92400e' }}>
+            <AlertTriangle size={20} />
+          </div>
+          <div className="stat-info">
+            <span className="stat-label">Flagged Rows</span>
+            <span className="stat-value">{counts.flagged}</span>
+          </div>
+        </div>
+      </div>
+
+      {totalMismatches.length > 0 && (
+        <div className="warning-banner">
+          <AlertTriangle size={20} />
+          <span>
+            Parsed headcount doesn't match the sheet's total row in {totalMismatches.length} quarter(s)
+          </span>
+        </div>
+      )}
+
+      <div className="report-section">
+        <h4>Headcount per quarter</h4>
+        <div className="report-totals">
+          <table>
+            <thead>
+              <tr>
+                <th></th>
+                {periods.map(period => (
+                  <th key={period}>{formatPeriod(period)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Parsed</td>
+                {periods.map(period => (
+                  <td key={period} className={mismatchedPeriods.has(period) ? 'mismatch' : ''}>
+                    {totals[period]}
+                  </td>
+                ))}
+              </tr>
+              {expectedTotals && (
+                <tr>
+                  <td>Sheet total</td>
+                  {periods.map(period => (
+                    <td key={period}>{expectedTotals[period] ?? '–'}</td>
+                  ))}
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="report-section">
+        <div className="report-filters">
+          {FILTERS.map(f => (
+            <button
+              key={f.id}
+              className={`report-filter ${filter === f.id ? 'active' : ''}`}
+              onClick={() => setFilter(f.id)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="report-rows">
+          {visibleRows.length === 0 ? (
+            <p className="no-results">No rows</p>
+          ) : (
+            visibleRows.map(row => (
+              <div key={row.rowIndex} className={`report-row ${row.status}`}>
+                <span className="report-row-index">Row {row.rowIndex}</span>
+                <span className="report-row-name">{row.name}</span>
+                <span className="report-row-dept">{row.department}</span>
+                <span className="report-row-status">
+                  {row.status === 'accepted' ? 'Accepted' : row.reason}
+                </span>
+                {row.issues.length > 0 && (
+                  <ul className="report-row-issues">
+                    {row.issues.map((issue, index) => (
+                      <li key={index}>{issue}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportReport;
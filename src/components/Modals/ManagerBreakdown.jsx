@@ -1,9 +1,41 @@
-import { X, Users, TrendingUp, AlertCircle } from 'lucide-react';
+import { X, Users, TrendingUp, AlertCircle, DollarSign } from 'lucide-react';
 import { useOrgChartStore } from '../../stores/orgChartStore';
+import { formatPeriod } from '../../utils/periods';
+import { getSubtreeCosts, getCostTrend, formatCost } from '../../utils/costRollup';
 import './ManagerBreakdown.css';
 
+/**
+ * CostTrend - Bar per period, scaled to the largest period in the trend
+ * @param {Array} trend - Result of getCostTrend
+ * @param {boolean} compact - Small bars without labels (for manager cards)
+ */
+function CostTrend({ trend, compact = false }) {
+  const maxCost = Math.max(0, ...trend.map(t => t.cost));
+
+  return (
+    <div className={`cost-trend ${compact ? 'compact' : ''}`}>
+      {trend.map(({ period, cost, headcount }) => (
+        <div
+          key={period}
+          className="cost-trend-item"
+          title={`${formatPeriod(period)}: ${formatCost(cost)} (${headcount} people)`}
+        >
+          {!compact && <span className="cost-trend-value">{formatCost(cost, true)}</span>}
+          <div className="cost-trend-bar-track">
+            <div
+              className="cost-trend-bar"
+              style={{ height: `${maxCost > 0 ? (cost / maxCost) * 100 : 0}%` }}
+            ></div>
+          </div>
+          {!compact && <span className="cost-trend-label">{formatPeriod(period)}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function ManagerBreakdown({ isOpen, onClose }) {
-  const { personNodes, departments } = useOrgChartStore();
+  const { personNodes, departments, roleTemplates, managerAssignments, selectedQuarter } = useOrgChartStore();
 
   if (!isOpen) return null;
 
@@ -44,6 +76,13 @@ function ManagerBreakdown({ isOpen, onClose }) {
   const maxSpan = managerData.length > 0 ? managerData[0].reportCount : 0;
   const unassignedCount = personNodes.filter(p => !p.managerId && !peopleWithManagers.has(p.id)).length;
 
+  // Costs are annualized run-rates for the headcount in each period
+  const subtreeCosts = getSubtreeCosts(personNodes, roleTemplates, selectedQuarter);
+  const totalCost = personNodes
+    .filter(p => !p.managerId)
+    .reduce((sum, p) => sum + (subtreeCosts[p.id] || 0), 0);
+  const orgTrend = getCostTrend(roleTemplates, managerAssignments, personNodes);
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content manager-breakdown-modal" onClick={(e) => e.stopPropagation()}>
@@ -90,6 +129,16 @@ function ManagerBreakdown({ isOpen, onClose }) {
               </div>
             </div>
 
+            <div className="stat-card">
+              <div className="stat-icon" style={{ backgroundColor: '#dcfce7', color: '#15803d' }}>
+                <DollarSign size={20} />
+              </div>
+              <div className="stat-info">
+                <span className="stat-label">Total Cost</span>
+                <span className="stat-value">{formatCost(totalCost, true)}</span>
+              </div>
+            </div>
+
             {unassignedCount > 0 && (
               <div className="stat-card">
                 <div className="stat-icon" style={{ backgroundColor: '#fee2e2', color: '#991b1b' }}>
@@ -103,6 +152,14 @@ function ManagerBreakdown({ isOpen, onClose }) {
             )}
           </div>
 
+          {/* Cost Trend */}
+          {orgTrend.length > 0 && (
+            <div className="cost-trend-section">
+              <h4>Cost per quarter (annualized)</h4>
+              <CostTrend trend={orgTrend} />
+            </div>
+          )}
+
           {/* Manager List */}
           <div className="manager-list">
             {managerData.length === 0 ? (
@@ -126,12 +183,25 @@ function ManagerBreakdown({ isOpen, onClose }) {
                           <span className="manager-dept">{department?.displayName}</span>
                         </div>
                       </div>
-                      <div className="report-count-badge">
-                        <Users size={16} />
-                        <span>{reportCount}</span>
+                      <div className="manager-badges">
+                        <div className="team-cost-badge" title="Cost of this manager and everyone below them">
+                          <DollarSign size={16} />
+                          <span>{formatCost(subtreeCosts[manager.id], true)}</span>
+                        </div>
+                        <div className="report-count-badge">
+                          <Users size={16} />
+                          <span>{reportCount}</span>
+                        </div>
                       </div>
                     </div>
 
+                    {!manager.isCustom && (
+                      <CostTrend
+                        trend={getCostTrend(roleTemplates, managerAssignments, personNodes, manager.id)}
+                        compact
+                      />
+                    )}
+
                     <div className="direct-reports">
                       <h4>Direct Reports ({reportCount}):</h4>
                       <div className="reports-grid">
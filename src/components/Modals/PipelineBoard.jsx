@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { X, Briefcase, Plus, Crosshair } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { REQUISITION_STAGES, buildPipeline, getUntrackedFutureSeats } from '../../utils/requisitions';
+import { getPeriodTimeline, formatPeriod } from '../../utils/periods';
+import './PipelineBoard.css';
+
+/**
+ * PipelineBoard - Requisitions for unfilled seats as a board with a column per
+ * stage, grouped by department within each column
+ */
+function PipelineBoard({ isOpen, onClose }) {
+  const {
+    requisitions,
+    roleTemplates,
+    departments,
+    managerAssignments,
+    seatPeople,
+    personNodes,
+    selectedQuarter,
+    openRequisitionsForFutureSeats,
+    updateRequisition,
+    closeRequisition,
+    focusNode
+  } = useOrgChartStore();
+  const [filterDepartmentId, setFilterDepartmentId] = useState('');
+
+  if (!isOpen) return null;
+
+  const timeline = getPeriodTimeline(roleTemplates);
+  const cards = buildPipeline({ requisitions, roleTemplates, departments, managerAssignments, seatPeople, personNodes })
+    .filter(card => !filterDepartmentId || card.department?.id === filterDepartmentId);
+  const untrackedCount = getUntrackedFutureSeats(roleTemplates, seatPeople, requisitions, selectedQuarter).length;
+
+  const handleShowOnChart = (card) => {
+    focusNode(card.personId, card.targetQuarter);
+    onClose();
+  };
+
+  // Department groups in department order, roles without a department last
+  const groupByDepartment = (stageCards) => {
+    const groups = departments
+      .map(dept => ({ department: dept, cards: stageCards.filter(c => c.department?.id === dept.id) }))
+      .filter(group => group.cards.length > 0);
+    const other = stageCards.filter(c => !c.department);
+    return other.length > 0 ? [...groups, { department: null, cards: other }] : groups;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content pipeline-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <Briefcase size={24} />
+            <h2>Hiring Pipeline</h2>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="pipeline-toolbar">
+            <select
+              value={filterDepartmentId}
+              onChange={(e) => setFilterDepartmentId(e.target.value)}
+              className="form-select"
+            >
+              <option value="">All Departments</option>
+              {departments.map(dept => (
+                <option key={dept.id} value={dept.id}>{dept.displayName}</option>
+              ))}
+            </select>
+            <button
+              className="cancel-button"
+              onClick={openRequisitionsForFutureSeats}
+              disabled={untrackedCount === 0}
+              title={`Seats first filled after ${formatPeriod(selectedQuarter)} without a requisition`}
+            >
+              <Plus size={16} />
+              <span>Track {untrackedCount} future seats</span>
+            </button>
+          </div>
+
+          {Object.keys(requisitions).length === 0 ? (
+            <p className="pipeline-empty">
+              No requisitions yet. Track future seats above, or open one from a seat in Manager Assignments.
+            </p>
+          ) : (
+            <div className="pipeline-board">
+              {REQUISITION_STAGES.map(stage => {
+                const stageCards = cards.filter(card => card.stage === stage.id);
+                return (
+                  <div key={stage.id} className={`pipeline-column stage-${stage.id}`}>
+                    <div className="pipeline-column-header">
+                      <span>{stage.label}</span>
+                      <span className="pipeline-count">{stageCards.length}</span>
+                    </div>
+
+                    {groupByDepartment(stageCards).map(({ department, cards: groupCards }) => (
+                      <div key={department?.id || 'other'} className="pipeline-group">
+                        <div className="pipeline-group-header">
+                          <span className="pipeline-dept-dot" style={{ backgroundColor: department?.color || '#8B5CF6' }} />
+                          {department?.displayName || 'Other'}
+                        </div>
+
+                        {groupCards.map(card => (
+                          <div key={card.personId} className="pipeline-card">
+                            <div className="pipeline-card-header">
+                              <span className="pipeline-card-name">{card.seatName}</span>
+                              <button
+                                className="pipeline-icon-button"
+                                onClick={() => handleShowOnChart(card)}
+                                title="Show on chart"
+                              >
+                                <Crosshair size={14} />
+                              </button>
+                              <button
+                                className="pipeline-icon-button"
+                                onClick={() => closeRequisition(card.personId)}
+                                title="Stop tracking"
+                              >
+                                <X size={14} />
+                              </button>
+                            </div>
+                            <div className="pipeline-card-detail">
+                              Hiring manager: {card.hiringManagerName || <em>unassigned</em>}
+                            </div>
+                            {card.candidate?.name && (
+                              <div className="pipeline-card-detail">Candidate: {card.candidate.name}</div>
+                            )}
+                            <div className="pipeline-card-controls">
+                              <select
+                                value={card.stage}
+                                onChange={(e) => updateRequisition(card.personId, { stage: e.target.value })}
+                                title="Stage"
+                              >
+                                {REQUISITION_STAGES.map(s => (
+                                  <option key={s.id} value={s.id}>{s.label}</option>
+                                ))}
+                              </select>
+                              <select
+                                value={card.targetQuarter}
+                                onChange={(e) => updateRequisition(card.personId, { targetQuarter: e.target.value })}
+                                title="Target start quarter"
+                              >
+                                {timeline.map(period => (
+                                  <option key={period} value={period}>{formatPeriod(period)}</option>
+                                ))}
+                              </select>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="close-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PipelineBoard;
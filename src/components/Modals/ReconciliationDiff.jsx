@@ -0,0 +1,89 @@
+import { Plus, Minus, RefreshCw, Unlink, ArrowRightLeft, UserX, FolderX } from 'lucide-react';
+import { formatHeadcountChange } from '../../utils/importMerge';
+import './ReconciliationDiff.css';
+
+/**
+ * ReconciliationDiff - Lists what a merge re-import changes relative to the current chart
+ * @param {Object} reconciliation - Result of reconcileImport
+ */
+function ReconciliationDiff({ reconciliation }) {
+  const { added, removed, changed, rematched, orphaned, droppedPeople, droppedMoves, carriedCount } = reconciliation;
+
+  const sections = [
+    {
+      id: 'added',
+      icon: <Plus size={16} />,
+      title: `Roles added (${added.length})`,
+      items: added.map(t => `${t.cleanName} (${t.department})`)
+    },
+    {
+      id: 'removed',
+      icon: <Minus size={16} />,
+      title: `Roles removed (${removed.length})`,
+      items: removed.map(t => `${t.cleanName} (${t.department})`)
+    },
+    {
+      id: 'rematched',
+      icon: <ArrowRightLeft size={16} />,
+      title: `Roles renamed or moved (${rematched.length}) – check these are the same role`,
+      items: rematched.map(({ template, previous, reason }) => (reason === 'moved'
+        ? `${template.cleanName}: ${previous.department} → ${template.department}`
+        : `${previous.cleanName} → ${template.cleanName} (${template.department}, same row)`))
+    },
+    {
+      id: 'changed',
+      icon: <RefreshCw size={16} />,
+      title: `Headcount changed (${changed.length})`,
+      items: changed.map(({ template, changes }) =>
+        `${template.cleanName} (${template.department}) – ${changes.map(formatHeadcountChange).join(', ')}`
+      )
+    },
+    {
+      id: 'orphaned',
+      icon: <Unlink size={16} />,
+      title: `Assignments orphaned (${orphaned.length})`,
+      items: orphaned.map(o => `${o.personName} → ${o.managerName}: ${o.reason}`)
+    },
+    {
+      id: 'dropped-people',
+      icon: <UserX size={16} />,
+      title: `People unassigned from seats (${droppedPeople.length})`,
+      items: droppedPeople.map(p => `${p.name || 'Unnamed'} (${p.seatName}): ${p.reason}`)
+    },
+    {
+      id: 'dropped-moves',
+      icon: <FolderX size={16} />,
+      title: `Department moves dropped (${droppedMoves.length})`,
+      items: droppedMoves.map(({ template, department }) =>
+        `${template.cleanName}: ${department.displayName || department.name} is no longer in the sheet`
+      )
+    }
+  ];
+
+  return (
+    <div className="reconciliation-diff">
+      <h4>Changes from current chart</h4>
+      <p className="reconciliation-summary">
+        {carriedCount} manager assignment{carriedCount === 1 ? '' : 's'} will carry over.
+      </p>
+
+      {sections.map(section => (
+        <div key={section.id} className={`reconciliation-section ${section.id}`}>
+          <div className="reconciliation-title">
+            {section.icon}
+            <span>{section.title}</span>
+          </div>
+          {section.items.length > 0 && (
+            <ul>
+              {section.items.map((item, index) => (
+                <li key={index}>{item}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ReconciliationDiff;
@@ -0,0 +1,236 @@
+import { useState, useMemo } from 'react';
+import { X, GitCompare, ArrowRightLeft, Plus, Minus, Palette, FileJson, Eye, EyeOff } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { diffOrgStates, snapshotFromExport } from '../../utils/scenarioDiff';
+import './ScenarioDiffModal.css';
+
+/**
+ * ScenarioDiffModal - Compare the current scenario against another scenario or
+ * an exported JSON snapshot, as a change list and as highlights on the canvas
+ */
+function ScenarioDiffModal({ isOpen, onClose }) {
+  const {
+    scenarios,
+    managerAssignments,
+    personNodes,
+    departments,
+    roleTemplates,
+    diffView,
+    getActiveScenario,
+    getScenarioSnapshot,
+    showDiffView,
+    clearDiffView
+  } = useOrgChartStore();
+  const [baseId, setBaseId] = useState('');
+  const [fileBase, setFileBase] = useState(null); // { label, base } loaded from a JSON export
+  const [fileError, setFileError] = useState(null);
+
+  const activeScenario = getActiveScenario();
+  const otherScenarios = scenarios.filter(s => s.id !== activeScenario.id);
+
+  // Default to the first other scenario, or the file if one was loaded
+  const selectedId = baseId || (fileBase ? 'file' : otherScenarios[0]?.id || '');
+  const selected = useMemo(() => {
+    if (selectedId === 'file') return fileBase;
+    const scenario = scenarios.find(s => s.id === selectedId);
+    return scenario ? { label: scenario.name, base: getScenarioSnapshot(scenario.id) } : null;
+  }, [selectedId, fileBase, scenarios, getScenarioSnapshot]);
+
+  const diff = useMemo(() => {
+    if (!isOpen || !selected) return null;
+    return diffOrgStates(selected.base, getScenarioSnapshot(activeScenario.id));
+  }, [isOpen, selected, activeScenario.id, managerAssignments, personNodes, departments, roleTemplates, getScenarioSnapshot]);
+
+  if (!isOpen) return null;
+
+  const handleLoadFile = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        const base = snapshotFromExport(JSON.parse(await file.text()));
+        setFileBase({ label: file.name, base });
+        setBaseId('file');
+        setFileError(null);
+      } catch (error) {
+        setFileError(`Could not read ${file.name}: ${error.message}`);
+      }
+    };
+    input.click();
+  };
+
+  const isHighlighted = diffView && selected && diffView.label === selected.label;
+
+  const stats = diff ? [
+    { label: 'Manager Changes', value: diff.managerChanges.length, icon: <ArrowRightLeft size={20} />, colors: ['#dbeafe', '#1e40af'] },
+    { label: 'Roles Added', value: diff.addedRoles.length, icon: <Plus size={20} />, colors: ['#dcfce7', '#15803d'] },
+    { label: 'Roles Removed', value: diff.removedRoles.length, icon: <Minus size={20} />, colors: ['#fee2e2', '#991b1b'] },
+    { label: 'Department Changes', value: diff.departmentChanges.length + diff.roleMoves.length, icon: <Palette size={20} />, colors: ['#fef3c7', '#92400e'] }
+  ] : [];
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content scenario-diff-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <GitCompare size={24} />
+            <h2>Compare Changes</h2>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="diff-sources">
+            <div className="form-group">
+              <label>Compare against</label>
+              <select
+                value={selectedId}
+                onChange={(e) => setBaseId(e.target.value)}
+                className="form-select"
+              >
+                {otherScenarios.length === 0 && !fileBase && <option value="">No other scenarios</option>}
+                {otherScenarios.map(scenario => (
+                  <option key={scenario.id} value={scenario.id}>Scenario: {scenario.name}</option>
+                ))}
+                {fileBase && <option value="file">File: {fileBase.label}</option>}
+              </select>
+            </div>
+            <button className="cancel-button" onClick={handleLoadFile}>
+              <FileJson size={16} />
+              <span>Load JSON snapshot</span>
+            </button>
+            <div className="diff-current">
+              Changes in <strong>{activeScenario.name}</strong>
+            </div>
+          </div>
+
+          {fileError && <p className="diff-error">{fileError}</p>}
+
+          {!diff ? (
+            <p className="diff-empty">Create another scenario or load an exported JSON snapshot to compare.</p>
+          ) : (
+            <>
+              <div className="breakdown-stats">
+                {stats.map(stat => (
+                  <div key={stat.label} className="stat-card">
+                    <div className="stat-icon" style={{ backgroundColor: stat.colors[0], color: stat.colors[1] }}>
+                      {stat.icon}
+                    </div>
+                    <div className="stat-info">
+                      <span className="stat-label">{stat.label}</span>
+                      <span className="stat-value">{stat.value}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {diff.managerChanges.length > 0 && (
+                <div className="diff-section">
+                  <h4>Manager changes</h4>
+                  <table className="diff-table">
+                    <thead>
+                      <tr>
+                        <th>Person</th>
+                        <th>Was</th>
+                        <th>Now</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.managerChanges.map(change => (
+                        <tr key={change.personId}>
+                          <td>{change.personName}</td>
+                          <td className="diff-old">{change.fromName || 'No manager'}</td>
+                          <td className="diff-new">{change.toName || 'No manager'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {(diff.addedRoles.length > 0 || diff.removedRoles.length > 0) && (
+                <div className="diff-section">
+                  <h4>Roles</h4>
+                  <table className="diff-table">
+                    <tbody>
+                      {diff.addedRoles.map(role => (
+                        <tr key={`added-${role.id}`}>
+                          <td className="diff-new">Added</td>
+                          <td>{role.name}{role.isCustom ? ' (custom)' : ''}</td>
+                          <td>{role.department}</td>
+                        </tr>
+                      ))}
+                      {diff.removedRoles.map(role => (
+                        <tr key={`removed-${role.id}`}>
+                          <td className="diff-old">Removed</td>
+                          <td>{role.name}{role.isCustom ? ' (custom)' : ''}</td>
+                          <td>{role.department}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {(diff.departmentChanges.length > 0 || diff.roleMoves.length > 0) && (
+                <div className="diff-section">
+                  <h4>Departments</h4>
+                  <table className="diff-table">
+                    <tbody>
+                      {diff.departmentChanges.map(change => (
+                        <tr key={`dept-${change.name}`}>
+                          <td>{change.name}</td>
+                          <td colSpan={2}>{change.changes.join(', ')}</td>
+                        </tr>
+                      ))}
+                      {diff.roleMoves.map(move => (
+                        <tr key={`move-${move.templateId}`}>
+                          <td>{move.name}</td>
+                          <td className="diff-old">{move.from}</td>
+                          <td className="diff-new">{move.to}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {stats.every(stat => stat.value === 0) && (
+                <p className="diff-empty">No differences.</p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {isHighlighted ? (
+            <button className="cancel-button" onClick={clearDiffView}>
+              <EyeOff size={16} />
+              <span>Clear highlights</span>
+            </button>
+          ) : (
+            <button
+              className="cancel-button"
+              onClick={() => showDiffView(selected.label, selected.base)}
+              disabled={!diff}
+            >
+              <Eye size={16} />
+              <span>Highlight on chart</span>
+            </button>
+          )}
+          <button className="close-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioDiffModal;
@@ -1,31 +1,46 @@
 import { Handle, Position } from 'reactflow';
-import { User, Crown, Plus } from 'lucide-react';
+import { User, Crown, Plus, Pin } from 'lucide-react';
+import { formatPeriod } from '../../utils/periods';
+import { formatCost } from '../../utils/costRollup';
+import { getSeatStatusLabel } from '../../utils/seatPeople';
+import { getStageLabel } from '../../utils/requisitions';
 import './CustomNode.css';
 
+const DIFF_LABELS = {
+  'added': 'New',
+  'manager-changed': 'Manager changed',
+  'moved': 'Moved department'
+};
+
 function CustomNode({ data }) {
-  const { person, department, isManager, displayName } = data;
+  const { person, department, isManager, displayName, timelineStart, subtreeCost, diffStatus, viewPeriods, isContextOnly, seatPerson, requisition, isPinned, layoutDirection } = data;
   const isCustom = person?.isCustom || false;
   const isFutureRole = person?.isFutureRole || false;
   const startQuarter = person?.startQuarter;
+  // Reporting lines enter on the left and leave on the right in left-to-right layouts
+  const isHorizontal = layoutDirection === 'LR';
 
   // Determine if we should show the start quarter badge
-  // Show if role starts in a different quarter than Q1
-  const showStartQuarter = startQuarter && startQuarter !== 'Q1' && !isCustom;
+  // Show if role starts later than the first period of the plan
+  const showStartQuarter = startQuarter && startQuarter !== timelineStart && !isCustom;
+
+  // Year and all-years views show which of their periods this seat is filled in
+  const filledInQuarters = person?.filledInQuarters || person?.activeInQuarters || [];
 
   return (
     <div
-      className={`custom-node ${isCustom ? 'custom-role' : ''} ${isFutureRole ? 'future-role' : ''}`}
+      className={`custom-node ${isCustom ? 'custom-role' : ''} ${isFutureRole ? 'future-role' : ''} ${diffStatus ? `diff-${diffStatus}` : ''} ${isContextOnly ? 'context-only' : ''}`}
       style={{
         borderColor: isCustom ? '#8B5CF6' : (department?.color || '#6B7280'),
         borderLeftWidth: 4,
         borderLeftStyle: 'solid',
-        opacity: isFutureRole ? 0.5 : 1
+        opacity: isFutureRole || isContextOnly ? 0.5 : 1
       }}
     >
       <Handle
         type="target"
-        position={Position.Top}
-        className="node-handle node-handle-top"
+        position={isHorizontal ? Position.Left : Position.Top}
+        className={`node-handle ${isHorizontal ? 'node-handle-left' : 'node-handle-top'}`}
       />
 
       <div className="node-header">
@@ -39,33 +54,78 @@ function CustomNode({ data }) {
           {isCustom ? <Plus size={16} /> : isManager ? <Crown size={16} /> : <User size={16} />}
         </div>
         <div className="node-info">
-          <div className="node-name">{displayName}</div>
+          <div className="node-name">
+            {displayName}
+            {isPinned && <Pin size={11} className="node-pin" aria-label="Pinned position" />}
+          </div>
           <div className="node-dept" style={{ color: isCustom ? '#8B5CF6' : department?.color }}>
             {department?.displayName}
           </div>
+          {seatPerson?.name && (
+            <div className="node-person" title={seatPerson.email || undefined}>{seatPerson.name}</div>
+          )}
         </div>
       </div>
 
       <div className="node-badges">
+        {diffStatus && (
+          <div className={`node-badge diff-badge diff-badge-${diffStatus}`}>{DIFF_LABELS[diffStatus]}</div>
+        )}
+        {seatPerson && seatPerson.status !== 'filled' && (
+          <div
+            className={`node-badge seat-status-badge seat-status-${seatPerson.status}`}
+            title={seatPerson.startDate ? `Starts ${seatPerson.startDate}` : undefined}
+          >
+            {getSeatStatusLabel(seatPerson.status)}
+          </div>
+        )}
+        {requisition && requisition.stage !== 'filled' && (
+          <div
+            className={`node-badge req-badge req-stage-${requisition.stage}`}
+            title={`Requisition targeting ${formatPeriod(requisition.targetQuarter)}`}
+          >
+            Req: {getStageLabel(requisition.stage)}
+          </div>
+        )}
         {isCustom && (
           <div className="node-badge custom-badge">Custom Role</div>
         )}
         {isFutureRole && (
-          <div className="node-badge future-badge">Starts {startQuarter}</div>
+          <div className="node-badge future-badge">Starts {formatPeriod(startQuarter)}</div>
         )}
         {showStartQuarter && !isFutureRole && (
-          <div className="node-badge quarter-badge">Hired {startQuarter}</div>
+          <div className="node-badge quarter-badge">Hired {formatPeriod(startQuarter)}</div>
         )}
         {isManager && !isCustom && (
           <div className="node-badge manager-badge">Manager</div>
         )}
+        {isManager && subtreeCost > 0 && (
+          <div className="node-badge cost-badge" title={`Team cost: ${formatCost(subtreeCost)}`}>
+            {formatCost(subtreeCost, true)}
+          </div>
+        )}
       </div>
 
+      {viewPeriods && viewPeriods.length > 1 && (
+        <div className="quarter-strip">
+          {viewPeriods.map(period => {
+            const isFilled = filledInQuarters.includes(period);
+            return (
+              <div
+                key={period}
+                className={`quarter-cell ${isFilled ? 'filled' : ''}`}
+                style={isFilled ? { backgroundColor: isCustom ? '#8B5CF6' : (department?.color || '#6B7280') } : undefined}
+                title={`${formatPeriod(period)}: ${isFilled ? 'filled' : 'not filled'}`}
+              />
+            );
+          })}
+        </div>
+      )}
 
       <Handle
         type="source"
-        position={Position.Bottom}
-        className="node-handle node-handle-bottom"
+        position={isHorizontal ? Position.Right : Position.Bottom}
+        className={`node-handle ${isHorizontal ? 'node-handle-right' : 'node-handle-bottom'}`}
       />
     </div>
   );
@@ -0,0 +1,27 @@
+import './DepartmentRegion.css';
+
+/**
+ * DepartmentRegion - Shaded background behind a department's team in the
+ * department lanes view
+ */
+function DepartmentRegion({ data }) {
+  const { department, headcount, departmentHeadcount } = data;
+  const color = department?.color || '#6B7280';
+  const countLabel = headcount === departmentHeadcount
+    ? `${headcount} ${headcount === 1 ? 'person' : 'people'}`
+    : `${headcount} of ${departmentHeadcount} people`;
+
+  return (
+    <div
+      className="department-region"
+      style={{ borderColor: color, backgroundColor: `${color}14` }}
+    >
+      <div className="department-region-label" style={{ color }}>
+        <span className="department-region-name">{department?.displayName || 'Unassigned'}</span>
+        <span className="department-region-count">{countLabel}</span>
+      </div>
+    </div>
+  );
+}
+
+export default DepartmentRegion;
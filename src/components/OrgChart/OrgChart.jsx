@@ -1,4 +1,4 @@
-import { useCallback, useEffect } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
   Background,
   Controls,
@@ -7,15 +7,33 @@ import ReactFlow, {
   useEdgesState
 } from 'reactflow';
 import 'reactflow/dist/style.css';
+import { Play, Pause, Square, Pin, LayoutGrid, Layers } from 'lucide-react';
 
 import CustomNode from './CustomNode';
+import DepartmentRegion from './DepartmentRegion';
 import { useOrgChartStore } from '../../stores/orgChartStore';
+import { getPeriodTimeline, formatPeriod } from '../../utils/periods';
+import { getDepartmentDeltas, formatCost } from '../../utils/costRollup';
+import { LAYOUT_TYPES } from '../../utils/layoutEngine';
 import './OrgChart.css';
 
 const nodeTypes = {
-  customRole: CustomNode
+  customRole: CustomNode,
+  departmentRegion: DepartmentRegion
 };
 
+// How long playback stays on each quarter, and how long seats take to fade in/out
+const PLAYBACK_STEP_MS = 3000;
+const FADE_MS = 600;
+
+/**
+ * Format a change with its sign, e.g. "+4" or "−$120K"
+ */
+function formatDelta(value, isCost = false) {
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '±';
+  return `${sign}${isCost ? formatCost(Math.abs(value), true) : Math.abs(value)}`;
+}
+
 function OrgChart() {
   const {
     personNodes,
@@ -23,23 +41,210 @@ function OrgChart() {
     nodes: storeNodes,
     edges: storeEdges,
     setManager,
-    updatePersonPosition,
-    rebuildChart
+    canAssignManager,
+    updatePersonPositions,
+    rebuildChart,
+    diffView,
+    clearDiffView,
+    roleTemplates,
+    selectedQuarter,
+    setSelectedQuarter,
+    focusNodeId,
+    clearFocusNode,
+    layoutMode,
+    setLayoutMode,
+    relayout,
+    layoutType,
+    layoutOptions,
+    setLayout,
+    showDepartmentLanes,
+    toggleDepartmentLanes
   } = useOrgChartStore();
 
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
 
+  // Quarter playback: { isPlaying, previous } while active, previous being the quarter stepped from
+  const [playback, setPlayback] = useState(null);
+  const reactFlowInstance = useRef(null);
+  const shownNodesRef = useRef([]);
+  // While dragging: { startPosition, subtree: { id: startPosition }, targetId }
+  const dragRef = useRef(null);
+
+  // Memoized: playback restarts its timer whenever the timeline changes
+  const timeline = useMemo(() => getPeriodTimeline(roleTemplates), [roleTemplates]);
+
   // Update ReactFlow nodes/edges when store changes
   useEffect(() => {
-    setNodes(storeNodes);
+    const previousNodes = shownNodesRef.current;
+    shownNodesRef.current = storeNodes;
     setEdges(storeEdges);
-  }, [storeNodes, storeEdges, setNodes, setEdges]);
 
-  // Handle node drag stop - save position
+    if (!playback) {
+      setNodes(storeNodes);
+      return undefined;
+    }
+
+    // During playback new seats fade in and removed seats fade out in place
+    const previousIds = new Set(previousNodes.map(n => n.id));
+    const currentIds = new Set(storeNodes.map(n => n.id));
+    const exiting = previousNodes
+      .filter(n => !currentIds.has(n.id))
+      .map(n => ({ ...n, className: 'node-exit', selectable: false, draggable: false }));
+
+    setNodes([
+      ...storeNodes.map(n => (previousIds.has(n.id) ? n : { ...n, className: 'node-enter' })),
+      ...exiting
+    ]);
+
+    const fitTimer = setTimeout(() => {
+      reactFlowInstance.current?.fitView({ padding: 0.2, duration: FADE_MS });
+    }, FADE_MS);
+    if (exiting.length === 0) return () => clearTimeout(fitTimer);
+
+    const exitTimer = setTimeout(() => {
+      setNodes(current => current.filter(n => n.className !== 'node-exit'));
+    }, FADE_MS);
+    return () => {
+      clearTimeout(fitTimer);
+      clearTimeout(exitTimer);
+    };
+  }, [storeNodes, storeEdges, setNodes, setEdges, playback]);
+
+  // Pan to a node picked elsewhere (e.g. the hiring pipeline), once the chart has re-rendered
+  useEffect(() => {
+    if (!focusNodeId) return undefined;
+
+    const timer = setTimeout(() => {
+      reactFlowInstance.current?.fitView({ nodes: [{ id: focusNodeId }], padding: 2, maxZoom: 1.2, duration: FADE_MS });
+      setNodes(current => current.map(n => ({ ...n, selected: n.id === focusNodeId })));
+      clearFocusNode();
+    }, 100);
+
+    return () => clearTimeout(timer);
+  }, [focusNodeId, clearFocusNode, setNodes]);
+
+  // Step to the next quarter until the end of the timeline
+  useEffect(() => {
+    if (!playback?.isPlaying) return undefined;
+
+    const timer = setTimeout(() => {
+      const next = timeline[timeline.indexOf(selectedQuarter) + 1];
+      if (!next) {
+        setPlayback({ ...playback, isPlaying: false });
+        return;
+      }
+      setPlayback({ isPlaying: true, previous: selectedQuarter });
+      setSelectedQuarter(next);
+    }, PLAYBACK_STEP_MS);
+
+    return () => clearTimeout(timer);
+  }, [playback, selectedQuarter, timeline, setSelectedQuarter]);
+
+  const startPlayback = () => {
+    // Resume from the current quarter, or start over from the beginning
+    const index = timeline.indexOf(selectedQuarter);
+    if (playback && index >= 0 && index < timeline.length - 1) {
+      setPlayback({ ...playback, isPlaying: true });
+      return;
+    }
+    setPlayback({ isPlaying: true, previous: null });
+    setSelectedQuarter(timeline[0]);
+  };
+
+  const stopPlayback = () => {
+    setPlayback(null);
+  };
+
+  // Re-layout the selected node's subtree, or the whole chart when nothing is selected
+  const selectedNode = nodes.find(n => n.selected);
+  const handleRelayout = () => {
+    relayout(selectedNode?.id || null);
+  };
+
+  const deltas = playback?.previous
+    ? getDepartmentDeltas(roleTemplates, personNodes, playback.previous, selectedQuarter)
+    : [];
+  const totalDelta = deltas.reduce(
+    (total, d) => ({ headcount: total.headcount + d.headcount, cost: total.cost + d.cost }),
+    { headcount: 0, cost: 0 }
+  );
+
+  // Dragging a manager moves everyone below them too
+  const onNodeDragStart = useCallback((event, node) => {
+    const subtreeIds = new Set();
+    const queue = [node.id];
+    while (queue.length > 0) {
+      const managerId = queue.shift();
+      personNodes.forEach(person => {
+        if (person.managerId === managerId && !subtreeIds.has(person.id) && person.id !== node.id) {
+          subtreeIds.add(person.id);
+          queue.push(person.id);
+        }
+      });
+    }
+
+    dragRef.current = {
+      startPosition: node.position,
+      subtree: Object.fromEntries(nodes.filter(n => subtreeIds.has(n.id)).map(n => [n.id, n.position])),
+      targetId: null
+    };
+  }, [personNodes, nodes]);
+
+  // Move the subtree along and highlight the node under the card as a drop target
+  const onNodeDrag = useCallback((event, node) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = node.position.x - drag.startPosition.x;
+    const dy = node.position.y - drag.startPosition.y;
+
+    // Closest overlapping node that isn't being dragged
+    const center = { x: node.position.x + (node.width || 0) / 2, y: node.position.y + (node.height || 0) / 2 };
+    const distance = (n) => Math.hypot(
+      n.position.x + (n.width || 0) / 2 - center.x,
+      n.position.y + (n.height || 0) / 2 - center.y
+    );
+    const target = (reactFlowInstance.current?.getIntersectingNodes(node) || [])
+      .filter(n => n.type === 'customRole' && n.id !== node.id && !drag.subtree[n.id] && !n.className?.includes('node-exit'))
+      .sort((a, b) => distance(a) - distance(b))[0];
+    drag.targetId = target?.id || null;
+    const targetClass = target && (canAssignManager(node.id, target.id) ? 'drop-target' : 'drop-target-invalid');
+
+    setNodes(current => current.map(n => {
+      const start = drag.subtree[n.id];
+      const className = n.id === drag.targetId ? targetClass : (n.className?.startsWith('drop-target') ? undefined : n.className);
+      if (!start && className === n.className) return n;
+      return {
+        ...n,
+        className,
+        position: start ? { x: start.x + dx, y: start.y + dy } : n.position
+      };
+    }));
+  }, [canAssignManager, setNodes]);
+
+  // Dropped on a node: make it the manager; otherwise keep the new positions
   const onNodeDragStop = useCallback((event, node) => {
-    updatePersonPosition(node.id, node.position);
-  }, [updatePersonPosition]);
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    if (drag.targetId) {
+      const person = personNodes.find(p => p.id === node.id);
+      if (person?.managerId !== drag.targetId && setManager(node.id, drag.targetId)) return;
+
+      // Same manager or rejected (the store has set an error): snap back
+      setNodes(storeNodes);
+      return;
+    }
+
+    const dx = node.position.x - drag.startPosition.x;
+    const dy = node.position.y - drag.startPosition.y;
+    updatePersonPositions({
+      [node.id]: node.position,
+      ...Object.fromEntries(Object.entries(drag.subtree).map(([id, start]) => [id, { x: start.x + dx, y: start.y + dy }]))
+    });
+  }, [personNodes, setManager, setNodes, storeNodes, updatePersonPositions]);
 
   // Handle new connection - assign manager
   const onConnect = useCallback((connection) => {
@@ -64,16 +269,136 @@ function OrgChart() {
   // Create a key based on node IDs and edge IDs to force re-render on structure changes
   const nodeIds = nodes.map(n => n.id).sort().join(',');
   const edgeIds = edges.map(e => e.id).sort().join(',');
-  const chartKey = `${nodeIds}-${edgeIds}`;
+  // Playback keeps one ReactFlow instance so nodes can animate between quarters
+  const chartKey = playback ? 'playback' : `${nodeIds}-${edgeIds}`;
 
   return (
-    <div className="org-chart-container">
+    <div className={`org-chart-container ${playback ? 'is-playing' : ''}`}>
+      {diffView && (
+        <div className="diff-legend">
+          <span>Changes vs <strong>{diffView.label}</strong>:</span>
+          <span className="diff-legend-item added">New</span>
+          <span className="diff-legend-item manager-changed">Manager changed</span>
+          <span className="diff-legend-item moved">Moved department</span>
+          <button onClick={clearDiffView}>Clear</button>
+        </div>
+      )}
+      <div className="layout-panel">
+        <select
+          value={layoutType}
+          onChange={(e) => setLayout(e.target.value)}
+          className="layout-select"
+          title="Layout"
+        >
+          {LAYOUT_TYPES.map(type => (
+            <option key={type.id} value={type.id}>{type.label}</option>
+          ))}
+        </select>
+        {layoutType === 'compact' && (
+          <label className="layout-wrap" title="Cards per column before wrapping">
+            <span>Wrap</span>
+            <input
+              type="number"
+              min="1"
+              max="50"
+              value={layoutOptions.columnWrap}
+              onChange={(e) => {
+                const columnWrap = parseInt(e.target.value, 10);
+                if (columnWrap > 0) setLayout('compact', { columnWrap });
+              }}
+            />
+          </label>
+        )}
+        <div className="layout-divider"></div>
+        <label className="layout-pin-toggle" title="Keep dragged cards where you put them">
+          <input
+            type="checkbox"
+            checked={layoutMode === 'pinned'}
+            onChange={() => setLayoutMode(layoutMode === 'pinned' ? 'auto' : 'pinned')}
+          />
+          <Pin size={14} />
+          <span>Pin positions</span>
+        </label>
+        <label className="layout-pin-toggle" title="Shade each department's teams so cross-department reporting lines stand out">
+          <input
+            type="checkbox"
+            checked={showDepartmentLanes}
+            onChange={toggleDepartmentLanes}
+          />
+          <Layers size={14} />
+          <span>Department lanes</span>
+        </label>
+        {layoutMode === 'pinned' && (
+          <button
+            onClick={handleRelayout}
+            title={selectedNode ? `Clear pins for ${selectedNode.data.displayName} and their team` : 'Clear all pins'}
+          >
+            <LayoutGrid size={14} />
+            <span>{selectedNode ? 'Re-layout team' : 'Re-layout'}</span>
+          </button>
+        )}
+      </div>
+      {timeline.length > 1 && (
+        <div className="playback-panel">
+          <div className="playback-controls">
+            {playback?.isPlaying ? (
+              <button onClick={() => setPlayback({ ...playback, isPlaying: false })} title="Pause">
+                <Pause size={16} />
+              </button>
+            ) : (
+              <button onClick={startPlayback} title="Play quarter by quarter">
+                <Play size={16} />
+              </button>
+            )}
+            {playback && (
+              <button onClick={stopPlayback} title="Stop playback">
+                <Square size={16} />
+              </button>
+            )}
+            <span className="playback-period">
+              {playback ? formatPeriod(selectedQuarter) : 'Play growth'}
+            </span>
+          </div>
+
+          {playback?.previous && (
+            <div className="playback-caption">
+              <div className="playback-caption-total">
+                {formatPeriod(playback.previous)} → {formatPeriod(selectedQuarter)}:{' '}
+                <strong>{formatDelta(totalDelta.headcount)} people</strong>,{' '}
+                <strong>{formatDelta(totalDelta.cost, true)}</strong> run-rate
+              </div>
+              {deltas.length === 0 ? (
+                <div className="playback-caption-empty">No headcount changes</div>
+              ) : (
+                <ul className="playback-caption-departments">
+                  {deltas.map(delta => {
+                    const dept = departments.find(d => d.id === delta.departmentId);
+                    return (
+                      <li key={delta.departmentId}>
+                        <span className="playback-dept-dot" style={{ backgroundColor: dept?.color || '#6B7280' }} />
+                        <span className="playback-dept-name">{dept?.displayName || 'Other'}</span>
+                        <span className={delta.headcount >= 0 ? 'delta-up' : 'delta-down'}>
+                          {formatDelta(delta.headcount)}
+                        </span>
+                        <span className="playback-dept-cost">{formatDelta(delta.cost, true)}</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
       <ReactFlow
         key={chartKey}
+        onInit={(instance) => { reactFlowInstance.current = instance; }}
         nodes={nodes}
         edges={edges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
+        onNodeDragStart={onNodeDragStart}
+        onNodeDrag={onNodeDrag}
         onNodeDragStop={onNodeDragStop}
         onConnect={onConnect}
         nodeTypes={nodeTypes}
@@ -92,6 +417,7 @@ function OrgChart() {
         <Controls showInteractive={false} />
         <MiniMap
           nodeColor={(node) => {
+            if (node.type === 'departmentRegion') return 'transparent';
             const dept = departments.find(d => d.id === node.data.person?.departmentId);
             return dept?.color || '#6B7280';
           }}
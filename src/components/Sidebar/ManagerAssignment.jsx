@@ -1,16 +1,27 @@
 import { useState } from 'react';
-import { Users, X, ChevronDown, ChevronUp, CheckSquare, Square } from 'lucide-react';
+import { Users, X, ChevronDown, ChevronUp, CheckSquare, Square, Pencil, Briefcase } from 'lucide-react';
 import { useOrgChartStore } from '../../stores/orgChartStore';
+import { getSeatStatusLabel, matchesSeatPerson } from '../../utils/seatPeople';
+import { getStageLabel } from '../../utils/requisitions';
+import { formatPeriod } from '../../utils/periods';
+import SeatPersonEditor from './SeatPersonEditor';
 import './ManagerAssignment.css';
 
 function ManagerAssignment() {
-  const { personNodes, departments, setManager, removeManager, bulkSetManager, bulkRemoveManager } = useOrgChartStore();
+  const { personNodes, departments, seatPeople, requisitions, openRequisition, setManager, removeManager, bulkSetManager, bulkRemoveManager } = useOrgChartStore();
   const [isExpanded, setIsExpanded] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedPeople, setSelectedPeople] = useState(new Set());
   const [bulkManagerId, setBulkManagerId] = useState('');
   const [filterDepartmentId, setFilterDepartmentId] = useState('');
   const [managerSearchTerm, setManagerSearchTerm] = useState('');
+  const [editingSeatId, setEditingSeatId] = useState(null);
+
+  // Label a seat with the person in it, e.g. "GMs 3 – Jane Doe"
+  const seatLabel = (person) => {
+    const name = seatPeople[person.id]?.name;
+    return name ? `${person.displayName} – ${name}` : person.displayName;
+  };
 
   // Get unassigned people (no manager)
   const unassignedPeople = personNodes.filter(p => !p.managerId);
@@ -18,7 +29,8 @@ function ManagerAssignment() {
   // Filter person nodes based on search and department
   const filteredNodes = personNodes.filter(node => {
     const matchesSearch = node.displayName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         node.roleName.toLowerCase().includes(searchTerm.toLowerCase());
+                         node.roleName.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         matchesSeatPerson(seatPeople[node.id], searchTerm.toLowerCase());
     const matchesDept = !filterDepartmentId || node.departmentId === filterDepartmentId;
     return matchesSearch && matchesDept;
   });
@@ -29,7 +41,8 @@ function ManagerAssignment() {
     .filter(p => {
       if (!managerSearchTerm) return true;
       return p.displayName.toLowerCase().includes(managerSearchTerm.toLowerCase()) ||
-             p.roleName.toLowerCase().includes(managerSearchTerm.toLowerCase());
+             p.roleName.toLowerCase().includes(managerSearchTerm.toLowerCase()) ||
+             matchesSeatPerson(seatPeople[p.id], managerSearchTerm.toLowerCase());
     });
 
   const handleAssignManager = (personId, managerId) => {
@@ -121,7 +134,7 @@ function ManagerAssignment() {
           <div className="filter-controls">
             <input
               type="text"
-              placeholder="Search people..."
+              placeholder="Search roles or names..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="search-input"
@@ -164,6 +177,8 @@ function ManagerAssignment() {
               filteredNodes.map(person => {
                 const manager = personNodes.find(p => p.id === person.managerId);
                 const isSelected = selectedPeople.has(person.id);
+                const seatPerson = seatPeople[person.id];
+                const requisition = requisitions[person.id];
 
                 return (
                   <div key={person.id} className={`person-item ${isSelected ? 'selected' : ''}`}>
@@ -176,6 +191,22 @@ function ManagerAssignment() {
                         />
                         <span className="person-name">{person.displayName}</span>
                       </label>
+                      <button
+                        className="edit-seat-person-btn"
+                        onClick={() => setEditingSeatId(editingSeatId === person.id ? null : person.id)}
+                        title="Assign person to seat"
+                      >
+                        <Pencil size={14} />
+                      </button>
+                      {!requisition && seatPerson?.status !== 'filled' && (
+                        <button
+                          className="edit-seat-person-btn open-req-btn"
+                          onClick={() => openRequisition(person.id)}
+                          title="Open requisition"
+                        >
+                          <Briefcase size={14} />
+                        </button>
+                      )}
                       {person.managerId && (
                         <button
                           className="remove-manager-btn"
@@ -187,6 +218,24 @@ function ManagerAssignment() {
                       )}
                     </div>
 
+                    {seatPerson && (
+                      <div className="seat-person-summary">
+                        {seatPerson.name || 'Unnamed'}
+                        {seatPerson.status !== 'filled' && ` · ${getSeatStatusLabel(seatPerson.status)}`}
+                        {seatPerson.startDate && ` · starts ${seatPerson.startDate}`}
+                      </div>
+                    )}
+
+                    {requisition && (
+                      <div className="seat-person-summary">
+                        Req: {getStageLabel(requisition.stage)} · target {formatPeriod(requisition.targetQuarter)}
+                      </div>
+                    )}
+
+                    {editingSeatId === person.id && (
+                      <SeatPersonEditor person={person} onClose={() => setEditingSeatId(null)} />
+                    )}
+
                     {!isSelected && (
                       <>
                         <select
@@ -199,14 +248,14 @@ function ManagerAssignment() {
                             .filter(p => p.id !== person.id)
                             .map(p => (
                               <option key={p.id} value={p.id}>
-                                {p.displayName}
+                                {seatLabel(p)}
                               </option>
                             ))}
                         </select>
 
                         {manager && (
                           <div className="current-manager">
-                            Reports to: <strong>{manager.displayName}</strong>
+                            Reports to: <strong>{seatLabel(manager)}</strong>
                           </div>
                         )}
                       </>
@@ -256,7 +305,7 @@ function ManagerAssignment() {
             <option value="">-- Select a manager --</option>
             {filteredManagers.map(p => (
               <option key={p.id} value={p.id}>
-                {p.displayName}
+                {seatLabel(p)}
               </option>
             ))}
           </select>
@@ -1,17 +1,55 @@
 import { Calendar } from 'lucide-react';
 import { useOrgChartStore } from '../../stores/orgChartStore';
 import { getPersonCountsByQuarter } from '../../utils/roleExpander';
+import {
+  getPeriodTimeline,
+  groupPeriodsByYear,
+  formatPeriod,
+  makeYearView,
+  isAggregateView,
+  getViewPeriods,
+  ALL_PERIODS_VIEW
+} from '../../utils/periods';
 import './QuarterSelector.css';
 
-const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+const SEAT_CHANGES = [
+  { id: 'added', label: 'Added' },
+  { id: 'removed', label: 'Removed' },
+  { id: 'any', label: 'Added or removed' }
+];
 
 function QuarterSelector() {
-  const { selectedQuarter, setSelectedQuarter, roleTemplates } = useOrgChartStore();
+  const {
+    selectedQuarter,
+    setSelectedQuarter,
+    roleTemplates,
+    seatChangeFilter,
+    setSeatChangeFilter
+  } = useOrgChartStore();
 
   const personCounts = roleTemplates.length > 0
     ? getPersonCountsByQuarter(roleTemplates)
     : {};
 
+  const timeline = getPeriodTimeline(roleTemplates);
+  const years = groupPeriodsByYear(timeline);
+
+  // The first period has nothing before it to compare with
+  const filterPeriods = isAggregateView(selectedQuarter)
+    ? getViewPeriods(selectedQuarter, timeline).filter(period => period !== timeline[0])
+    : [];
+
+  const renderOption = (view) => (
+    <option key={view} value={view}>
+      {formatPeriod(view)} {personCounts[view] ? `(${personCounts[view]} people)` : ''}
+    </option>
+  );
+
+  const updateFilter = (changes) => {
+    const filter = { period: filterPeriods[0], change: 'added', ...seatChangeFilter, ...changes };
+    setSeatChangeFilter(filter.period ? filter : null);
+  };
+
   return (
     <div className="quarter-selector">
       <label>
@@ -24,12 +62,43 @@ function QuarterSelector() {
         onChange={(e) => setSelectedQuarter(e.target.value)}
         className="quarter-dropdown"
       >
-        {QUARTERS.map(quarter => (
-          <option key={quarter} value={quarter}>
-            {quarter} {personCounts[quarter] ? `(${personCounts[quarter]} people)` : ''}
-          </option>
+        {years.map(({ year, periods }) => (
+          <optgroup key={year} label={year}>
+            {periods.map(renderOption)}
+            {renderOption(makeYearView(year))}
+          </optgroup>
         ))}
+        {renderOption(ALL_PERIODS_VIEW)}
       </select>
+
+      {filterPeriods.length > 0 && (
+        <div className="seat-change-filter">
+          <span className="seat-change-label">Show seats</span>
+          <div className="seat-change-controls">
+            <select
+              value={seatChangeFilter?.change || ''}
+              onChange={(e) => e.target.value
+                ? updateFilter({ change: e.target.value })
+                : setSeatChangeFilter(null)}
+              className="quarter-dropdown"
+            >
+              <option value="">All seats</option>
+              {SEAT_CHANGES.map(change => (
+                <option key={change.id} value={change.id}>{change.label} in</option>
+              ))}
+            </select>
+            <select
+              value={seatChangeFilter?.period || filterPeriods[0]}
+              onChange={(e) => updateFilter({ period: e.target.value })}
+              className="quarter-dropdown"
+            >
+              {filterPeriods.map(period => (
+                <option key={period} value={period}>{formatPeriod(period)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
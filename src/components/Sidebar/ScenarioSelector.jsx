@@ -0,0 +1,89 @@
+import { Layers, Plus, Copy, Pencil, Trash2 } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import './ScenarioSelector.css';
+
+function ScenarioSelector() {
+  const {
+    scenarios,
+    getActiveScenario,
+    switchScenario,
+    createScenario,
+    cloneScenario,
+    renameScenario,
+    deleteScenario
+  } = useOrgChartStore();
+  const activeScenario = getActiveScenario();
+
+  const handleCreate = () => {
+    const name = window.prompt('Name for the new scenario (starts with no manager assignments):');
+    if (name && name.trim()) {
+      createScenario(name.trim());
+    }
+  };
+
+  const handleClone = () => {
+    const name = window.prompt('Name for the copy:', `${activeScenario.name} (copy)`);
+    if (name && name.trim()) {
+      cloneScenario(activeScenario.id, name.trim());
+    }
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('Rename scenario:', activeScenario.name);
+    if (name && name.trim()) {
+      renameScenario(activeScenario.id, name.trim());
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete scenario "${activeScenario.name}"? Its manager assignments and custom roles will be lost.`)) {
+      deleteScenario(activeScenario.id);
+    }
+  };
+
+  return (
+    <div className="scenario-selector">
+      <label>
+        <Layers size={16} />
+        <span>Scenario</span>
+      </label>
+
+      <select
+        value={activeScenario.id}
+        onChange={(e) => switchScenario(e.target.value)}
+        className="quarter-dropdown"
+      >
+        {scenarios.map(scenario => (
+          <option key={scenario.id} value={scenario.id}>
+            {scenario.name}
+          </option>
+        ))}
+      </select>
+
+      <div className="scenario-actions">
+        <button onClick={handleCreate} title="New scenario">
+          <Plus size={14} />
+          <span>New</span>
+        </button>
+        <button onClick={handleClone} title="Copy this scenario">
+          <Copy size={14} />
+          <span>Clone</span>
+        </button>
+        <button onClick={handleRename} title="Rename this scenario">
+          <Pencil size={14} />
+          <span>Rename</span>
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={scenarios.length <= 1}
+          title={scenarios.length <= 1 ? 'The only scenario cannot be deleted' : 'Delete this scenario'}
+          className="danger"
+        >
+          <Trash2 size={14} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioSelector;
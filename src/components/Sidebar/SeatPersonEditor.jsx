@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Check, X, Trash2 } from 'lucide-react';
+import { useOrgChartStore } from '../../stores/orgChartStore';
+import { SEAT_STATUSES } from '../../utils/seatPeople';
+import './SeatPersonEditor.css';
+
+/**
+ * SeatPersonEditor - Inline form for the employee or candidate in a seat
+ * @param {Object} person - Person node for the seat
+ * @param {Function} onClose - Called after saving or cancelling
+ */
+function SeatPersonEditor({ person, onClose }) {
+  const { seatPeople, setSeatPerson } = useOrgChartStore();
+  const existing = seatPeople[person.id];
+  const [record, setRecord] = useState(existing || { name: '', email: '', status: 'filled', startDate: '' });
+
+  const update = (changes) => setRecord({ ...record, ...changes });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (setSeatPerson(person.id, record)) {
+      onClose();
+    }
+  };
+
+  const handleClear = () => {
+    setSeatPerson(person.id, null);
+    onClose();
+  };
+
+  return (
+    <form className="seat-person-editor" onSubmit={handleSubmit}>
+      <div className="seat-person-row">
+        <input
+          type="text"
+          value={record.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Name"
+          className="form-input"
+          autoFocus
+        />
+        <select
+          value={record.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className="form-select"
+        >
+          {SEAT_STATUSES.map(status => (
+            <option key={status.id} value={status.id}>{status.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="seat-person-row">
+        <input
+          type="email"
+          value={record.email}
+          onChange={(e) => update({ email: e.target.value })}
+          placeholder="Email"
+          className="form-input"
+        />
+        <input
+          type="date"
+          value={record.startDate}
+          onChange={(e) => update({ startDate: e.target.value })}
+          className="form-input"
+          title="Start date"
+        />
+      </div>
+      <div className="seat-person-actions">
+        {existing && (
+          <button type="button" className="seat-person-clear" onClick={handleClear} title="Remove person from seat">
+            <Trash2 size={14} />
+          </button>
+        )}
+        <button type="button" className="seat-person-cancel" onClick={onClose}>
+          <X size={14} />
+          Cancel
+        </button>
+        <button type="submit" className="seat-person-save">
+          <Check size={14} />
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SeatPersonEditor;
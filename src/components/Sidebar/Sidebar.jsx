@@ -1,15 +1,21 @@
 import { useState } from 'react';
-import { BarChart3 } from 'lucide-react';
+import { BarChart3, GitCompare, Briefcase } from 'lucide-react';
+import ScenarioSelector from './ScenarioSelector';
 import QuarterSelector from './QuarterSelector';
 import ManagerAssignment from './ManagerAssignment';
 import AddRoleForm from './AddRoleForm';
 import ManagerBreakdown from '../Modals/ManagerBreakdown';
+import ScenarioDiffModal from '../Modals/ScenarioDiffModal';
+import PipelineBoard from '../Modals/PipelineBoard';
 import { useOrgChartStore } from '../../stores/orgChartStore';
+import { getDepartmentCosts, formatCost } from '../../utils/costRollup';
 import './Sidebar.css';
 
 function Sidebar() {
-  const { csvFileName, roleTemplates, personNodes, departments } = useOrgChartStore();
+  const { csvFileName, roleTemplates, personNodes, departments, selectedQuarter } = useOrgChartStore();
   const [showBreakdown, setShowBreakdown] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const [showPipeline, setShowPipeline] = useState(false);
 
   if (!csvFileName) {
     return (
@@ -22,11 +28,16 @@ function Sidebar() {
     );
   }
 
+  const departmentCosts = getDepartmentCosts(personNodes, roleTemplates, selectedQuarter);
+  const totalCost = Object.values(departmentCosts).reduce((sum, cost) => sum + cost, 0);
+
   return (
     <aside className="sidebar">
       <div className="sidebar-content">
         <h3>Controls</h3>
 
+        <ScenarioSelector />
+
         <QuarterSelector />
 
         <div className="sidebar-section">
@@ -41,11 +52,16 @@ function Sidebar() {
                     style={{ backgroundColor: dept.color }}
                   ></div>
                   <span className="department-name">{dept.displayName}</span>
+                  <span className="department-cost">{formatCost(departmentCosts[dept.id], true)}</span>
                   <span className="department-count">{deptPeople.length}</span>
                 </div>
               );
             })}
           </div>
+          <div className="department-total">
+            <span>Total cost (annualized)</span>
+            <span>{formatCost(totalCost)}</span>
+          </div>
         </div>
 
         <ManagerAssignment />
@@ -55,10 +71,22 @@ function Sidebar() {
           <span>View Manager Breakdown</span>
         </button>
 
+        <button className="breakdown-button compare-button" onClick={() => setShowDiff(true)}>
+          <GitCompare size={16} />
+          <span>Compare Changes</span>
+        </button>
+
+        <button className="breakdown-button pipeline-button" onClick={() => setShowPipeline(true)}>
+          <Briefcase size={16} />
+          <span>Hiring Pipeline</span>
+        </button>
+
         <AddRoleForm />
       </div>
 
       <ManagerBreakdown isOpen={showBreakdown} onClose={() => setShowBreakdown(false)} />
+      <ScenarioDiffModal isOpen={showDiff} onClose={() => setShowDiff(false)} />
+      <PipelineBoard isOpen={showPipeline} onClose={() => setShowPipeline(false)} />
     </aside>
   );
 }
@@ -3,24 +3,105 @@
  */
 
 import { useOrgChartStore } from '../stores/orgChartStore';
+import { isDestructiveCommand } from './claudeCommandService';
+import { getAllReports } from '../utils/roleExpander';
 
 /**
  * Execute a parsed command against the org chart store
+ * The whole command is recorded as one undo step, and a PLAN is applied all
+ * or nothing.
  * @param {Object} command - The parsed command object from Claude
  * @returns {Object} Result with success status and message
  */
 export function executeCommand(command) {
   const store = useOrgChartStore.getState();
-  const { type, params } = command;
+
+  if (command.type === 'PLAN') {
+    const { steps } = command.params;
+    return store.runAsTransaction(`AI command: ${steps.length}-step plan`, () => runPlan(steps));
+  }
+
+  const label = `AI command: ${command.type.toLowerCase().replace(/_/g, ' ')}`;
+  return store.runAsHistoryStep(label, () => runCommand(command));
+}
+
+/**
+ * Replace "$name" references with the IDs of roles created earlier in a plan
+ * @param {*} value - Command params, or any value inside them
+ * @param {Object} refs - Map of reference name to created role ID
+ * @returns {*} Value with references resolved
+ */
+function resolveRefs(value, refs) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    const name = value.slice(1);
+    if (!(name in refs)) {
+      throw new Error(`Unknown reference ${value}`);
+    }
+    return refs[name];
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveRefs(item, refs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveRefs(item, refs)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Apply each step of a plan, stopping at the first one that doesn't fully succeed
+ * @param {Array} steps - Commands in order
+ * @returns {Object} Result with success status and message
+ */
+function runPlan(steps) {
+  const refs = {};
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const result = runCommand(step, refs);
+    if (!result.success || result.partial) {
+      return {
+        success: false,
+        message: `Step ${i + 1} (${step.description || step.type}) failed: ${result.message.replace(/\.$/, '')}. No changes were made.`
+      };
+    }
+  }
+
+  return {
+    success: true,
+    message: `Completed all ${steps.length} steps`
+  };
+}
+
+/**
+ * Apply a parsed command's store actions
+ * @param {Object} command - The parsed command object
+ * @param {Object} refs - Roles created by earlier plan steps, by reference name;
+ *   roles this command creates under a `ref` are added to it
+ * @returns {Object} Result with success status and message, and `partial`
+ *   when only some of a bulk command's people or roles could be changed
+ */
+function runCommand(command, refs = {}) {
+  const store = useOrgChartStore.getState();
+  const { type } = command;
 
   try {
+    // Roles in one ADD_MULTIPLE_ROLES can refer to each other, so those are resolved one at a time
+    const params = type === 'ADD_MULTIPLE_ROLES' ? command.params : resolveRefs(command.params, refs);
+
     switch (type) {
       case 'ADD_ROLE': {
         const { roleName, departmentId, managerId } = params;
-        const success = store.addCustomRole(roleName, departmentId, managerId || null);
+        const createdId = store.addCustomRole(roleName, departmentId, managerId || null);
+        const ref = command.ref || params.ref;
+        if (createdId && ref) {
+          refs[ref] = createdId;
+        }
         return {
-          success,
-          message: success
+          success: Boolean(createdId),
+          message: createdId
             ? `Created new role: ${roleName}`
             : 'Failed to create role. Check department ID and manager ID.'
         };
@@ -28,15 +109,13 @@ export function executeCommand(command) {
 
       case 'ADD_MULTIPLE_ROLES': {
         const { roles } = params;
-        const results = [];
-        let createdIds = [];
+        const createdIds = [];
 
-        for (const role of roles) {
-          // If role references a manager from a previous role in this batch,
-          // we need to find the ID that was just created
+        for (const rawRole of roles) {
+          const role = resolveRefs(rawRole, refs);
           let managerId = role.managerId;
 
-          // Handle case where managerId is a placeholder like "new_manager_1"
+          // Older responses point at earlier roles in the batch as "new_manager_1", "new_manager_2", ...
           if (managerId && managerId.startsWith('new_manager_')) {
             const managerIndex = parseInt(managerId.split('_').pop()) - 1;
             if (createdIds[managerIndex]) {
@@ -44,24 +123,19 @@ export function executeCommand(command) {
             }
           }
 
-          const success = store.addCustomRole(role.roleName, role.departmentId, managerId || null);
-          results.push({ roleName: role.roleName, success });
-
-          // Track the ID of the newly created role for subsequent roles
-          if (success) {
-            const { personNodes } = useOrgChartStore.getState();
-            const newNode = personNodes.find(
-              p => p.roleName === role.roleName && p.isCustom
-            );
-            if (newNode) {
-              createdIds.push(newNode.id);
+          const createdId = store.addCustomRole(role.roleName, role.departmentId, managerId || null);
+          if (createdId) {
+            createdIds.push(createdId);
+            if (role.ref) {
+              refs[role.ref] = createdId;
             }
           }
         }
 
-        const successCount = results.filter(r => r.success).length;
+        const successCount = createdIds.length;
         return {
           success: successCount > 0,
+          partial: successCount < roles.length,
           message: `Created ${successCount} of ${roles.length} roles`
         };
       }
@@ -89,6 +163,7 @@ export function executeCommand(command) {
 
         return {
           success: successCount > 0,
+          partial: failCount > 0,
           message: successCount > 0
             ? `Deleted ${successCount} role(s)${failCount > 0 ? `. ${failCount} could not be deleted.` : ''}`
             : `Could not delete roles. ${errors.join('. ')}`
@@ -111,6 +186,7 @@ export function executeCommand(command) {
         const count = store.bulkSetManager(personIds, managerId);
         return {
           success: count > 0,
+          partial: count < personIds.length,
           message: count > 0
             ? `Assigned manager to ${count} people`
             : 'Failed to assign manager. Check for circular references.'
@@ -135,6 +211,113 @@ export function executeCommand(command) {
         };
       }
 
+      case 'RENAME_ROLE': {
+        const { roleId, roleName } = params;
+        const success = store.renameRole(roleId, roleName);
+        return {
+          success,
+          message: success
+            ? `Renamed role to ${roleName}`
+            : 'Failed to rename role. Check the role ID and name.'
+        };
+      }
+
+      case 'RENAME_DEPARTMENT': {
+        const { departmentId, name } = params;
+        const dept = store.departments.find(d => d.id === departmentId);
+        if (!dept || !name?.trim()) {
+          return {
+            success: false,
+            message: 'Failed to rename department. Check the department ID and name.'
+          };
+        }
+        store.updateDepartment(departmentId, { displayName: name.trim() });
+        return {
+          success: true,
+          message: `Renamed ${dept.displayName || dept.name} to ${name.trim()}`
+        };
+      }
+
+      case 'MOVE_ROLE_TO_DEPARTMENT': {
+        const { roleId, departmentId } = params;
+        const success = store.reassignRole(roleId, departmentId);
+        return {
+          success,
+          message: success
+            ? 'Role moved to the new department'
+            : 'Failed to move role. Check the role ID and department ID.'
+        };
+      }
+
+      case 'SET_HEADCOUNT': {
+        const { roleId, quarter, headcount } = params;
+        const success = store.setRoleHeadcount(roleId, quarter, headcount);
+        return {
+          success,
+          message: success
+            ? `Set headcount to ${headcount} in ${quarter}`
+            : `Failed to set headcount. ${useOrgChartStore.getState().error}`
+        };
+      }
+
+      case 'MOVE_SUBTREE': {
+        const { personId, managerId, departmentId } = params;
+        const person = store.personNodes.find(p => p.id === personId);
+        const manager = store.personNodes.find(p => p.id === managerId);
+        if (!person || !manager || (departmentId && !store.departments.some(d => d.id === departmentId))) {
+          return {
+            success: false,
+            message: 'Failed to move team. Check the person ID, manager ID and department ID.'
+          };
+        }
+
+        const team = getAllReports(personId, store.personNodes);
+        if (!store.setManager(personId, managerId)) {
+          return {
+            success: false,
+            message: `Cannot move ${person.displayName} under ${manager.displayName}, who reports to them`
+          };
+        }
+
+        if (departmentId) {
+          // Departments belong to roles, so every seat of each role in the team moves
+          const roleIds = [...new Set([person, ...team].map(p => (p.isCustom ? p.id : p.templateId)))];
+          roleIds.forEach(roleId => store.reassignRole(roleId, departmentId));
+        }
+
+        return {
+          success: true,
+          message: `Moved ${person.displayName} and ${team.length} ${team.length === 1 ? 'person' : 'people'} under ${manager.displayName}`
+        };
+      }
+
+      case 'FOCUS': {
+        const { personId } = params;
+        const person = store.personNodes.find(p => p.id === personId);
+        if (!person) {
+          return {
+            success: false,
+            message: 'Failed to find that person in the current view'
+          };
+        }
+        store.focusNode(personId);
+        return {
+          success: true,
+          message: `Showing ${person.displayName}`
+        };
+      }
+
+      case 'COLLAPSE':
+      case 'EXPAND': {
+        const { personIds } = params;
+        const collapse = type === 'COLLAPSE';
+        store.setNodesCollapsed(personIds, collapse);
+        return {
+          success: true,
+          message: `${collapse ? 'Collapsed' : 'Expanded'} ${personIds.length} ${personIds.length === 1 ? 'team' : 'teams'}`
+        };
+      }
+
       default:
         return {
           success: false,
@@ -150,20 +333,87 @@ export function executeCommand(command) {
   }
 }
 
+/**
+ * Stand-in node for a role a plan step will create, so later steps can name it
+ * @param {Object} role - Role params with a `ref`
+ * @param {number} stepNumber - 1-based plan step
+ * @param {Array} departments - Departments from the store
+ * @returns {Object} Node-like object keyed by the "$ref" placeholder
+ */
+function getPlannedNode(role, stepNumber, departments) {
+  const dept = departments.find(d => d.id === role.departmentId);
+  return {
+    id: `$${role.ref}`,
+    roleName: role.roleName,
+    displayName: `${role.roleName} (new, step ${stepNumber})`,
+    department: dept?.displayName || dept?.name || role.departmentId,
+    departmentId: role.departmentId,
+    isCustom: true
+  };
+}
+
+/**
+ * Look up a role template or custom role for a preview
+ * @param {string} roleId - Role template ID or custom role ID
+ * @param {Array} personNodes - Person nodes, including planned ones
+ * @param {Array} roleTemplates - Role templates from the store
+ * @returns {Object|null} { name, departmentId, quarters, seats } with the role's seats in the current view
+ */
+function findPreviewRole(roleId, personNodes, roleTemplates) {
+  const template = roleTemplates.find(t => t.id === roleId);
+  if (template) {
+    return {
+      name: template.cleanName,
+      departmentId: template.departmentId,
+      quarters: template.quarters,
+      seats: personNodes.filter(p => p.templateId === roleId)
+    };
+  }
+
+  const custom = personNodes.find(p => p.isCustom && p.id === roleId);
+  return custom
+    ? { name: custom.roleName, departmentId: custom.departmentId, quarters: null, seats: [custom] }
+    : null;
+}
+
+/**
+ * List up to 10 people in a preview's details
+ * @param {Object} preview - Preview being built
+ * @param {Array<string>} ids - Person IDs
+ * @param {Array} personNodes - Person nodes, including planned ones
+ */
+function addPeopleDetails(preview, ids, personNodes) {
+  ids.slice(0, 10).forEach(id => {
+    const person = personNodes.find(p => p.id === id);
+    if (person) {
+      preview.details.push(`  - ${person.displayName}`);
+    }
+  });
+  if (ids.length > 10) {
+    preview.details.push(`  ... and ${ids.length - 10} more`);
+  }
+}
+
 /**
  * Get a preview of what the command will do without executing
  * @param {Object} command - The parsed command object
- * @returns {Object} Preview information
+ * @param {Array} plannedNodes - Roles created by earlier plan steps, from getPlannedNode
+ * @returns {Object} Preview information; a PLAN's has one preview per step in `steps`
  */
-export function getCommandPreview(command) {
+export function getCommandPreview(command, plannedNodes = []) {
   const store = useOrgChartStore.getState();
-  const { personNodes, departments } = store;
+  const { departments, roleTemplates } = store;
+  const getDepartmentName = (departmentId) => {
+    const dept = departments.find(d => d.id === departmentId);
+    return dept?.displayName || dept?.name || departmentId;
+  };
+  const personNodes = plannedNodes.length > 0 ? [...store.personNodes, ...plannedNodes] : store.personNodes;
   const { type, params, description, isDestructive, affectedCount } = command;
 
   const preview = {
     type,
     description,
-    isDestructive: isDestructive || false,
+    isDestructive: Boolean(isDestructive) || isDestructiveCommand(type),
     affectedCount: affectedCount || 0,
     details: []
   };
@@ -188,8 +438,35 @@ export function getCommandPreview(command) {
       preview.affectedCount = roles.length;
       roles.forEach((role, index) => {
         const dept = departments.find(d => d.id === role.departmentId);
-        preview.details.push(`${index + 1}. ${role.roleName} (${dept?.displayName || dept?.name || role.departmentId})`);
+        const manager = role.managerId
+          ? personNodes.find(p => p.id === role.managerId)
+          : null;
+        preview.details.push(
+          `${index + 1}. ${role.roleName} (${dept?.displayName || dept?.name || role.departmentId})${manager ? `, reports to ${manager.displayName}` : ''}`
+        );
+      });
+      break;
+    }
+
+    case 'PLAN': {
+      const planned = [...plannedNodes];
+      preview.steps = params.steps.map((step, index) => {
+        const stepPreview = getCommandPreview(step, planned);
+
+        // Later steps can refer to the roles this step creates
+        if (step.type === 'ADD_ROLE' || step.type === 'ADD_MULTIPLE_ROLES') {
+          const createdRoles = step.type === 'ADD_MULTIPLE_ROLES'
+            ? step.params.roles
+            : [{ ...step.params, ref: step.ref || step.params.ref }];
+          createdRoles
+            .filter(role => role.ref)
+            .forEach(role => planned.push(getPlannedNode(role, index + 1, departments)));
+        }
+
+        return stepPreview;
       });
+      preview.isDestructive = preview.isDestructive || preview.steps.some(step => step.isDestructive);
+      preview.affectedCount = preview.steps.reduce((sum, step) => sum + step.affectedCount, 0);
       break;
     }
 
@@ -246,6 +523,90 @@ export function getCommandPreview(command) {
       }
       break;
     }
+
+    case 'RENAME_ROLE':
+    case 'MOVE_ROLE_TO_DEPARTMENT': {
+      const role = findPreviewRole(params.roleId, personNodes, roleTemplates);
+      if (!role) {
+        preview.details.push(`Unknown role: ${params.roleId}`);
+        break;
+      }
+      preview.affectedCount = role.seats.length;
+      if (type === 'RENAME_ROLE') {
+        preview.details.push(`Role: ${role.name} → ${params.roleName}`);
+      } else {
+        preview.details.push(`Role: ${role.name}`);
+        preview.details.push(`Department: ${getDepartmentName(role.departmentId)} → ${getDepartmentName(params.departmentId)}`);
+      }
+      if (role.quarters) {
+        preview.details.push(`Applies to every seat of the role (${role.seats.length} in this view)`);
+      }
+      break;
+    }
+
+    case 'RENAME_DEPARTMENT': {
+      preview.affectedCount = personNodes.filter(p => p.departmentId === params.departmentId).length;
+      preview.details.push(`Department: ${getDepartmentName(params.departmentId)} → ${params.name}`);
+      break;
+    }
+
+    case 'SET_HEADCOUNT': {
+      const role = findPreviewRole(params.roleId, personNodes, roleTemplates);
+      if (!role?.quarters) {
+        preview.details.push(`Unknown role: ${params.roleId} (custom roles have no planned headcount)`);
+        break;
+      }
+      const current = role.quarters[params.quarter] || 0;
+      preview.affectedCount = Math.abs(params.headcount - current);
+      preview.isDestructive = preview.isDestructive || params.headcount < current;
+      preview.details.push(`Role: ${role.name} (${getDepartmentName(role.departmentId)})`);
+      preview.details.push(`Period: ${params.quarter}`);
+      preview.details.push(`Headcount: ${current} → ${params.headcount}`);
+      if (params.headcount < current) {
+        preview.details.push(`Removes ${current - params.headcount} seat(s) in ${params.quarter}`);
+      }
+      break;
+    }
+
+    case 'MOVE_SUBTREE': {
+      const person = personNodes.find(p => p.id === params.personId);
+      const manager = personNodes.find(p => p.id === params.managerId);
+      const team = getAllReports(params.personId, personNodes);
+      preview.affectedCount = team.length + 1;
+      preview.details.push(`Moving: ${person?.displayName || params.personId} and ${team.length} ${team.length === 1 ? 'person' : 'people'} below them`);
+      preview.details.push(`New manager: ${manager?.displayName || params.managerId}`);
+      if (params.departmentId) {
+        // reassignRole moves whole roles, including their seats outside the team
+        const members = [person, ...team].filter(Boolean);
+        const roleIds = new Set(members.map(p => (p.isCustom ? p.id : p.templateId)));
+        const memberIds = new Set(members.map(p => p.id));
+        const outside = personNodes.filter(p => !memberIds.has(p.id) && !p.isCustom && roleIds.has(p.templateId));
+        preview.details.push(`Department for every role in the team: ${getDepartmentName(params.departmentId)}`);
+        if (outside.length > 0) {
+          preview.details.push(`Also moves ${outside.length} seat(s) of those roles outside the team, and their seats in other periods`);
+        } else {
+          preview.details.push('Also moves seats of those roles in other periods');
+        }
+      }
+      if (team.length > 0) {
+        preview.details.push('Team:');
+        addPeopleDetails(preview, team.map(p => p.id), personNodes);
+      }
+      break;
+    }
+
+    case 'FOCUS': {
+      const person = personNodes.find(p => p.id === params.personId);
+      preview.details.push(`Show: ${person?.displayName || params.personId}`);
+      break;
+    }
+
+    case 'COLLAPSE':
+    case 'EXPAND': {
+      preview.details.push(type === 'COLLAPSE' ? 'Teams to collapse:' : 'Teams to expand:');
+      addPeopleDetails(preview, params.personIds, personNodes);
+      break;
+    }
   }
 
   return preview;
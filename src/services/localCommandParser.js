@@ -0,0 +1,405 @@
+/**
+ * Rule-based parser for formulaic commands, so common edits work offline
+ * Produces the same { type, description, isDestructive, params, affectedCount }
+ * commands as the model, for getCommandPreview and executeCommand.
+ *
+ * Understood forms:
+ *   assign|move <people> to|under <person>      <people> reports to <person>
+ *   make <person> the manager of <people>
+ *   unassign <people>                           remove manager from <people>
+ *   add|hire [count] <role> [in <department>] [under <person> | to <person>'s team]
+ *   delete <people>                             (custom roles only)
+ * where <people> is a name, "all <role>" ("all GMs in Sales"), "<count> <role>"
+ * or a comma/"and" list of those.
+ */
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, twenty: 20
+};
+
+// Minimum fuzzy score for a name or role to count as a match
+const MATCH_THRESHOLD = 0.75;
+
+// A second command chained onto the first ("add X and move Y under Z"); left to the model as a plan
+const CHAINED_COMMAND = /(?:[,;]|\b(?:and|then|also)\b)\s+(?:then\s+|also\s+)?(?:add|create|hire|move|assign|reassign|put|place|make|remove|delete|unassign|detach|rename|set)\b/i;
+
+// Role text that carries more than a role name
+const NOT_A_ROLE_NAME = /[,;]|\b(?:and|then|also|move|assign|reassign|put|place|remove|delete|unassign|rename)\b/i;
+
+function singularize(word) {
+  if (word.length <= 3) return word.replace(/s$/, '');
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses') || word.endsWith('ss')) return word.replace(/es$/, '');
+  return word.replace(/s$/, '');
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(singularize);
+}
+
+function parseCount(word) {
+  if (!word) return null;
+  const lower = word.toLowerCase();
+  if (/^\d+$/.test(lower)) return parseInt(lower, 10);
+  return NUMBER_WORDS[lower] || null;
+}
+
+/**
+ * How well a query names a role, department or person (0-1)
+ * Exact matches beat initials ("GM" for "General Manager"), which beat the
+ * query's words all appearing in the name ("engineer" in "AI Engineer").
+ */
+function matchScore(query, name) {
+  const queryTokens = tokenize(query);
+  const nameTokens = tokenize(name);
+  if (queryTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  const queryText = queryTokens.join(' ');
+  const nameText = nameTokens.join(' ');
+  if (queryText === nameText) return 1;
+
+  const initials = nameTokens.filter(t => !['of', 'and', 'the', 'for'].includes(t)).map(t => t[0]).join('');
+  if (queryTokens.length === 1 && initials.length > 1 && queryText === initials) return 0.95;
+
+  if (queryTokens.every(q => nameTokens.some(n => n === q || (q.length >= 3 && n.startsWith(q))))) {
+    return 0.8 + 0.1 * (queryTokens.length / nameTokens.length);
+  }
+  return 0;
+}
+
+/**
+ * Items with the best score at or above the threshold
+ */
+function bestMatches(query, items, getNames) {
+  let best = 0;
+  let matches = [];
+  items.forEach(item => {
+    const score = Math.max(...getNames(item).map(name => matchScore(query, name)));
+    if (score < MATCH_THRESHOLD || score < best) return;
+    if (score > best) {
+      best = score;
+      matches = [];
+    }
+    matches.push(item);
+  });
+  return matches;
+}
+
+// Role names from the sheet are often plural already ("GMs", "AI Engineers")
+function pluralize(roleName) {
+  return /s$/i.test(roleName) ? roleName : `${roleName}s`;
+}
+
+function describePeople(people) {
+  if (people.length === 1) return people[0].displayName;
+  const roles = [...new Set(people.map(p => p.roleName))];
+  return roles.length === 1 ? `${people.length} ${pluralize(roles[0])}` : `${people.length} people`;
+}
+
+function findDepartment(text, departments) {
+  const matches = bestMatches(text, departments, d => [d.displayName, d.name].filter(Boolean));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Resolve one person by display name, seat person name or a role with one seat
+ * @returns {{person: Object}|{error: string}}
+ */
+function resolvePerson(text, ctx) {
+  const { personNodes, seatPeople } = ctx;
+  const names = (person) => [person.displayName, seatPeople[person.id]?.name].filter(Boolean);
+
+  const exact = personNodes.filter(p => names(p).some(name => tokenize(name).join(' ') === tokenize(text).join(' ')));
+  if (exact.length === 1) return { person: exact[0] };
+
+  // First names: "Sarah" for "Sarah Chen"
+  const query = tokenize(text).join(' ');
+  const byFirstName = personNodes.filter(p => seatPeople[p.id]?.name && tokenize(seatPeople[p.id].name)[0] === query);
+  if (byFirstName.length === 1) return { person: byFirstName[0] };
+
+  const matches = exact.length > 1 ? exact : bestMatches(text, personNodes, names);
+  if (matches.length === 1) return { person: matches[0] };
+  if (matches.length === 0) return { error: `No one matches "${text}"` };
+
+  // Clicking a suggestion runs it, so each one is the whole command with the name resolved
+  return {
+    error: `"${text}" matches ${matches.length} people`,
+    suggestions: matches.slice(0, 5).map(p => replaceInCommand(ctx.command, text, p.displayName)).filter(Boolean)
+  };
+}
+
+/**
+ * The command with one phrase replaced (case-insensitive), or null when it isn't in the command
+ */
+function replaceInCommand(command, phrase, replacement) {
+  const index = command.toLowerCase().indexOf(phrase.trim().toLowerCase());
+  if (index === -1) return null;
+  return `${command.slice(0, index)}${replacement}${command.slice(index + phrase.trim().length)}`;
+}
+
+/**
+ * Resolve a people expression: a name, "all <role> [in <department>]",
+ * "<count> <role>" or a list of those
+ * @returns {{people: Array}|{error: string}}
+ */
+function resolvePeople(text, ctx) {
+  const trimmed = text.trim().replace(/^the\s+/i, '');
+
+  const all = trimmed.match(/^(?:all|every|each)\s+(?:of\s+)?(?:the\s+)?(.+?)(?:\s+(?:in|from)\s+(?:the\s+)?(.+?))?$/i);
+  const counted = trimmed.match(/^(\d+|two|three|four|five|six|seven|eight|nine|ten|twelve|twenty)\s+(.+)$/i);
+  if (all || counted) {
+    let roleText = all ? all[1] : counted[2];
+    let candidates = ctx.personNodes;
+
+    const deptText = all?.[2];
+    if (deptText) {
+      const dept = findDepartment(deptText, ctx.departments);
+      if (!dept) return { error: `No department matches "${deptText}"` };
+      candidates = candidates.filter(p => p.departmentId === dept.id);
+    }
+
+    const roles = [...new Set(candidates.map(p => p.roleName))];
+    const matchedRoles = bestMatches(roleText, roles, role => [role]);
+    const people = candidates.filter(p => matchedRoles.includes(p.roleName));
+    if (people.length === 0) return { error: `No roles match "${roleText}"` };
+
+    return { people: counted ? people.slice(0, parseCount(counted[1])) : people };
+  }
+
+  const single = resolvePerson(trimmed, ctx);
+  if (single.person) return { people: [single.person] };
+
+  // Lists: "Sales Manager 1, Sales Manager 2 and AE 3"
+  const parts = trimmed.split(/\s*,\s*(?:and\s+)?|\s+and\s+/i).filter(Boolean);
+  if (parts.length > 1) {
+    const people = [];
+    for (const part of parts) {
+      const resolved = resolvePeople(part, ctx);
+      if (resolved.error) return resolved;
+      resolved.people.forEach(p => {
+        if (!people.includes(p)) people.push(p);
+      });
+    }
+    return { people };
+  }
+
+  return single;
+}
+
+function failure(resolved) {
+  return { success: false, error: resolved.error, suggestions: resolved.suggestions, source: 'local' };
+}
+
+function success(command) {
+  return { success: true, command, source: 'local' };
+}
+
+function buildAssign(peopleText, managerText, ctx) {
+  const resolvedManager = resolvePerson(managerText.replace(/['’]s\s+team$/i, ''), ctx);
+  if (resolvedManager.error) return failure(resolvedManager);
+  const resolved = resolvePeople(peopleText, ctx);
+  if (resolved.error) return failure(resolved);
+
+  const manager = resolvedManager.person;
+  const people = resolved.people.filter(p => p.id !== manager.id);
+  if (people.length === 0) return failure({ error: 'A person cannot report to themselves' });
+
+  const description = `Assign ${describePeople(people)} to report to ${manager.displayName}`;
+  if (people.length === 1) {
+    return success({
+      type: 'SET_MANAGER',
+      description,
+      isDestructive: false,
+      params: { personId: people[0].id, managerId: manager.id },
+      affectedCount: 1
+    });
+  }
+  return success({
+    type: 'BULK_SET_MANAGER',
+    description,
+    isDestructive: false,
+    params: { personIds: people.map(p => p.id), managerId: manager.id },
+    affectedCount: people.length
+  });
+}
+
+function buildUnassign(peopleText, ctx) {
+  const resolved = resolvePeople(peopleText, ctx);
+  if (resolved.error) return failure(resolved);
+
+  const people = resolved.people;
+  const description = `Remove the manager from ${describePeople(people)}`;
+  if (people.length === 1) {
+    return success({
+      type: 'REMOVE_MANAGER',
+      description,
+      isDestructive: true,
+      params: { personId: people[0].id },
+      affectedCount: 1
+    });
+  }
+  return success({
+    type: 'BULK_REMOVE_MANAGER',
+    description,
+    isDestructive: true,
+    params: { personIds: people.map(p => p.id) },
+    affectedCount: people.length
+  });
+}
+
+function buildDelete(peopleText, ctx) {
+  const resolved = resolvePeople(peopleText, ctx);
+  if (resolved.error) return failure(resolved);
+
+  const people = resolved.people;
+  return success({
+    type: 'DELETE_ROLE',
+    description: `Delete ${describePeople(people)}`,
+    isDestructive: true,
+    params: { personIds: people.map(p => p.id) },
+    affectedCount: people.length
+  });
+}
+
+/**
+ * Manager for new roles when none is named: whoever manages that role now,
+ * otherwise the department member with the most direct reports
+ */
+function inferManager(roleName, departmentId, personNodes) {
+  const reportCount = (id) => personNodes.filter(p => p.managerId === id).length;
+  const byCount = (a, b) => reportCount(b.id) - reportCount(a.id);
+
+  const roleManagers = personNodes
+    .filter(p => p.roleName === roleName && p.managerId)
+    .map(p => personNodes.find(m => m.id === p.managerId))
+    .filter(Boolean);
+  if (roleManagers.length > 0) return [...new Set(roleManagers)].sort(byCount)[0];
+
+  return personNodes.filter(p => p.departmentId === departmentId && reportCount(p.id) > 0).sort(byCount)[0] || null;
+}
+
+function buildAdd(rest, ctx) {
+  let text = rest.trim();
+  let managerText = null;
+  let deptText = null;
+
+  const team = text.match(/^(.*?)\s+(?:to|on|in|for)\s+(.+?)['’]s\s+team$/i);
+  const under = text.match(/^(.*?)\s+(?:under|reporting to|reporting into|that reports? to|who reports? to|to report to)\s+(.+)$/i);
+  if (team || under) {
+    [, text, managerText] = team || under;
+  }
+  const dept = text.match(/^(.*?)\s+(?:in|to|into)\s+(?:the\s+)?(.+?)(?:\s+(?:department|dept|team))?$/i);
+  if (dept && findDepartment(dept[2], ctx.departments)) {
+    [, text, deptText] = dept;
+  }
+
+  const countMatch = text.match(/^(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve|twenty)\s+(?:new\s+)?(.+)$/i);
+  const count = countMatch ? parseCount(countMatch[1]) : 1;
+  const roleText = (countMatch ? countMatch[2] : text).replace(/^new\s+/i, '').trim();
+  if (!roleText) return null;
+
+  // Reuse an existing role's name and department when it matches
+  const roles = [...new Set(ctx.personNodes.map(p => p.roleName))];
+  const existingRole = bestMatches(roleText, roles, role => [role]).find(role => matchScore(roleText, role) >= 0.95);
+  // "a Head of X and 2 PMs" or "a PM and move ..." isn't one role; the model handles it
+  if (!existingRole && NOT_A_ROLE_NAME.test(roleText)) return null;
+  if (count > 50) return failure({ error: `Adding ${count} roles at once is too many; add at most 50` });
+  // "3 Data Engineers" adds "Data Engineer"; "2 VPs of Sales" adds "VP of Sales"
+  const typedRole = count > 1 ? roleText.replace(/(\w+)(?=\s+of\s|$)/i, word => singularize(word)) : roleText;
+  const roleName = existingRole
+    || (typedRole === typedRole.toLowerCase() ? typedRole.replace(/\b[a-z]/g, c => c.toUpperCase()) : typedRole);
+
+  let manager = null;
+  if (managerText) {
+    const resolvedManager = resolvePerson(managerText, ctx);
+    if (resolvedManager.error) return failure(resolvedManager);
+    manager = resolvedManager.person;
+  }
+
+  // An existing role stays in its department; a new one joins its manager's
+  let department = deptText ? findDepartment(deptText, ctx.departments) : null;
+  if (!department) {
+    const departmentId = ctx.personNodes.find(p => p.roleName === existingRole)?.departmentId
+      || manager?.departmentId;
+    department = ctx.departments.find(d => d.id === departmentId) || null;
+  }
+  if (!department) {
+    return failure({
+      error: `Which department should ${roleName} be in?`,
+      suggestions: ctx.departments.slice(0, 5).map(d => `add ${roleText} in ${d.displayName}`)
+    });
+  }
+
+  manager = manager || inferManager(roleName, department.id, ctx.personNodes);
+  const reportsTo = manager ? `, reporting to ${manager.displayName}` : '';
+  const role = { roleName, departmentId: department.id, managerId: manager?.id || null };
+
+  if (count === 1) {
+    return success({
+      type: 'ADD_ROLE',
+      description: `Add ${roleName} to ${department.displayName}${reportsTo}`,
+      isDestructive: false,
+      params: role,
+      affectedCount: 1
+    });
+  }
+  return success({
+    type: 'ADD_MULTIPLE_ROLES',
+    description: `Add ${count} ${pluralize(roleName)} to ${department.displayName}${reportsTo}`,
+    isDestructive: false,
+    params: { roles: Array.from({ length: count }, () => ({ ...role })) },
+    affectedCount: count
+  });
+}
+
+/**
+ * Parse a command without the model
+ * @param {string} command - The user's text command
+ * @param {Object} store - Store state ({ personNodes, departments, seatPeople })
+ * @returns {Object|null} { success, command } or { success: false, error, suggestions }
+ *   like interpretCommand, or null when the command isn't one of the understood forms
+ */
+export function parseLocalCommand(command, store) {
+  const text = command.trim().replace(/[.!]+$/, '');
+  if (CHAINED_COMMAND.test(text)) return null;
+
+  const ctx = {
+    command: text,
+    personNodes: store.personNodes || [],
+    departments: store.departments || [],
+    seatPeople: store.seatPeople || {}
+  };
+  let match;
+
+  if ((match = text.match(/^(?:please\s+)?(?:unassign|detach)\s+(.+?)(?:\s+from\s+(?:their|his|her|its|the)\s+managers?)?$/i))) {
+    return buildUnassign(match[1], ctx);
+  }
+  if ((match = text.match(/^(?:please\s+)?(?:remove|clear|drop)\s+(?:the\s+)?managers?\s+(?:from|for|of)\s+(.+)$/i))) {
+    return buildUnassign(match[1], ctx);
+  }
+  if ((match = text.match(/^(?:please\s+)?make\s+(.+?)\s+(?:the\s+)?manager\s+(?:of|for)\s+(.+)$/i))) {
+    return buildAssign(match[2], match[1], ctx);
+  }
+  if ((match = text.match(/^(?:please\s+)?(?:assign|move|put|place|reassign)\s+(.+?)\s+(?:to report to|to report into|reporting to|to|under|into|onto)\s+(.+)$/i))) {
+    return buildAssign(match[1], match[2], ctx);
+  }
+  if ((match = text.match(/^(.+?)\s+(?:should\s+)?(?:reports?|reporting)\s+(?:to|into)\s+(.+)$/i))) {
+    return buildAssign(match[1], match[2], ctx);
+  }
+  if ((match = text.match(/^(?:please\s+)?(?:add|create|hire)\s+(.+)$/i))) {
+    return buildAdd(match[1], ctx);
+  }
+  if ((match = text.match(/^(?:please\s+)?(?:delete|remove)\s+(.+)$/i))) {
+    return buildDelete(match[1], ctx);
+  }
+
+  return null;
+}
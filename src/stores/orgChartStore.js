@@ -1,8 +1,17 @@
 import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
-import { parseOrgChartCSV } from '../utils/csvParser';
-import { expandRoleTemplates } from '../utils/roleExpander';
-import { calculateLayout } from '../utils/layoutEngine';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { readCSVRows, detectCSVMapping, processCSVData } from '../utils/csvParser';
+import { expandRoleTemplates, getStartQuarter, getSeatChange } from '../utils/roleExpander';
+import { DEFAULT_PERIOD, getPeriodTimeline, migrateLegacyPeriods, getViewPeriods, isAggregateView } from '../utils/periods';
+import { calculateLayout, calculateDepartmentRegions, LAYOUT_TYPES, DEFAULT_COLUMN_WRAP } from '../utils/layoutEngine';
+import { reconcileImport, remapRoleDepartments, applyRoleDepartments, carryOverDepartmentEdits } from '../utils/importMerge';
+import { isWorkbookFile, readWorkbook, getSheetRows } from '../utils/xlsxReader';
+import { getSubtreeCosts } from '../utils/costRollup';
+import { diffOrgStates, getDiffHighlights, getPersonDiffStatus, getExportManagerAssignments } from '../utils/scenarioDiff';
+import { normalizeSeatPerson } from '../utils/seatPeople';
+import { REQUISITION_STAGES, getUntrackedFutureSeats } from '../utils/requisitions';
+import { buildFlatRows, parseFlatAssignments } from '../utils/flatExport';
+import { encodeHistoryStack, decodeHistoryStack } from '../utils/historyPatches';
 
 /**
  * Check if assigning a manager would create a circular reference
@@ -29,6 +38,439 @@ function wouldCreateCircular(personId, newManagerId, allPersonNodes) {
   return false;
 }
 
+/**
+ * Expand role templates for a period and apply the canonical manager assignments
+ * Managers referenced by assignments but not active in the period are added as
+ * future-role placeholders.
+ * @param {Array} roleTemplates - Role templates
+ * @param {string} quarter - Period to expand for
+ * @param {Object} managerAssignments - Canonical { personId: managerId } map
+ * @param {Array} customNodes - Custom person nodes to keep
+ * @returns {Array} Person nodes
+ */
+function buildPersonNodes(roleTemplates, quarter, managerAssignments, customNodes = []) {
+  // Get all manager IDs from canonical assignments (this never gets corrupted)
+  const referencedManagerIds = [...new Set(Object.values(managerAssignments).filter(Boolean))];
+
+  // Expand with manager IDs so future managers appear as placeholders
+  const personNodes = expandRoleTemplates(roleTemplates, quarter, referencedManagerIds);
+
+  // Custom roles aren't backed by templates, so carry them over as-is
+  customNodes.forEach(node => {
+    personNodes.push({ ...node, managerId: null });
+  });
+
+  // Apply manager assignments from canonical source
+  personNodes.forEach(node => {
+    if (managerAssignments[node.id]) {
+      node.managerId = managerAssignments[node.id];
+    }
+  });
+
+  // Ensure all referenced managers exist as placeholders
+  const existingIds = new Set(personNodes.map(n => n.id));
+
+  // Recursively create placeholders for missing managers
+  let iterations = 0;
+  while (iterations < 10) {
+    const missingManagers = new Set();
+    personNodes.forEach(node => {
+      if (node.managerId && !existingIds.has(node.managerId)) {
+        missingManagers.add(node.managerId);
+      }
+    });
+
+    if (missingManagers.size === 0) break;
+
+    missingManagers.forEach(managerId => {
+      const match = managerId.match(/^(role-\d+)-person-(\d+)$/);
+      if (match) {
+        const templateId = match[0].replace(/-person-\d+$/, '');
+        const template = roleTemplates.find(t => t.id === templateId);
+        if (template) {
+          const timeline = getPeriodTimeline(roleTemplates);
+          const startQuarter = getStartQuarter(template.quarters, timeline);
+
+          personNodes.push({
+            id: managerId,
+            templateId: template.id,
+            roleName: template.cleanName,
+            displayName: template.cleanName,
+            department: template.department,
+            departmentId: template.departmentId,
+            managerId: managerAssignments[managerId] || null,
+            position: { x: 0, y: 0 },
+            activeInQuarters: timeline.filter(period => template.quarters[period] > 0),
+            filledInQuarters: timeline.filter(period => template.quarters[period] > parseInt(match[2], 10)),
+            startQuarter,
+            isFutureRole: true,
+            metadata: {
+              originalRoleName: template.originalName,
+              costPerRole: template.costPerRole,
+              instanceNumber: 1,
+              totalInstances: 1,
+              templateMetadata: template.metadata
+            }
+          });
+          existingIds.add(managerId);
+        }
+      }
+    });
+    iterations++;
+  }
+
+  return personNodes;
+}
+
+/**
+ * Keep the selected view if the timeline covers it, otherwise fall back to the
+ * default period or the last one on the timeline
+ * @param {Array<string>} timeline - Sorted period IDs
+ * @param {string} quarter - Currently selected period or view
+ * @returns {string} Period to show
+ */
+function pickQuarter(timeline, quarter) {
+  if (getViewPeriods(quarter, timeline).length > 0) return quarter;
+  return timeline.includes(DEFAULT_PERIOD) ? DEFAULT_PERIOD : (timeline[timeline.length - 1] || DEFAULT_PERIOD);
+}
+
+// Maximum undo steps kept; history is persisted as patches (see historyPatches), so keep it bounded
+const HISTORY_LIMIT = 50;
+
+// Undo steps kept for scenarios that aren't active
+const INACTIVE_HISTORY_LIMIT = 10;
+
+// Depth of nested runAsHistoryStep calls; mutations inside a step don't record their own entries
+let historyStepDepth = 0;
+
+// Step recorded by recordHistory and not yet settled: { label, state, allScenarios }
+let pendingStep = null;
+
+// Orders entries across the shared and per-scenario stacks
+let lastHistorySeq = 0;
+
+function nextHistorySeq() {
+  lastHistorySeq = Math.max(Date.now(), lastHistorySeq + 1);
+  return lastHistorySeq;
+}
+
+// Derived per roleTemplates array, so unchanged templates keep the same references
+const roleDepartmentsCache = new WeakMap();
+const sharedTemplatesCache = new WeakMap();
+
+/**
+ * { templateId: departmentId } for the active scenario's role templates
+ */
+function getRoleDepartments(roleTemplates) {
+  if (!roleDepartmentsCache.has(roleTemplates)) {
+    roleDepartmentsCache.set(roleTemplates, Object.fromEntries(roleTemplates.map(t => [t.id, t.departmentId])));
+  }
+  return roleDepartmentsCache.get(roleTemplates);
+}
+
+/**
+ * Role templates without their department, which belongs to the scenario
+ */
+function getSharedTemplates(roleTemplates) {
+  if (!sharedTemplatesCache.has(roleTemplates)) {
+    sharedTemplatesCache.set(roleTemplates, roleTemplates.map(({ department, departmentId, ...template }) => template));
+  }
+  return sharedTemplatesCache.get(roleTemplates);
+}
+
+/**
+ * Capture the data every scenario shares, for the shared undo stack
+ * Role templates are kept whole; their departments are re-applied from the
+ * active scenario on restore.
+ */
+function takeSharedSnapshot(state) {
+  return {
+    roleTemplates: state.roleTemplates,
+    seatPeople: state.seatPeople,
+    requisitions: state.requisitions,
+    csvFileName: state.csvFileName,
+    csvMapping: state.csvMapping
+  };
+}
+
+/**
+ * Capture the active scenario's own data, for its undo stack
+ * View state (selected period, collapsed nodes, positions) isn't included, and
+ * person nodes are re-expanded from templates on restore.
+ */
+function takeScenarioSnapshot(state) {
+  return {
+    departments: state.departments,
+    managerAssignments: state.managerAssignments,
+    customNodes: state.personNodes.filter(p => p.isCustom),
+    roleDepartments: getRoleDepartments(state.roleTemplates)
+  };
+}
+
+/**
+ * Same as takeScenarioSnapshot, for a scenario that isn't active
+ */
+function takeScenarioEntrySnapshot(scenario) {
+  return {
+    departments: scenario.departments || [],
+    managerAssignments: scenario.managerAssignments || {},
+    customNodes: scenario.customNodes || [],
+    roleDepartments: scenario.roleDepartments || {}
+  };
+}
+
+/**
+ * Capture shared data plus every scenario's own data, for steps that rewrite
+ * all scenarios at once (CSV imports)
+ */
+function takeDocumentSnapshot(state) {
+  const activeId = getActiveScenarioId(state);
+  return {
+    ...takeSharedSnapshot(state),
+    scenarios: state.scenarios.map(scenario => (scenario.id === activeId
+      ? { id: scenario.id, ...takeScenarioSnapshot(state), pinnedPositions: state.pinnedPositions }
+      : { id: scenario.id, ...takeScenarioEntrySnapshot(scenario), pinnedPositions: scenario.pinnedPositions }))
+  };
+}
+
+function getActiveScenarioId(state) {
+  return (state.scenarios.find(s => s.id === state.activeScenarioId) || state.scenarios[0]).id;
+}
+
+/**
+ * Check whether two snapshots hold the same data
+ * Unchanged parts keep their references, so only the parts that were replaced
+ * are compared by value.
+ */
+function isSameSnapshot(a, b) {
+  return Object.keys(a).every(key => a[key] === b[key] || JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Check whether a step changed shared data (a role moving department doesn't)
+ */
+function isSameSharedSnapshot(a, b) {
+  return isSameSnapshot(
+    { ...a, roleTemplates: getSharedTemplates(a.roleTemplates) },
+    { ...b, roleTemplates: getSharedTemplates(b.roleTemplates) }
+  );
+}
+
+/**
+ * The most recent entry of a pair of stacks
+ * @param {Array} sharedStack - Shared undo or redo stack
+ * @param {Array} scenarioStack - The active scenario's matching stack
+ * @param {boolean} latest - Pick the highest seq (undo) or the lowest (redo)
+ * @returns {Object|null} { seq, label, shared, scenario }, either entry being null
+ */
+function peekHistory(sharedStack, scenarioStack, latest) {
+  const shared = sharedStack[sharedStack.length - 1] || null;
+  const scenario = scenarioStack[scenarioStack.length - 1] || null;
+  if (!shared && !scenario) return null;
+
+  const pick = latest ? Math.max : Math.min;
+  const seq = pick(...[shared, scenario].filter(Boolean).map(entry => entry.seq));
+  return {
+    seq,
+    label: (shared?.seq === seq ? shared : scenario).label,
+    shared: shared?.seq === seq ? shared : null,
+    scenario: scenario?.seq === seq ? scenario : null
+  };
+}
+
+/**
+ * Encode the undo/redo stacks for localStorage
+ * Each stack is patched against the current state it undoes from, so it can
+ * only be decoded together with the state saved alongside it.
+ * @returns {Object} { shared: { undo, redo }, scenarios: { [scenarioId]: { undo, redo } } }
+ */
+function encodeHistory(state) {
+  const activeId = getActiveScenarioId(state);
+  const shared = takeSharedSnapshot(state);
+  const scenarios = {};
+  state.scenarios.forEach(scenario => {
+    const stacks = scenario.id === activeId ? state : scenario;
+    if (!stacks.undoStack?.length && !stacks.redoStack?.length) return;
+
+    const current = scenario.id === activeId ? takeScenarioSnapshot(state) : takeScenarioEntrySnapshot(scenario);
+    scenarios[scenario.id] = {
+      undo: encodeHistoryStack(stacks.undoStack || [], current),
+      redo: encodeHistoryStack(stacks.redoStack || [], current)
+    };
+  });
+
+  return {
+    shared: {
+      undo: encodeHistoryStack(state.sharedUndoStack, shared),
+      redo: encodeHistoryStack(state.sharedRedoStack, shared)
+    },
+    scenarios
+  };
+}
+
+/**
+ * Put the stacks saved by encodeHistory back on a rehydrated state
+ */
+function decodeHistory(state, history) {
+  if (!history) return state;
+
+  const activeId = getActiveScenarioId(state);
+  const shared = takeSharedSnapshot(state);
+  const decodeStacks = (saved, current) => ({
+    undoStack: decodeHistoryStack(saved?.undo, current),
+    redoStack: decodeHistoryStack(saved?.redo, current)
+  });
+
+  // Keep new entries ordered after the saved ones
+  const seqs = [
+    ...(history.shared?.undo || []), ...(history.shared?.redo || []),
+    ...Object.values(history.scenarios || {}).flatMap(saved => [...(saved.undo || []), ...(saved.redo || [])])
+  ].map(entry => entry.seq || 0);
+  lastHistorySeq = Math.max(lastHistorySeq, ...seqs);
+
+  const sharedStacks = decodeStacks(history.shared, shared);
+  return {
+    ...state,
+    ...decodeStacks(history.scenarios?.[activeId], takeScenarioSnapshot(state)),
+    sharedUndoStack: sharedStacks.undoStack,
+    sharedRedoStack: sharedStacks.redoStack,
+    scenarios: state.scenarios.map(scenario => (scenario.id === activeId
+      ? scenario
+      : { ...scenario, ...decodeStacks(history.scenarios?.[scenario.id], takeScenarioEntrySnapshot(scenario)) }))
+  };
+}
+
+/**
+ * localStorage that doesn't throw when it's full
+ * persist writes on every change, so a quota error would otherwise make every
+ * mutation (even a drag) throw. The chart is saved without its undo history
+ * instead, and if even that doesn't fit the write is skipped and logged; the
+ * chart keeps working and can still be exported.
+ */
+const safeStorage = createJSONStorage(() => ({
+  getItem: (name) => localStorage.getItem(name),
+  setItem: (name, value) => {
+    try {
+      localStorage.setItem(name, value);
+    } catch (error) {
+      try {
+        const { state, version } = JSON.parse(value);
+        const { history, ...rest } = state;
+        localStorage.setItem(name, JSON.stringify({ state: rest, version }));
+        console.warn('Saved the org chart without its undo history, which didn\'t fit in localStorage');
+      } catch (retryError) {
+        console.error('Could not save the org chart to localStorage:', retryError);
+      }
+    }
+  },
+  removeItem: (name) => localStorage.removeItem(name)
+}));
+
+/**
+ * Re-key a { personId: value } map after a CSV merge, dropping seats that no longer exist
+ * @param {Object} map - Map keyed by seat/custom role ID
+ * @param {Function} remapPersonId - From reconcileImport
+ * @returns {Object} Map keyed by the new IDs
+ */
+function remapSeatMap(map, remapPersonId) {
+  const remapped = {};
+  Object.entries(map || {}).forEach(([personId, value]) => {
+    const id = remapPersonId(personId);
+    if (id) remapped[id] = value;
+  });
+  return remapped;
+}
+
+/**
+ * Create a scenario entry
+ * Only the active scenario's data lives in the top-level state; the other
+ * entries in `scenarios` hold their own copy until switched to.
+ * @param {string} name - Scenario name
+ * @param {Object} data - Scenario data (see captureScenarioData)
+ * @returns {Object} Scenario
+ */
+function createScenarioEntry(name, data = {}) {
+  return {
+    id: `scenario-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    departments: [],
+    managerAssignments: {},
+    customNodes: [],
+    roleDepartments: {},
+    layoutMode: 'auto',
+    pinnedPositions: {},
+    layoutType: 'hierarchical',
+    layoutOptions: { columnWrap: DEFAULT_COLUMN_WRAP },
+    undoStack: [],
+    redoStack: [],
+    ...data
+  };
+}
+
+/**
+ * Capture the active scenario's data from the top-level state
+ */
+function captureScenarioData(state) {
+  return {
+    departments: state.departments,
+    managerAssignments: state.managerAssignments,
+    customNodes: state.personNodes.filter(p => p.isCustom),
+    roleDepartments: Object.fromEntries(state.roleTemplates.map(t => [t.id, t.departmentId])),
+    layoutMode: state.layoutMode,
+    pinnedPositions: state.pinnedPositions,
+    layoutType: state.layoutType,
+    layoutOptions: state.layoutOptions,
+    undoStack: state.undoStack,
+    redoStack: state.redoStack
+  };
+}
+
+/**
+ * Build the top-level state for a scenario over the shared role templates
+ * @param {Object} scenario - Scenario entry
+ * @param {Object} state - Current store state
+ * @returns {Object} Partial state to set
+ */
+function applyScenarioData(scenario, state) {
+  const departments = scenario.departments?.length > 0 ? scenario.departments : state.departments;
+  const roleDepartments = scenario.roleDepartments || {};
+  const managerAssignments = scenario.managerAssignments || {};
+  const roleTemplates = state.roleTemplates.map(template => {
+    const dept = departments.find(d => d.id === roleDepartments[template.id]);
+    return dept ? { ...template, department: dept.name, departmentId: dept.id } : template;
+  });
+
+  return {
+    activeScenarioId: scenario.id,
+    departments,
+    roleTemplates,
+    managerAssignments,
+    personNodes: buildPersonNodes(roleTemplates, state.selectedQuarter, managerAssignments, scenario.customNodes || []),
+    layoutMode: scenario.layoutMode || 'auto',
+    pinnedPositions: scenario.pinnedPositions || {},
+    layoutType: scenario.layoutType || 'hierarchical',
+    layoutOptions: scenario.layoutOptions || { columnWrap: DEFAULT_COLUMN_WRAP },
+    undoStack: scenario.undoStack || [],
+    redoStack: scenario.redoStack || [],
+    error: null
+  };
+}
+
+/**
+ * Read the rows of a CSV file, or of one sheet of an Excel workbook
+ * @param {File} file - .csv or .xlsx file
+ * @param {string|null} sheetName - Workbook sheet (first sheet when omitted)
+ * @returns {Promise<Array>} Raw rows
+ */
+async function readImportRows(file, sheetName = null) {
+  if (!isWorkbookFile(file)) {
+    return readCSVRows(file);
+  }
+
+  const workbook = await readWorkbook(file);
+  return getSheetRows(workbook, sheetName || workbook.SheetNames[0]);
+}
+
 export const useOrgChartStore = create(
   persist(
     (set, get) => ({
@@ -38,50 +480,236 @@ export const useOrgChartStore = create(
       roleTemplates: [],
       personNodes: [],
       managerAssignments: {}, // Canonical source: { personId: managerId } - persists across quarter switches
-      selectedQuarter: 'Q4',
+      seatPeople: {}, // { personId: { name, email, status, startDate } } - shared by every scenario
+      requisitions: {}, // { personId: { stage, targetQuarter } } for unfilled seats - shared by every scenario
+      focusNodeId: null, // Node the canvas should pan to (cleared once it has)
+      layoutMode: 'auto', // 'auto' re-runs layout on every change; 'pinned' keeps dragged positions
+      pinnedPositions: {}, // { personId: { x, y } } dragged in pinned mode - persists across quarter switches
+      layoutType: 'hierarchical', // See LAYOUT_TYPES
+      layoutOptions: { columnWrap: DEFAULT_COLUMN_WRAP },
+      showDepartmentLanes: false, // Draw a background region behind each department's teams
+      selectedQuarter: DEFAULT_PERIOD,
       nodes: [], // ReactFlow nodes
       edges: [], // ReactFlow edges
       csvFileName: null,
       lastSaved: null,
       isLoading: false,
       error: null,
-      dataVersion: 7, // Increment this to force re-parse
+      dataVersion: 8, // Increment this to force re-parse
       collapsedNodes: new Set(), // Track which nodes are collapsed
+      csvMapping: null, // Column/department mapping used for the last CSV import
+      pendingImport: null, // { file, rows, mapping, workbook?, sheetNames?, sheetName? } while the mapping step is open
+      undoStack: [], // Active scenario's own changes: [{ label, seq, snapshot }] oldest first
+      redoStack: [], // [{ label, seq, snapshot }] most recently undone last
+      sharedUndoStack: [], // Changes to data every scenario shares (templates, people, requisitions)
+      sharedRedoStack: [],
+      scenarios: [createScenarioEntry('Baseline')], // Alternative org designs over the same role templates
+      activeScenarioId: null, // Defaults to the first scenario
+      diffView: null, // { label, base } while changes against another state are highlighted
+      seatChangeFilter: null, // { period, change: 'added' | 'removed' | 'any' } in year/all-years views
 
       // Actions
 
       /**
-       * Load and parse CSV file
+       * Read a CSV or Excel file and open the mapping step with the detected mapping
+       * For workbooks, the sheet used last time is preferred, then the first
+       * sheet with department sections.
        */
-      loadCSV: async (file) => {
+      prepareCSVImport: async (file) => {
         set({ isLoading: true, error: null });
 
         try {
-          const { departments, roleTemplates } = await parseOrgChartCSV(file);
+          const savedMapping = get().csvMapping;
+
+          if (!isWorkbookFile(file)) {
+            const rows = await readCSVRows(file);
+            const mapping = detectCSVMapping(rows, savedMapping);
+
+            if (mapping.departments.length === 0) {
+              throw new Error('No department sections found in CSV');
+            }
+
+            set({ pendingImport: { file, rows, mapping }, isLoading: false });
+            return;
+          }
+
+          const workbook = await readWorkbook(file);
+          const sheetNames = workbook.SheetNames;
+          const candidates = [savedMapping?.sheetName, ...sheetNames]
+            .filter(name => name && sheetNames.includes(name));
+
+          for (const sheetName of candidates) {
+            const rows = getSheetRows(workbook, sheetName);
+            const mapping = detectCSVMapping(rows, savedMapping);
+
+            if (mapping.departments.length > 0) {
+              set({
+                pendingImport: { file, rows, mapping, workbook, sheetNames, sheetName },
+                isLoading: false
+              });
+              return;
+            }
+          }
+
+          throw new Error('No department sections found in any sheet of the workbook');
+        } catch (error) {
+          set({
+            isLoading: false,
+            error: error.message || 'Failed to read file'
+          });
+          console.error('Import read error:', error);
+        }
+      },
+
+      /**
+       * Switch the pending workbook import to another sheet and re-detect its mapping
+       */
+      selectImportSheet: (sheetName) => {
+        const { pendingImport, csvMapping } = get();
+        if (!pendingImport?.workbook) return;
+
+        const rows = getSheetRows(pendingImport.workbook, sheetName);
+        const mapping = detectCSVMapping(rows, csvMapping);
+        set({ pendingImport: { ...pendingImport, rows, mapping, sheetName } });
+      },
+
+      /**
+       * Finish the mapping step and load the pending CSV with the chosen mapping
+       */
+      confirmCSVImport: async (mapping, options = {}) => {
+        const { pendingImport } = get();
+        if (!pendingImport) return;
+
+        set({ pendingImport: null });
+        await get().loadCSV(pendingImport.file, mapping, {
+          ...options,
+          sheetName: pendingImport.sheetName || null
+        });
+      },
+
+      /**
+       * Abandon the mapping step
+       */
+      cancelCSVImport: () => {
+        set({ pendingImport: null });
+      },
+
+      /**
+       * Load and parse a CSV file or Excel workbook sheet
+       * Uses the given mapping, or re-detects sections on top of the saved mapping.
+       * With { merge: true } the new revision is reconciled with the current roles
+       * so manager assignments and custom roles carry over; otherwise they're cleared.
+       */
+      loadCSV: async (file, mapping = null, { merge = false, sheetName = null } = {}) => {
+        set({ isLoading: true, error: null });
+
+        try {
+          const rows = await readImportRows(file, sheetName);
+          const resolvedMapping = mapping || detectCSVMapping(rows, get().csvMapping);
+          const { departments: sheetDepartments, roleTemplates: sheetTemplates, report } = processCSVData(rows, resolvedMapping);
+          let departments = sheetDepartments;
+          let roleTemplates = sheetTemplates;
+
+          console.log(`🧾 Store: Import report - ${report.counts.accepted} accepted, ${report.counts.skipped} skipped, ${report.counts.flagged} flagged`);
 
           console.log(`📥 Store: Received ${roleTemplates.length} role templates from parser`);
 
           // Calculate totals for verification
-          const totals = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
+          const timeline = getPeriodTimeline(roleTemplates);
+          const totals = Object.fromEntries(timeline.map(period => [period, 0]));
           roleTemplates.forEach(template => {
-            totals.Q1 += template.quarters.Q1;
-            totals.Q2 += template.quarters.Q2;
-            totals.Q3 += template.quarters.Q3;
-            totals.Q4 += template.quarters.Q4;
+            timeline.forEach(period => {
+              totals[period] += template.quarters[period] || 0;
+            });
           });
-          console.log(`📊 Store: Calculated totals from templates: Q1=${totals.Q1}, Q2=${totals.Q2}, Q3=${totals.Q3}, Q4=${totals.Q4}`);
+          console.log(`📊 Store: Calculated totals from templates: ${timeline.map(p => `${p}=${totals[p]}`).join(', ')}`);
+
+          // Departments as the sheet has them, before this chart's moves and renames
+          const sheetRoleDepartments = Object.fromEntries(sheetTemplates.map(t => [t.id, t.departmentId]));
+          let managerAssignments = {};
+          let customNodes = [];
+          let collapsedNodes = new Set();
+          let seatPeople = {};
+          let requisitions = {};
+          let pinnedPositions = {};
+          if (merge) {
+            const reconciliation = reconcileImport(get(), { roleTemplates: sheetTemplates, departments: sheetDepartments });
+            departments = carryOverDepartmentEdits(sheetDepartments, get().departments);
+            roleTemplates = applyRoleDepartments(roleTemplates, departments, reconciliation.roleDepartments);
+            managerAssignments = reconciliation.managerAssignments;
+            customNodes = reconciliation.customNodes;
+            seatPeople = remapSeatMap(get().seatPeople, reconciliation.remapPersonId);
+            requisitions = remapSeatMap(get().requisitions, reconciliation.remapPersonId);
+            pinnedPositions = remapSeatMap(get().pinnedPositions, reconciliation.remapPersonId);
+            collapsedNodes = new Set(
+              Array.from(get().collapsedNodes).map(reconciliation.remapPersonId).filter(Boolean)
+            );
+            console.log(`🔀 Store: Merged revision - ${reconciliation.carriedCount} assignments carried over, ${reconciliation.orphaned.length} orphaned, ${reconciliation.droppedMoves.length} department moves dropped`);
+          }
 
           // Expand role templates into person nodes for the selected quarter
-          const quarter = get().selectedQuarter;
-          const personNodes = expandRoleTemplates(roleTemplates, quarter);
+          const quarter = pickQuarter(timeline, get().selectedQuarter);
+          const personNodes = buildPersonNodes(roleTemplates, quarter, managerAssignments, customNodes);
           console.log(`👥 Store: Expanded into ${personNodes.length} person nodes for ${quarter}`);
 
+          if (get().csvFileName) {
+            get().recordHistory(merge ? `Merge ${file.name}` : `Import ${file.name}`, { allScenarios: true });
+          }
+
+          // The other scenarios share the role templates, so carry them over too.
+          // Their undo entries refer to the old templates, so their history restarts.
+          const activeScenarioId = get().getActiveScenario().id;
+          const scenarios = get().scenarios.map(scenario => {
+            if (scenario.id === activeScenarioId) return scenario;
+            if (!merge) {
+              return {
+                ...scenario,
+                departments,
+                managerAssignments: {},
+                customNodes: [],
+                roleDepartments: {},
+                pinnedPositions: {},
+                undoStack: [],
+                redoStack: []
+              };
+            }
+
+            const scenarioReconciliation = reconcileImport(
+              {
+                roleTemplates: get().roleTemplates,
+                personNodes: scenario.customNodes,
+                managerAssignments: scenario.managerAssignments
+              },
+              { roleTemplates: sheetTemplates, departments: sheetDepartments }
+            );
+            const moves = remapRoleDepartments(scenario, get().roleTemplates, sheetTemplates, scenarioReconciliation.templateIdMap, sheetDepartments);
+            return {
+              ...scenario,
+              departments: carryOverDepartmentEdits(sheetDepartments, scenario.departments),
+              managerAssignments: scenarioReconciliation.managerAssignments,
+              customNodes: scenarioReconciliation.customNodes,
+              // Complete, since the shared templates now carry the active scenario's moves
+              roleDepartments: { ...sheetRoleDepartments, ...moves.roleDepartments },
+              pinnedPositions: remapSeatMap(scenario.pinnedPositions, scenarioReconciliation.remapPersonId),
+              undoStack: [],
+              redoStack: []
+            };
+          });
+
           set({
             rawCSVData: file,
+            scenarios,
             csvFileName: file.name,
             departments,
             roleTemplates,
             personNodes,
+            managerAssignments,
+            seatPeople,
+            requisitions,
+            pinnedPositions,
+            selectedQuarter: quarter,
+            collapsedNodes,
+            csvMapping: { ...resolvedMapping, sheetName },
             isLoading: false,
             error: null,
             lastSaved: new Date().toISOString()
@@ -99,117 +727,546 @@ export const useOrgChartStore = create(
       },
 
       /**
-       * Set the selected quarter and expand roles accordingly
+       * Start an undo step before a mutation, after its validation has passed
+       * The step is settled once the mutation is done: changes to shared data go
+       * on the shared stack and the active scenario's own changes on its stack,
+       * both under the same seq so they undo together.
+       * @param {string} label - Description shown on the undo/redo buttons
+       * @param {Object} options - { allScenarios: true } for steps that rewrite
+       *   every scenario (imports), which are undone as a whole
+       */
+      recordHistory: (label, { allScenarios = false } = {}) => {
+        if (historyStepDepth > 0) return;
+
+        get().settleHistory();
+        pendingStep = { label, state: get(), allScenarios };
+        // Direct callers mutate synchronously right after recording
+        queueMicrotask(() => get().settleHistory());
+      },
+
+      /**
+       * Turn the pending step into undo entries for whatever it changed
+       * A step that changed nothing records nothing and keeps the redo stacks.
+       */
+      settleHistory: () => {
+        if (!pendingStep) return;
+        const { label, state: before, allScenarios } = pendingStep;
+        pendingStep = null;
+
+        const after = get();
+        const sharedChanged = !isSameSharedSnapshot(takeSharedSnapshot(before), takeSharedSnapshot(after));
+        const scenarioChanged = !isSameSnapshot(takeScenarioSnapshot(before), takeScenarioSnapshot(after));
+        if (!sharedChanged && !scenarioChanged && !(allScenarios && after.scenarios !== before.scenarios)) return;
+
+        const seq = nextHistorySeq();
+        const updates = { sharedRedoStack: [], redoStack: [] };
+        if (allScenarios) {
+          // Scenario entries from before refer to the old templates; the import's own entry restores them
+          updates.sharedUndoStack = [...after.sharedUndoStack, { label, seq, snapshot: takeDocumentSnapshot(before) }].slice(-HISTORY_LIMIT);
+          updates.undoStack = [];
+        } else {
+          if (sharedChanged) {
+            updates.sharedUndoStack = [...after.sharedUndoStack, { label, seq, snapshot: takeSharedSnapshot(before) }].slice(-HISTORY_LIMIT);
+          }
+          if (scenarioChanged) {
+            updates.undoStack = [...after.undoStack, { label, seq, snapshot: takeScenarioSnapshot(before) }].slice(-HISTORY_LIMIT);
+          }
+        }
+        set(updates);
+      },
+
+      /**
+       * Run several mutations as a single undo step (e.g. one AI command)
+       * The step is dropped if nothing changed.
+       * @param {string} label - Description shown on the undo/redo buttons
+       * @param {Function} fn - Synchronous function performing the mutations
+       * @returns {*} Whatever fn returns
+       */
+      runAsHistoryStep: (label, fn) => {
+        if (historyStepDepth > 0) return fn();
+
+        get().recordHistory(label);
+        historyStepDepth++;
+        try {
+          return fn();
+        } finally {
+          historyStepDepth--;
+          get().settleHistory();
+        }
+      },
+
+      /**
+       * Run mutations as a single undo step that is rolled back unless it succeeds
+       * @param {string} label - Description shown on the undo/redo buttons
+       * @param {Function} fn - Synchronous function returning { success, ... }
+       * @returns {Object} Whatever fn returns
+       */
+      runAsTransaction: (label, fn) => {
+        get().settleHistory();
+        const before = get();
+        const { undoStack, redoStack, sharedUndoStack, sharedRedoStack } = before;
+
+        let result;
+        try {
+          result = get().runAsHistoryStep(label, fn);
+        } catch (error) {
+          result = { success: false, message: error.message };
+        }
+
+        if (!result?.success) {
+          get().restoreHistorySnapshot({ ...takeSharedSnapshot(before), ...takeScenarioSnapshot(before) });
+          set({ undoStack, redoStack, sharedUndoStack, sharedRedoStack });
+        }
+        return result;
+      },
+
+      /**
+       * The entry undo would restore ({ label, ... }), or null
+       */
+      getUndoEntry: () => peekHistory(get().sharedUndoStack, get().undoStack, true),
+
+      /**
+       * The entry redo would re-apply ({ label, ... }), or null
+       */
+      getRedoEntry: () => peekHistory(get().sharedRedoStack, get().redoStack, false),
+
+      /**
+       * Restore the state before the last recorded change
+       */
+      undo: () => {
+        get().settleHistory();
+        const entry = get().getUndoEntry();
+        if (!entry) return;
+
+        set(state => {
+          const updates = {};
+          if (entry.shared) {
+            const snapshot = entry.shared.snapshot.scenarios ? takeDocumentSnapshot(state) : takeSharedSnapshot(state);
+            updates.sharedUndoStack = state.sharedUndoStack.slice(0, -1);
+            updates.sharedRedoStack = [...state.sharedRedoStack, { ...entry.shared, snapshot }];
+          }
+          if (entry.scenario) {
+            updates.undoStack = state.undoStack.slice(0, -1);
+            updates.redoStack = [...state.redoStack, { ...entry.scenario, snapshot: takeScenarioSnapshot(state) }];
+          }
+          return updates;
+        });
+        get().restoreHistorySnapshot({ ...entry.shared?.snapshot, ...entry.scenario?.snapshot });
+      },
+
+      /**
+       * Re-apply the last undone change
+       */
+      redo: () => {
+        get().settleHistory();
+        const entry = get().getRedoEntry();
+        if (!entry) return;
+
+        set(state => {
+          const updates = {};
+          if (entry.shared) {
+            const snapshot = entry.shared.snapshot.scenarios ? takeDocumentSnapshot(state) : takeSharedSnapshot(state);
+            updates.sharedRedoStack = state.sharedRedoStack.slice(0, -1);
+            updates.sharedUndoStack = [...state.sharedUndoStack, { ...entry.shared, snapshot }];
+          }
+          if (entry.scenario) {
+            updates.redoStack = state.redoStack.slice(0, -1);
+            updates.undoStack = [...state.undoStack, { ...entry.scenario, snapshot: takeScenarioSnapshot(state) }];
+          }
+          return updates;
+        });
+        get().restoreHistorySnapshot({ ...entry.shared?.snapshot, ...entry.scenario?.snapshot });
+      },
+
+      /**
+       * Apply an undo snapshot and re-expand person nodes for the selected period
+       * A snapshot holds shared data, the active scenario's data, or both; one
+       * with `scenarios` (an import) also restores the other scenarios' data.
+       * Roles take their departments from the active scenario.
+       */
+      restoreHistorySnapshot: (snapshot) => {
+        const state = get();
+        const updates = {};
+        let scenarioData = takeScenarioSnapshot(state);
+
+        if (snapshot.scenarios) {
+          const activeId = getActiveScenarioId(state);
+          const dataById = new Map(snapshot.scenarios.map(({ id, ...data }) => [id, data]));
+          if (dataById.has(activeId)) {
+            scenarioData = dataById.get(activeId);
+            updates.pinnedPositions = scenarioData.pinnedPositions || {};
+          }
+          updates.scenarios = state.scenarios.map(scenario => (
+            scenario.id !== activeId && dataById.has(scenario.id) ? { ...scenario, ...dataById.get(scenario.id) } : scenario
+          ));
+        }
+        if (snapshot.managerAssignments) {
+          scenarioData = snapshot;
+        }
+
+        const { departments, managerAssignments, customNodes, roleDepartments } = scenarioData;
+        const roleTemplates = (snapshot.roleTemplates || state.roleTemplates).map(template => {
+          const dept = departments.find(d => d.id === roleDepartments[template.id]);
+          return dept && (dept.id !== template.departmentId || dept.name !== template.department)
+            ? { ...template, department: dept.name, departmentId: dept.id }
+            : template;
+        });
+        const quarter = pickQuarter(getPeriodTimeline(roleTemplates), state.selectedQuarter);
+
+        if (snapshot.roleTemplates) {
+          updates.seatPeople = snapshot.seatPeople || {};
+          updates.requisitions = snapshot.requisitions || {};
+          updates.csvFileName = snapshot.csvFileName;
+          updates.csvMapping = snapshot.csvMapping;
+        }
+
+        set({
+          ...updates,
+          departments,
+          roleTemplates,
+          managerAssignments,
+          selectedQuarter: quarter,
+          personNodes: buildPersonNodes(roleTemplates, quarter, managerAssignments, customNodes),
+          error: null
+        });
+        get().rebuildChart();
+      },
+
+      /**
+       * Get the active scenario entry
+       */
+      getActiveScenario: () => {
+        const { scenarios, activeScenarioId } = get();
+        return scenarios.find(s => s.id === activeScenarioId) || scenarios[0];
+      },
+
+      /**
+       * Store the active scenario's data in its entry and switch to another one
+       */
+      switchScenario: (scenarioId) => {
+        get().settleHistory();
+        const state = get();
+        const current = state.getActiveScenario();
+        const target = state.scenarios.find(s => s.id === scenarioId);
+        if (!target || target.id === current.id) return;
+
+        const scenarios = state.scenarios.map(s => {
+          if (s.id === target.id) return { id: s.id, name: s.name }; // Its data moves to the top level
+          if (s.id !== current.id) return s;
+
+          const data = captureScenarioData(state);
+          return {
+            ...s,
+            ...data,
+            undoStack: data.undoStack.slice(-INACTIVE_HISTORY_LIMIT),
+            redoStack: data.redoStack.slice(-INACTIVE_HISTORY_LIMIT)
+          };
+        });
+
+        set({ scenarios, ...applyScenarioData(target, state) });
+        get().rebuildChart();
+      },
+
+      /**
+       * Create a scenario with no manager assignments or custom roles and switch to it
+       */
+      createScenario: (name) => {
+        const { departments, roleTemplates } = get();
+        const scenario = createScenarioEntry(name, {
+          departments,
+          roleDepartments: Object.fromEntries(roleTemplates.map(t => [t.id, t.departmentId]))
+        });
+
+        set(state => ({ scenarios: [...state.scenarios, scenario] }));
+        get().switchScenario(scenario.id);
+      },
+
+      /**
+       * Copy a scenario (the active one by default) and switch to the copy
+       * The copy starts with an empty undo history.
+       */
+      cloneScenario: (scenarioId, name) => {
+        const state = get();
+        const source = state.scenarios.find(s => s.id === scenarioId) || state.getActiveScenario();
+        const data = source.id === state.getActiveScenario().id ? captureScenarioData(state) : source;
+
+        const scenario = createScenarioEntry(name, {
+          departments: data.departments,
+          managerAssignments: { ...data.managerAssignments },
+          customNodes: data.customNodes,
+          roleDepartments: { ...data.roleDepartments },
+          layoutMode: data.layoutMode,
+          pinnedPositions: { ...data.pinnedPositions },
+          layoutType: data.layoutType,
+          layoutOptions: { ...data.layoutOptions }
+        });
+
+        set({ scenarios: [...state.scenarios, scenario] });
+        get().switchScenario(scenario.id);
+      },
+
+      /**
+       * Get a scenario's state for comparison ({ roleTemplates, departments, managerAssignments, customNodes })
+       */
+      getScenarioSnapshot: (scenarioId) => {
+        const state = get();
+        if (scenarioId === state.getActiveScenario().id) {
+          return {
+            roleTemplates: state.roleTemplates,
+            departments: state.departments,
+            managerAssignments: state.managerAssignments,
+            customNodes: state.personNodes.filter(p => p.isCustom)
+          };
+        }
+
+        const scenario = state.scenarios.find(s => s.id === scenarioId);
+        if (!scenario) return null;
+
+        const { departments, roleTemplates, managerAssignments } = applyScenarioData(scenario, state);
+        return { roleTemplates, departments, managerAssignments, customNodes: scenario.customNodes || [] };
+      },
+
+      /**
+       * Highlight the current chart's changes against another state on the canvas
+       * @param {string} label - Name of the base state (scenario or file name)
+       * @param {Object} base - State from getScenarioSnapshot or snapshotFromExport
+       */
+      showDiffView: (label, base) => {
+        set({ diffView: { label, base } });
+        get().rebuildChart();
+      },
+
+      /**
+       * Stop highlighting changes on the canvas
+       */
+      clearDiffView: () => {
+        set({ diffView: null });
+        get().rebuildChart();
+      },
+
+      /**
+       * Rename a scenario
+       */
+      renameScenario: (scenarioId, name) => {
+        set(state => ({
+          scenarios: state.scenarios.map(s => s.id === scenarioId ? { ...s, name } : s)
+        }));
+      },
+
+      /**
+       * Delete a scenario; the last remaining scenario can't be deleted
+       */
+      deleteScenario: (scenarioId) => {
+        const state = get();
+        if (state.scenarios.length <= 1) {
+          set({ error: 'Cannot delete the only scenario' });
+          return false;
+        }
+
+        if (scenarioId === state.getActiveScenario().id) {
+          const next = state.scenarios.find(s => s.id !== scenarioId);
+          get().switchScenario(next.id);
+        }
+
+        set(current => ({
+          scenarios: current.scenarios.filter(s => s.id !== scenarioId)
+        }));
+        return true;
+      },
+
+      /**
+       * Set the selected period (e.g. '2027-Q2') and expand roles accordingly
+       */
+      setSelectedQuarter: (quarter) => {
+        const { roleTemplates, managerAssignments, personNodes: currentNodes } = get();
+        const customNodes = currentNodes.filter(p => p.isCustom);
+
+        const personNodes = buildPersonNodes(roleTemplates, quarter, managerAssignments, customNodes);
+
+        // The seat change filter only applies to a period inside an aggregate view
+        const { seatChangeFilter } = get();
+        const keepFilter = seatChangeFilter && isAggregateView(quarter)
+          && getViewPeriods(quarter, getPeriodTimeline(roleTemplates)).includes(seatChangeFilter.period);
+
+        set({
+          selectedQuarter: quarter,
+          personNodes,
+          seatChangeFilter: keepFilter ? seatChangeFilter : null
+        });
+
+        get().rebuildChart();
+      },
+
+      /**
+       * Show only seats added and/or removed in a period (year and all-years views)
+       * @param {Object|null} filter - { period, change: 'added' | 'removed' | 'any' }, or null to clear
+       */
+      setSeatChangeFilter: (filter) => {
+        set({ seatChangeFilter: filter });
+        get().rebuildChart();
+      },
+
+      /**
+       * Update department properties
+       */
+      updateDepartment: (deptId, changes) => {
+        get().recordHistory('Edit department');
+        set(state => ({
+          departments: state.departments.map(d =>
+            d.id === deptId ? { ...d, ...changes } : d
+          )
+        }));
+        get().rebuildChart();
+      },
+
+      /**
+       * Reassign a role template, or a custom role, to a different department
+       * @param {string} roleId - Role template ID or custom role ID
+       * @param {string} newDeptId - Department ID
+       * @returns {boolean} Whether the role was moved
+       */
+      reassignRole: (roleId, newDeptId) => {
+        const newDept = get().departments.find(d => d.id === newDeptId);
+        if (!newDept) {
+          set({ error: 'Invalid department' });
+          return false;
+        }
+
+        const customNode = get().personNodes.find(p => p.isCustom && p.id === roleId);
+        if (!customNode && !get().roleTemplates.some(t => t.id === roleId)) {
+          set({ error: 'Role not found' });
+          return false;
+        }
+
+        get().recordHistory(`Move role to ${newDept.displayName || newDept.name}`);
+
+        if (customNode) {
+          set(state => ({
+            personNodes: state.personNodes.map(node =>
+              node.id === roleId ? { ...node, department: newDept.name, departmentId: newDept.id } : node
+            ),
+            error: null
+          }));
+          get().rebuildChart();
+          return true;
+        }
+
+        set(state => ({
+          roleTemplates: state.roleTemplates.map(template =>
+            template.id === roleId
+              ? { ...template, department: newDept.name, departmentId: newDept.id }
+              : template
+          ),
+          error: null
+        }));
+
+        // Re-expand person nodes to reflect the department change
+        const { roleTemplates, selectedQuarter, managerAssignments, personNodes: currentNodes } = get();
+        const personNodes = buildPersonNodes(
+          roleTemplates,
+          selectedQuarter,
+          managerAssignments,
+          currentNodes.filter(p => p.isCustom)
+        );
+        set({ personNodes });
+
+        get().rebuildChart();
+        return true;
+      },
+
+      /**
+       * Rename a role template (every seat of it), or a custom role
+       * @param {string} roleId - Role template ID or custom role ID
+       * @param {string} roleName - New name
+       * @returns {boolean} Whether the role was renamed
        */
-      setSelectedQuarter: (quarter) => {
-        const { roleTemplates, managerAssignments } = get();
-
-        // Get all manager IDs from canonical assignments (this never gets corrupted)
-        const referencedManagerIds = [...new Set(Object.values(managerAssignments).filter(Boolean))];
-
-        // Expand with manager IDs so future managers appear as placeholders
-        let personNodes = expandRoleTemplates(roleTemplates, quarter, referencedManagerIds);
-
-        // Apply manager assignments from canonical source
-        personNodes.forEach(node => {
-          if (managerAssignments[node.id]) {
-            node.managerId = managerAssignments[node.id];
-          }
-        });
+      renameRole: (roleId, roleName) => {
+        const name = (roleName || '').trim();
+        if (!name) {
+          set({ error: 'A role name is required' });
+          return false;
+        }
 
-        // Ensure all referenced managers exist as placeholders
-        const existingIds = new Set(personNodes.map(n => n.id));
+        const customNode = get().personNodes.find(p => p.isCustom && p.id === roleId);
+        const template = get().roleTemplates.find(t => t.id === roleId);
+        if (!customNode && !template) {
+          set({ error: 'Role not found' });
+          return false;
+        }
 
-        // Recursively create placeholders for missing managers
-        let iterations = 0;
-        while (iterations < 10) {
-          const missingManagers = new Set();
-          personNodes.forEach(node => {
-            if (node.managerId && !existingIds.has(node.managerId)) {
-              missingManagers.add(node.managerId);
-            }
-          });
+        get().recordHistory(`Rename ${customNode ? customNode.roleName : template.cleanName} to ${name}`);
 
-          if (missingManagers.size === 0) break;
-
-          missingManagers.forEach(managerId => {
-            const match = managerId.match(/^(role-\d+)-person-(\d+)$/);
-            if (match) {
-              const templateId = match[0].replace(/-person-\d+$/, '');
-              const template = roleTemplates.find(t => t.id === templateId);
-              if (template) {
-                const startQuarter = ['Q1', 'Q2', 'Q3', 'Q4'].find(q => template.quarters[q] > 0);
-
-                personNodes.push({
-                  id: managerId,
-                  templateId: template.id,
-                  roleName: template.cleanName,
-                  displayName: template.cleanName,
-                  department: template.department,
-                  departmentId: template.departmentId,
-                  managerId: managerAssignments[managerId] || null,
-                  position: { x: 0, y: 0 },
-                  activeInQuarters: Object.entries(template.quarters)
-                    .filter(([q, count]) => count > 0)
-                    .map(([q]) => q),
-                  startQuarter,
-                  isFutureRole: true,
-                  metadata: {
-                    originalRoleName: template.originalName,
-                    costPerRole: template.costPerRole,
-                    instanceNumber: 1,
-                    totalInstances: 1,
-                    templateMetadata: template.metadata
-                  }
-                });
-                existingIds.add(managerId);
-              }
-            }
-          });
-          iterations++;
+        if (customNode) {
+          set(state => ({
+            personNodes: state.personNodes.map(node =>
+              node.id === roleId ? { ...node, roleName: name, displayName: name } : node
+            ),
+            error: null
+          }));
+          get().rebuildChart();
+          return true;
         }
 
+        set(state => ({
+          roleTemplates: state.roleTemplates.map(t =>
+            t.id === roleId ? { ...t, cleanName: name } : t
+          ),
+          error: null
+        }));
+
+        const { roleTemplates, selectedQuarter, managerAssignments, personNodes: currentNodes } = get();
         set({
-          selectedQuarter: quarter,
-          personNodes
+          personNodes: buildPersonNodes(roleTemplates, selectedQuarter, managerAssignments, currentNodes.filter(p => p.isCustom))
         });
-
         get().rebuildChart();
+        return true;
       },
 
       /**
-       * Update department properties
+       * Change a role template's planned headcount for one period
+       * @param {string} templateId - Role template ID
+       * @param {string} period - Period ID on the timeline (e.g. '2026-Q3'), not a year view
+       * @param {number} headcount - Seats in that period
+       * @returns {boolean} Whether the headcount was changed
        */
-      updateDepartment: (deptId, changes) => {
+      setRoleHeadcount: (templateId, period, headcount) => {
+        const template = get().roleTemplates.find(t => t.id === templateId);
+        if (!template) {
+          set({ error: 'Role not found' });
+          return false;
+        }
+        if (!getPeriodTimeline(get().roleTemplates).includes(period)) {
+          set({ error: `Unknown period: ${period}` });
+          return false;
+        }
+        if (!Number.isInteger(headcount) || headcount < 0) {
+          set({ error: 'Headcount must be a whole number of 0 or more' });
+          return false;
+        }
+        if ((template.quarters[period] || 0) === headcount) return true;
+
+        get().recordHistory(`Set ${template.cleanName} to ${headcount} in ${period}`);
+
         set(state => ({
-          departments: state.departments.map(d =>
-            d.id === deptId ? { ...d, ...changes } : d
-          )
+          roleTemplates: state.roleTemplates.map(t =>
+            t.id === templateId ? { ...t, quarters: { ...t.quarters, [period]: headcount } } : t
+          ),
+          error: null
         }));
+
+        const { roleTemplates, selectedQuarter, managerAssignments, personNodes: currentNodes } = get();
+        set({
+          personNodes: buildPersonNodes(roleTemplates, selectedQuarter, managerAssignments, currentNodes.filter(p => p.isCustom))
+        });
         get().rebuildChart();
+        return true;
       },
 
       /**
-       * Reassign a role template to a different department
+       * Check whether a manager can be assigned without creating a circular reference
        */
-      reassignRole: (templateId, newDeptId) => {
-        const newDept = get().departments.find(d => d.id === newDeptId);
-        if (!newDept) return;
-
-        set(state => ({
-          roleTemplates: state.roleTemplates.map(template =>
-            template.id === templateId
-              ? { ...template, department: newDept.name, departmentId: newDept.id }
-              : template
-          )
-        }));
-
-        // Re-expand person nodes to reflect the department change
-        const quarter = get().selectedQuarter;
-        const personNodes = expandRoleTemplates(get().roleTemplates, quarter);
-        set({ personNodes });
-
-        get().rebuildChart();
+      canAssignManager: (personId, managerId) => {
+        return !wouldCreateCircular(personId, managerId, get().personNodes);
       },
 
       /**
@@ -224,6 +1281,8 @@ export const useOrgChartStore = create(
           return false;
         }
 
+        get().recordHistory(managerId ? 'Assign manager' : 'Remove manager');
+
         // Update the canonical manager assignments
         const newAssignments = { ...managerAssignments };
         if (managerId) {
@@ -254,6 +1313,8 @@ export const useOrgChartStore = create(
         const { personNodes, managerAssignments } = get();
         let failedCount = 0;
 
+        get().recordHistory(`${managerId ? 'Assign' : 'Remove'} manager for ${personIds.length} people`);
+
         // Validate all assignments first
         for (const personId of personIds) {
           if (managerId && wouldCreateCircular(personId, managerId, personNodes)) {
@@ -297,6 +1358,7 @@ export const useOrgChartStore = create(
        * Remove manager assignment
        */
       removeManager: (personId) => {
+        get().recordHistory('Remove manager');
         const { managerAssignments } = get();
         const newAssignments = { ...managerAssignments };
         delete newAssignments[personId];
@@ -310,10 +1372,184 @@ export const useOrgChartStore = create(
         get().rebuildChart();
       },
 
+      /**
+       * Attach a person record to a seat, or clear it
+       * @param {string} personId - Seat or custom role ID
+       * @param {Object|null} record - { name, email, status, startDate }, or null to clear
+       * @returns {boolean} Whether the record was saved
+       */
+      setSeatPerson: (personId, record) => {
+        const { personNodes, seatPeople } = get();
+        const person = personNodes.find(p => p.id === personId);
+        if (!person) {
+          set({ error: 'Person not found' });
+          return false;
+        }
+
+        const newSeatPeople = { ...seatPeople };
+        if (record) {
+          const normalized = normalizeSeatPerson(record);
+          if (!normalized) {
+            set({ error: 'A name is required for filled seats and offers' });
+            return false;
+          }
+          get().recordHistory(`Assign ${normalized.name || 'person'} to ${person.displayName}`);
+          newSeatPeople[personId] = normalized;
+
+          // Hiring someone into a seat closes out its requisition
+          const requisition = get().requisitions[personId];
+          if (normalized.status === 'filled' && requisition && requisition.stage !== 'filled') {
+            set(state => ({ requisitions: { ...state.requisitions, [personId]: { ...requisition, stage: 'filled' } } }));
+          }
+        } else {
+          if (!seatPeople[personId]) return true;
+          get().recordHistory(`Clear ${person.displayName}`);
+          delete newSeatPeople[personId];
+        }
+
+        set({ seatPeople: newSeatPeople, error: null });
+        get().rebuildChart();
+        return true;
+      },
+
+      /**
+       * Track an unfilled seat as a requisition
+       * @param {string} personId - Seat or custom role ID
+       * @param {Object} requisition - { stage, targetQuarter }; defaults to planned for
+       *   the first period the seat is filled
+       * @returns {boolean} Whether the requisition was opened
+       */
+      openRequisition: (personId, requisition = {}) => {
+        const { personNodes, requisitions, seatPeople } = get();
+        const person = personNodes.find(p => p.id === personId);
+        if (!person) {
+          set({ error: 'Person not found' });
+          return false;
+        }
+        if (requisitions[personId]) return true;
+        if (seatPeople[personId]?.status === 'filled') {
+          set({ error: `${person.displayName} is already filled` });
+          return false;
+        }
+
+        get().recordHistory(`Open requisition for ${person.displayName}`);
+        set({
+          requisitions: {
+            ...requisitions,
+            [personId]: {
+              stage: 'planned',
+              targetQuarter: person.filledInQuarters?.[0] || person.startQuarter || get().selectedQuarter,
+              ...requisition
+            }
+          },
+          error: null
+        });
+        get().rebuildChart();
+        return true;
+      },
+
+      /**
+       * Open planned requisitions for every seat first filled after the selected period
+       * @returns {number} Number of requisitions opened
+       */
+      openRequisitionsForFutureSeats: () => {
+        const { roleTemplates, seatPeople, requisitions, selectedQuarter } = get();
+        const seats = getUntrackedFutureSeats(roleTemplates, seatPeople, requisitions, selectedQuarter);
+        if (seats.length === 0) return 0;
+
+        get().recordHistory(`Open ${seats.length} requisitions`);
+        const newRequisitions = { ...requisitions };
+        seats.forEach(({ personId, targetQuarter }) => {
+          newRequisitions[personId] = { stage: 'planned', targetQuarter };
+        });
+
+        set({ requisitions: newRequisitions });
+        get().rebuildChart();
+        return seats.length;
+      },
+
+      /**
+       * Move a requisition to another stage or target quarter
+       * Offer and filled stages carry over to the seat's person record, if any.
+       * @param {string} personId - Seat ID
+       * @param {Object} changes - { stage?, targetQuarter? }
+       * @returns {boolean} Whether the requisition was updated
+       */
+      updateRequisition: (personId, changes) => {
+        const { requisitions, seatPeople } = get();
+        const requisition = requisitions[personId];
+        if (!requisition) {
+          set({ error: 'Requisition not found' });
+          return false;
+        }
+        if (changes.stage && !REQUISITION_STAGES.some(s => s.id === changes.stage)) {
+          set({ error: `Unknown requisition stage: ${changes.stage}` });
+          return false;
+        }
+
+        get().recordHistory(changes.stage ? 'Move requisition' : 'Update requisition');
+
+        const updates = { requisitions: { ...requisitions, [personId]: { ...requisition, ...changes } }, error: null };
+        const record = seatPeople[personId];
+        if (record && (changes.stage === 'offer' || changes.stage === 'filled')) {
+          updates.seatPeople = { ...seatPeople, [personId]: { ...record, status: changes.stage } };
+        }
+
+        set(updates);
+        get().rebuildChart();
+        return true;
+      },
+
+      /**
+       * Stop tracking a requisition
+       */
+      closeRequisition: (personId) => {
+        const { requisitions } = get();
+        if (!requisitions[personId]) return;
+
+        get().recordHistory('Close requisition');
+        const newRequisitions = { ...requisitions };
+        delete newRequisitions[personId];
+
+        set({ requisitions: newRequisitions });
+        get().rebuildChart();
+      },
+
+      /**
+       * Pan the canvas to a seat, switching to a period it's active in and
+       * expanding collapsed managers above it if needed
+       * @param {string} personId - Seat ID
+       * @param {string|null} period - Period to switch to if the seat isn't shown
+       */
+      focusNode: (personId, period = null) => {
+        if (!get().personNodes.some(p => p.id === personId) && period) {
+          get().setSelectedQuarter(period);
+        }
+
+        const { personNodes, collapsedNodes } = get();
+        const expanded = new Set(collapsedNodes);
+        let current = personNodes.find(p => p.id === personId)?.managerId;
+        while (current && expanded.size > 0) {
+          expanded.delete(current);
+          current = personNodes.find(p => p.id === current)?.managerId;
+        }
+
+        set({ collapsedNodes: expanded, seatChangeFilter: null, focusNodeId: personId });
+        get().rebuildChart();
+      },
+
+      /**
+       * Called by the canvas once it has panned to focusNodeId
+       */
+      clearFocusNode: () => {
+        set({ focusNodeId: null });
+      },
+
       /**
        * Bulk remove manager for multiple people
        */
       bulkRemoveManager: (personIds) => {
+        get().recordHistory(`Remove manager for ${personIds.length} people`);
         const { managerAssignments } = get();
         const newAssignments = { ...managerAssignments };
         personIds.forEach(id => delete newAssignments[id]);
@@ -338,12 +1574,98 @@ export const useOrgChartStore = create(
         }));
       },
 
+      /**
+       * Update several person node positions at once (after dragging a subtree)
+       * @param {Object} positions - { personId: { x, y } }
+       */
+      updatePersonPositions: (positions) => {
+        set(state => ({
+          personNodes: state.personNodes.map(node =>
+            positions[node.id] ? { ...node, position: positions[node.id] } : node
+          ),
+          // In pinned mode, dragged nodes keep these positions through later rebuilds
+          pinnedPositions: state.layoutMode === 'pinned'
+            ? { ...state.pinnedPositions, ...positions }
+            : state.pinnedPositions
+        }));
+        if (get().layoutMode === 'pinned') {
+          get().rebuildChart();
+        }
+      },
+
+      /**
+       * Switch between auto layout and keeping dragged positions
+       * @param {string} layoutMode - 'auto' or 'pinned'
+       */
+      setLayoutMode: (layoutMode) => {
+        set({ layoutMode });
+        get().rebuildChart();
+      },
+
+      /**
+       * Choose the layout algorithm for the active scenario
+       * @param {string} layoutType - One of LAYOUT_TYPES
+       * @param {Object} options - Layout options to change, e.g. { columnWrap: 4 }
+       */
+      setLayout: (layoutType, options = {}) => {
+        if (!LAYOUT_TYPES.some(t => t.id === layoutType)) {
+          set({ error: `Unknown layout: ${layoutType}` });
+          return;
+        }
+
+        set(state => ({ layoutType, layoutOptions: { ...state.layoutOptions, ...options } }));
+        get().rebuildChart();
+      },
+
+      /**
+       * Show or hide department regions behind the chart
+       */
+      toggleDepartmentLanes: () => {
+        set(state => ({ showDepartmentLanes: !state.showDepartmentLanes }));
+        get().rebuildChart();
+      },
+
+      /**
+       * Clear pinned positions so auto layout places the nodes again
+       * @param {string|null} personId - Only clear this person and everyone below them
+       */
+      relayout: (personId = null) => {
+        const { personNodes, pinnedPositions } = get();
+        if (!personId) {
+          set({ pinnedPositions: {} });
+          get().rebuildChart();
+          return;
+        }
+
+        const newPinned = { ...pinnedPositions };
+        const queue = [personId];
+        const visited = new Set();
+        while (queue.length > 0) {
+          const id = queue.shift();
+          if (visited.has(id)) continue;
+          visited.add(id);
+          delete newPinned[id];
+          personNodes.filter(p => p.managerId === id).forEach(p => queue.push(p.id));
+        }
+
+        set({ pinnedPositions: newPinned });
+        get().rebuildChart();
+      },
+
       /**
        * Rebuild ReactFlow nodes and edges
        */
       rebuildChart: () => {
-        const { personNodes, departments } = get();
+        const { personNodes, departments, roleTemplates, selectedQuarter, seatPeople, requisitions } = get();
         let { collapsedNodes } = get();
+        const timelineStart = getPeriodTimeline(roleTemplates)[0] || null;
+        const subtreeCosts = getSubtreeCosts(personNodes, roleTemplates, selectedQuarter);
+
+        // Changes against the diff base, recomputed so highlights follow edits
+        const { diffView } = get();
+        const highlights = diffView
+          ? getDiffHighlights(diffOrgStates(diffView.base, get().getScenarioSnapshot(get().getActiveScenario().id)))
+          : null;
 
         // Ensure collapsedNodes is a Set (might be array from localStorage)
         if (!(collapsedNodes instanceof Set)) {
@@ -365,11 +1687,65 @@ export const useOrgChartStore = create(
           return true; // No collapsed ancestors
         };
 
+        // Seats added/removed in the filtered period, plus their managers for context
+        const timeline = getPeriodTimeline(roleTemplates);
+        const { seatChangeFilter } = get();
+        let seatChangeIds = null;
+        let contextIds = null;
+        if (seatChangeFilter && isAggregateView(selectedQuarter)) {
+          seatChangeIds = new Set(personNodes
+            .filter(person => {
+              const change = getSeatChange(person.filledInQuarters || person.activeInQuarters || [], seatChangeFilter.period, timeline);
+              return seatChangeFilter.change === 'any' ? change !== null : change === seatChangeFilter.change;
+            })
+            .map(person => person.id));
+
+          contextIds = new Set();
+          seatChangeIds.forEach(id => {
+            let current = personNodes.find(p => p.id === id)?.managerId;
+            while (current && !contextIds.has(current)) {
+              contextIds.add(current);
+              current = personNodes.find(p => p.id === current)?.managerId;
+            }
+          });
+        }
+
         // Filter to only visible person nodes
-        const visiblePersonNodes = personNodes.filter(isPersonVisible);
+        const visiblePersonNodes = personNodes.filter(person =>
+          isPersonVisible(person)
+          && (!seatChangeIds || seatChangeIds.has(person.id) || contextIds.has(person.id))
+        );
+        const viewPeriods = isAggregateView(selectedQuarter) ? getViewPeriods(selectedQuarter, timeline) : null;
 
         // Force recalculation of positions
-        const newPositions = calculateLayout(visiblePersonNodes, departments);
+        const { layoutType, layoutOptions } = get();
+        const newPositions = calculateLayout(visiblePersonNodes, departments, layoutType, layoutOptions);
+
+        // Pinned nodes keep their positions, and unpinned nodes below a pinned
+        // manager move with it so the subtree stays together
+        const { layoutMode, pinnedPositions } = get();
+        const isPinned = (id) => layoutMode === 'pinned' && Boolean(pinnedPositions[id]) && Boolean(newPositions[id]);
+        if (layoutMode === 'pinned') {
+          const autoPositions = { ...newPositions };
+          visiblePersonNodes.forEach(person => {
+            if (!newPositions[person.id]) return;
+            if (isPinned(person.id)) {
+              newPositions[person.id] = pinnedPositions[person.id];
+              return;
+            }
+
+            let ancestorId = person.managerId;
+            while (ancestorId && !isPinned(ancestorId)) {
+              ancestorId = personNodes.find(p => p.id === ancestorId)?.managerId;
+            }
+            if (ancestorId) {
+              newPositions[person.id] = {
+                x: autoPositions[person.id].x + pinnedPositions[ancestorId].x - autoPositions[ancestorId].x,
+                y: autoPositions[person.id].y + pinnedPositions[ancestorId].y - autoPositions[ancestorId].y
+              };
+            }
+          });
+        }
 
         // Update person nodes with new positions
         const updatedPersonNodes = personNodes.map(person => ({
@@ -394,7 +1770,16 @@ export const useOrgChartStore = create(
               isCollapsed,
               directReportsCount,
               displayName: person.displayName,
-              roleName: person.roleName
+              roleName: person.roleName,
+              timelineStart,
+              subtreeCost: subtreeCosts[person.id] || 0,
+              diffStatus: highlights ? getPersonDiffStatus(person, highlights) : null,
+              seatPerson: seatPeople[person.id] || null,
+              requisition: requisitions[person.id] || null,
+              isPinned: isPinned(person.id),
+              layoutDirection: layoutType === 'dagre-lr' ? 'LR' : 'TB',
+              viewPeriods,
+              isContextOnly: seatChangeIds ? !seatChangeIds.has(person.id) : false
             },
             position: updatedPersonNodes.find(p => p.id === person.id).position,
             style: {
@@ -404,6 +1789,36 @@ export const useOrgChartStore = create(
           };
         });
 
+        // Department regions go first so they render behind the person nodes
+        if (get().showDepartmentLanes) {
+          const departmentCounts = {};
+          visiblePersonNodes.forEach(person => {
+            departmentCounts[person.departmentId] = (departmentCounts[person.departmentId] || 0) + 1;
+          });
+
+          const regions = calculateDepartmentRegions(visiblePersonNodes, newPositions)
+            .sort((a, b) => b.width * b.height - a.width * a.height)
+            .map(region => {
+              const dept = departments.find(d => d.id === region.departmentId);
+              return {
+                id: region.id,
+                type: 'departmentRegion',
+                data: {
+                  department: dept,
+                  headcount: region.headcount,
+                  departmentHeadcount: departmentCounts[region.departmentId]
+                },
+                position: { x: region.x, y: region.y },
+                style: { width: region.width, height: region.height },
+                zIndex: -1,
+                draggable: false,
+                selectable: false,
+                focusable: false
+              };
+            });
+          nodes.unshift(...regions);
+        }
+
         // Build ReactFlow edges (only for visible people)
         // Group direct reports by manager and role to reduce edge clutter
         const edges = [];
@@ -424,8 +1839,11 @@ export const useOrgChartStore = create(
               const roleKey = person.templateId || person.id;
               const edgeKey = `${person.managerId}-${roleKey}`;
 
+              // Reporting lines that differ from the diff base are always drawn
+              const isChangedLine = highlights?.personStatus[person.id] === 'manager-changed';
+
               // Always show edges to managers, only show first edge per role for leaves
-              if (isPersonManager || !edgesCreated.has(edgeKey)) {
+              if (isPersonManager || isChangedLine || !edgesCreated.has(edgeKey)) {
                 edgesCreated.add(edgeKey);
 
                 edges.push({
@@ -435,8 +1853,8 @@ export const useOrgChartStore = create(
                   type: 'bezier',
                   animated: false,
                   style: {
-                    stroke: isCrossDepartment ? '#EF4444' : '#94A3B8',
-                    strokeWidth: 1.5,
+                    stroke: isChangedLine ? '#2563EB' : (isCrossDepartment ? '#EF4444' : '#94A3B8'),
+                    strokeWidth: isChangedLine ? 3 : 1.5,
                     strokeDasharray: isCrossDepartment ? '5,5' : undefined
                   }
                 });
@@ -457,6 +1875,7 @@ export const useOrgChartStore = create(
        * Reset all manager assignments
        */
       resetManagerAssignments: () => {
+        get().recordHistory('Reset manager assignments');
         set(state => ({
           personNodes: state.personNodes.map(node => ({
             ...node,
@@ -474,6 +1893,89 @@ export const useOrgChartStore = create(
         set({ error: null });
       },
 
+      /**
+       * Flat file rows (see flatExport.js) for the selected view or every quarter
+       * @param {boolean} allQuarters - One block of rows per period on the timeline
+       * @returns {Array<Object>} Rows keyed by FLAT_EXPORT_COLUMNS
+       */
+      getFlatExportRows: (allQuarters = false) => {
+        const { roleTemplates, departments, managerAssignments, personNodes, selectedQuarter } = get();
+        const customNodes = personNodes.filter(p => p.isCustom);
+        const periods = allQuarters ? getPeriodTimeline(roleTemplates) : [selectedQuarter];
+
+        return periods.flatMap(period => buildFlatRows(
+          buildPersonNodes(roleTemplates, period, managerAssignments, customNodes),
+          roleTemplates,
+          departments,
+          period
+        ));
+      },
+
+      /**
+       * Apply the reporting lines from a flat export file
+       * Seats missing from the file keep their managers. Rows naming unknown seats,
+       * conflicting managers or a circular reporting line are skipped.
+       * @param {Array<Array>} rows - Raw CSV rows, header first
+       * @returns {{applied: number, skipped: number}|false} Counts, or false when nothing could be applied
+       */
+      importFlatAssignments: (rows) => {
+        const { roleTemplates, personNodes, managerAssignments, selectedQuarter } = get();
+        const { assignments, conflicts } = parseFlatAssignments(rows);
+
+        // Every seat a template has in any period, plus custom roles
+        const timeline = getPeriodTimeline(roleTemplates);
+        const knownIds = new Set(personNodes.filter(p => p.isCustom).map(p => p.id));
+        roleTemplates.forEach(template => {
+          const seatCount = Math.max(0, ...timeline.map(p => template.quarters[p] || 0));
+          for (let i = 0; i < seatCount; i++) {
+            knownIds.add(`${template.id}-person-${i}`);
+          }
+        });
+
+        const newAssignments = { ...managerAssignments };
+        const createsCycle = (personId, managerId) => {
+          const visited = new Set();
+          for (let current = managerId; current; current = newAssignments[current]) {
+            if (current === personId || visited.has(current)) return true;
+            visited.add(current);
+          }
+          return false;
+        };
+
+        let applied = 0;
+        let skipped = conflicts.length;
+        Object.entries(assignments).forEach(([personId, managerId]) => {
+          const isValid = knownIds.has(personId)
+            && (!managerId || (knownIds.has(managerId) && !createsCycle(personId, managerId)));
+          if (!isValid) {
+            skipped++;
+            return;
+          }
+
+          if (managerId) {
+            newAssignments[personId] = managerId;
+          } else {
+            delete newAssignments[personId];
+          }
+          applied++;
+        });
+
+        if (applied === 0) {
+          set({ error: 'No reporting lines in the file match seats in this plan' });
+          return false;
+        }
+
+        get().recordHistory('Import reporting lines');
+        const customNodes = personNodes.filter(p => p.isCustom);
+        set({
+          managerAssignments: newAssignments,
+          personNodes: buildPersonNodes(roleTemplates, selectedQuarter, newAssignments, customNodes),
+          error: skipped > 0 ? `${skipped} row(s) skipped: unknown seat, conflicting managers or circular reference` : null
+        });
+        get().rebuildChart();
+        return { applied, skipped };
+      },
+
       /**
        * Export current state as JSON
        */
@@ -486,32 +1988,72 @@ export const useOrgChartStore = create(
           selectedQuarter: state.selectedQuarter,
           departments: state.departments,
           roleTemplates: state.roleTemplates,
+          // Canonical reporting lines for every period; personNodes only covers the selected one
+          managerAssignments: state.managerAssignments,
           personNodes: state.personNodes,
-          collapsedNodes: Array.from(state.collapsedNodes)
+          seatPeople: state.seatPeople,
+          requisitions: state.requisitions,
+          layoutMode: state.layoutMode,
+          pinnedPositions: state.pinnedPositions,
+          layoutType: state.layoutType,
+          layoutOptions: state.layoutOptions,
+          collapsedNodes: Array.from(state.collapsedNodes),
+          csvMapping: state.csvMapping,
+          activeScenarioId: state.getActiveScenario().id,
+          // Undo history stays local to this browser
+          scenarios: state.scenarios.map(s => {
+            const scenario = s.id === state.getActiveScenario().id ? { ...s, ...captureScenarioData(state) } : s;
+            return { ...scenario, undoStack: [], redoStack: [] };
+          })
         };
       },
 
       /**
        * Import state from JSON
+       * Exports with scenarios replace every scenario; older single-chart
+       * exports replace the active scenario only.
        */
       importFromJSON: (jsonData) => {
         try {
-          // Build managerAssignments from personNodes
-          const managerAssignments = {};
-          jsonData.personNodes.forEach(node => {
-            if (node.managerId) {
-              managerAssignments[node.id] = node.managerId;
+          // Exports from before multi-year support use Q1..Q4 keys
+          const data = migrateLegacyPeriods(jsonData);
+
+          // Reporting lines for every period, not just the exported one
+          const managerAssignments = getExportManagerAssignments(data);
+
+          get().settleHistory();
+          const hasScenarios = Array.isArray(jsonData.scenarios) && jsonData.scenarios.length > 0;
+          if (get().csvFileName && !hasScenarios) {
+            get().recordHistory('Import JSON');
+          }
+
+          const scenarioState = hasScenarios
+            ? {
+              scenarios: jsonData.scenarios.map(s => ({ ...createScenarioEntry(s.name), ...s, undoStack: [], redoStack: [] })),
+              activeScenarioId: jsonData.activeScenarioId || jsonData.scenarios[0].id,
+              undoStack: [],
+              redoStack: [],
+              sharedUndoStack: [],
+              sharedRedoStack: []
             }
-          });
+            : {};
 
           set({
-            departments: jsonData.departments,
-            roleTemplates: jsonData.roleTemplates,
-            personNodes: jsonData.personNodes,
+            ...scenarioState,
+            departments: data.departments,
+            roleTemplates: data.roleTemplates,
+            personNodes: data.personNodes,
             managerAssignments,
-            selectedQuarter: jsonData.selectedQuarter,
+            seatPeople: jsonData.seatPeople || {},
+            requisitions: jsonData.requisitions || {},
+            layoutMode: jsonData.layoutMode || 'auto',
+            pinnedPositions: jsonData.pinnedPositions || {},
+            layoutType: jsonData.layoutType || 'hierarchical',
+            layoutOptions: jsonData.layoutOptions || { columnWrap: DEFAULT_COLUMN_WRAP },
+            selectedQuarter: data.selectedQuarter,
             csvFileName: jsonData.csvFileName,
             collapsedNodes: jsonData.collapsedNodes ? new Set(jsonData.collapsedNodes) : new Set(),
+            csvMapping: jsonData.csvMapping || null,
             error: null
           });
           get().rebuildChart();
@@ -524,9 +2066,10 @@ export const useOrgChartStore = create(
 
       /**
        * Add a custom role (not from CSV)
+       * @returns {string|false} ID of the new role, or false when invalid
        */
       addCustomRole: (roleName, departmentId, managerId = null) => {
-        const { departments, personNodes, managerAssignments } = get();
+        const { departments, personNodes, managerAssignments, roleTemplates } = get();
         const dept = departments.find(d => d.id === departmentId);
 
         if (!dept) {
@@ -555,7 +2098,7 @@ export const useOrgChartStore = create(
           departmentId: dept.id,
           managerId: managerId,
           position: { x: 0, y: 0 },
-          activeInQuarters: ['Q1', 'Q2', 'Q3', 'Q4'],
+          activeInQuarters: getPeriodTimeline(roleTemplates),
           isCustom: true, // Mark as custom role
           metadata: {
             originalRoleName: roleName,
@@ -571,6 +2114,8 @@ export const useOrgChartStore = create(
           ? { ...managerAssignments, [customId]: managerId }
           : managerAssignments;
 
+        get().recordHistory(`Add ${roleName}`);
+
         set(state => ({
           personNodes: [...state.personNodes, newPersonNode],
           managerAssignments: newAssignments,
@@ -578,7 +2123,7 @@ export const useOrgChartStore = create(
         }));
 
         get().rebuildChart();
-        return true;
+        return customId;
       },
 
       /**
@@ -597,6 +2142,26 @@ export const useOrgChartStore = create(
         get().rebuildChart();
       },
 
+      /**
+       * Collapse or expand several nodes at once
+       * @param {Array<string>} nodeIds - Person node IDs
+       * @param {boolean} collapsed - true to collapse, false to expand
+       */
+      setNodesCollapsed: (nodeIds, collapsed) => {
+        set(state => {
+          const newCollapsedNodes = new Set(state.collapsedNodes);
+          nodeIds.forEach(nodeId => {
+            if (collapsed) {
+              newCollapsedNodes.add(nodeId);
+            } else {
+              newCollapsedNodes.delete(nodeId);
+            }
+          });
+          return { collapsedNodes: newCollapsedNodes };
+        });
+        get().rebuildChart();
+      },
+
       /**
        * Delete a person node (only custom roles)
        */
@@ -614,6 +2179,8 @@ export const useOrgChartStore = create(
           return false;
         }
 
+        get().recordHistory(`Delete ${person.displayName}`);
+
         // Update managerAssignments: remove this person and anyone who has them as manager
         const newAssignments = { ...managerAssignments };
         delete newAssignments[personId];
@@ -623,12 +2190,19 @@ export const useOrgChartStore = create(
           }
         });
 
+        const newSeatPeople = { ...get().seatPeople };
+        delete newSeatPeople[personId];
+        const newRequisitions = { ...get().requisitions };
+        delete newRequisitions[personId];
+
         // Remove the person and any references to them as manager
         set(state => ({
           personNodes: state.personNodes
             .filter(p => p.id !== personId)
             .map(p => p.managerId === personId ? { ...p, managerId: null } : p),
-          managerAssignments: newAssignments
+          managerAssignments: newAssignments,
+          seatPeople: newSeatPeople,
+          requisitions: newRequisitions
         }));
 
         get().rebuildChart();
@@ -637,7 +2211,8 @@ export const useOrgChartStore = create(
     }),
     {
       name: 'org-chart-storage',
-      version: 7, // Increment to clear old cached data and add managerAssignments
+      storage: safeStorage,
+      version: 10, // Increment when the persisted shape changes (see migrate)
       onRehydrateStorage: () => (state) => {
         // After rehydrating from localStorage, rebuild the chart
         // This ensures nodes/edges are populated on initial load
@@ -653,14 +2228,30 @@ export const useOrgChartStore = create(
         roleTemplates: state.roleTemplates,
         personNodes: state.personNodes,
         managerAssignments: state.managerAssignments,
+        seatPeople: state.seatPeople,
+        requisitions: state.requisitions,
+        layoutMode: state.layoutMode,
+        pinnedPositions: state.pinnedPositions,
+        layoutType: state.layoutType,
+        layoutOptions: state.layoutOptions,
+        showDepartmentLanes: state.showDepartmentLanes,
         selectedQuarter: state.selectedQuarter,
         csvFileName: state.csvFileName,
         lastSaved: state.lastSaved,
         dataVersion: state.dataVersion,
-        collapsedNodes: Array.from(state.collapsedNodes) // Convert Set to Array for serialization
+        collapsedNodes: Array.from(state.collapsedNodes), // Convert Set to Array for serialization
+        csvMapping: state.csvMapping,
+        scenarios: state.scenarios.map(({ undoStack, redoStack, ...scenario }) => scenario),
+        activeScenarioId: state.activeScenarioId,
+        // Full snapshots are too big for localStorage, so undo history is saved as patches
+        history: encodeHistory(state)
       }),
+      merge: (persistedState, currentState) => {
+        const { history, ...rest } = persistedState || {};
+        return decodeHistory({ ...currentState, ...rest }, history);
+      },
       migrate: (persistedState, version) => {
-        console.log(`🔄 Store migration: old version=${version}, new version=7`);
+        console.log(`🔄 Store migration: old version=${version}, new version=10`);
         // If the version changed, clear the data to force re-parse
         if (version < 7) {
           console.log('🗑️  Clearing old cached data to load fresh default JSON');
@@ -669,13 +2260,25 @@ export const useOrgChartStore = create(
             roleTemplates: [],
             personNodes: [],
             managerAssignments: {},
-            selectedQuarter: 'Q4',
+            selectedQuarter: DEFAULT_PERIOD,
             csvFileName: null,
             lastSaved: null,
-            dataVersion: 7,
+            dataVersion: 8,
             collapsedNodes: []
           };
         }
+        // Version 7 stored Q1..Q4 keys; convert to period IDs
+        if (version < 8) {
+          persistedState = { ...migrateLegacyPeriods(persistedState), dataVersion: 8 };
+        }
+        // Version 8 persisted undo history as full snapshots; drop it to free the space
+        if (version < 9) {
+          const { undoStack, redoStack, ...rest } = persistedState;
+          persistedState = {
+            ...rest,
+            scenarios: (rest.scenarios || []).map(({ undoStack, redoStack, ...scenario }) => scenario)
+          };
+        }
         // Convert collapsedNodes array back to Set
         if (persistedState.collapsedNodes && Array.isArray(persistedState.collapsedNodes)) {
           persistedState.collapsedNodes = new Set(persistedState.collapsedNodes);
@@ -686,6 +2289,15 @@ export const useOrgChartStore = create(
         if (!persistedState.managerAssignments) {
           persistedState.managerAssignments = {};
         }
+        if (!persistedState.seatPeople) {
+          persistedState.seatPeople = {};
+        }
+        if (!persistedState.requisitions) {
+          persistedState.requisitions = {};
+        }
+        if (!persistedState.pinnedPositions) {
+          persistedState.pinnedPositions = {};
+        }
         return persistedState;
       }
     }
@@ -0,0 +1,241 @@
+import { toPng, toJpeg, toSvg } from 'html-to-image';
+
+/**
+ * Image and PDF exports of the rendered chart
+ * Images are taken from ReactFlow's DOM, so they look exactly like the canvas;
+ * node positions come from the store's ReactFlow nodes.
+ */
+
+const PADDING = 40;
+// Browsers refuse to draw canvases much larger than this on either side
+const MAX_CANVAS_SIZE = 16000;
+const PNG_PIXEL_RATIO = 2;
+// Longest side of each PDF page image in pixels
+const PDF_IMAGE_SIZE = 3000;
+
+// Canvas controls that shouldn't appear in a screenshot of the current view
+const CHROME_CLASSES = ['react-flow__panel', 'react-flow__minimap', 'react-flow__controls', 'react-flow__attribution'];
+
+function getChartElements() {
+  const container = document.querySelector('.react-flow');
+  const viewport = container?.querySelector('.react-flow__viewport');
+  if (!viewport) {
+    throw new Error('The chart is not on screen');
+  }
+  return { container, viewport };
+}
+
+/**
+ * Bounding box of nodes, using the rendered size of each card
+ */
+function getBounds(viewport, nodes) {
+  const boxes = nodes.map(node => {
+    const element = viewport.querySelector(`.react-flow__node[data-id="${CSS.escape(node.id)}"]`);
+    return {
+      x: node.position.x,
+      y: node.position.y,
+      width: element?.offsetWidth || 0,
+      height: element?.offsetHeight || 0
+    };
+  });
+  const x = Math.min(...boxes.map(b => b.x));
+  const y = Math.min(...boxes.map(b => b.y));
+
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map(b => b.x + b.width)) - x,
+    height: Math.max(...boxes.map(b => b.y + b.height)) - y
+  };
+}
+
+/**
+ * html-to-image filter keeping only some nodes and the edges between them
+ */
+function keepOnly(nodeIds, edges) {
+  const edgeIds = new Set(
+    edges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target)).map(e => `rf__edge-${e.id}`)
+  );
+
+  return (element) => {
+    if (!element.classList) return true;
+    if (element.classList.contains('react-flow__node')) return nodeIds.has(element.dataset.id);
+    if (element.classList.contains('react-flow__edge')) return edgeIds.has(element.dataset.testid);
+    return true;
+  };
+}
+
+/**
+ * Render part of the chart at 1:1 scale, whatever the current zoom
+ */
+function renderBounds(viewport, bounds, { render, pixelRatio, filter }) {
+  const width = Math.ceil(bounds.width + PADDING * 2);
+  const height = Math.ceil(bounds.height + PADDING * 2);
+  const maxRatio = MAX_CANVAS_SIZE / Math.max(width, height);
+
+  return render(viewport, {
+    backgroundColor: '#ffffff',
+    width,
+    height,
+    pixelRatio: Math.min(pixelRatio, maxRatio),
+    quality: 0.92,
+    filter,
+    style: {
+      width: `${width}px`,
+      height: `${height}px`,
+      transform: `translate(${PADDING - bounds.x}px, ${PADDING - bounds.y}px) scale(1)`
+    }
+  });
+}
+
+/**
+ * Export the chart as an image
+ * @param {Object} options
+ * @param {string} options.format - 'png' or 'svg'
+ * @param {string} options.scope - 'view' for what's on screen, 'full' for every rendered node
+ * @param {Array} options.nodes - ReactFlow nodes from the store
+ * @returns {Promise<string>} Data URL of the image
+ */
+export async function exportChartImage({ format, scope, nodes }) {
+  const { container, viewport } = getChartElements();
+  const render = format === 'svg' ? toSvg : toPng;
+
+  if (scope === 'view') {
+    return render(container, {
+      backgroundColor: '#ffffff',
+      pixelRatio: PNG_PIXEL_RATIO,
+      filter: (element) => !CHROME_CLASSES.some(c => element.classList?.contains(c))
+    });
+  }
+
+  if (nodes.length === 0) {
+    throw new Error('The chart is empty');
+  }
+  return renderBounds(viewport, getBounds(viewport, nodes), { render, pixelRatio: PNG_PIXEL_RATIO });
+}
+
+/**
+ * Split the chart into PDF pages
+ * By manager: a page for each top-level manager with their direct reports, then
+ * a page per team under them; people without a manager or reports share a page.
+ * By department: a page per department, with its department lane regions.
+ * @param {Array} nodes - ReactFlow nodes from the store
+ * @param {string} groupBy - 'manager' or 'department'
+ * @returns {Array<{title: string, nodeIds: Array<string>}>}
+ */
+export function getPdfPages(nodes, groupBy) {
+  const people = nodes.filter(n => n.type === 'customRole');
+  const shownIds = new Set(people.map(n => n.id));
+
+  if (groupBy === 'department') {
+    const pages = new Map();
+    people.forEach(node => {
+      const key = node.data.department?.id || '';
+      if (!pages.has(key)) {
+        const regionIds = nodes
+          .filter(n => n.type === 'departmentRegion' && (n.data.department?.id || '') === key)
+          .map(n => n.id);
+        pages.set(key, { title: node.data.department?.displayName || 'No department', nodeIds: regionIds });
+      }
+      pages.get(key).nodeIds.push(node.id);
+    });
+    return Array.from(pages.values());
+  }
+
+  const reportsOf = (id) => people.filter(n => n.data.person.managerId === id);
+  const teamOf = (id) => {
+    const team = [id];
+    for (let i = 0; i < team.length; i++) {
+      reportsOf(team[i]).forEach(n => team.push(n.id));
+    }
+    return team;
+  };
+
+  const pages = [];
+  const unassigned = [];
+  people
+    .filter(n => !shownIds.has(n.data.person.managerId))
+    .forEach(root => {
+      const reports = reportsOf(root.id);
+      if (reports.length === 0) {
+        unassigned.push(root.id);
+        return;
+      }
+
+      const managers = reports.filter(n => reportsOf(n.id).length > 0);
+      if (managers.length === 0) {
+        pages.push({ title: `${root.data.displayName}'s team`, nodeIds: teamOf(root.id) });
+        return;
+      }
+      pages.push({ title: `${root.data.displayName} and direct reports`, nodeIds: [root.id, ...reports.map(n => n.id)] });
+      managers.forEach(manager => {
+        pages.push({ title: `${manager.data.displayName}'s team`, nodeIds: teamOf(manager.id) });
+      });
+    });
+
+  if (unassigned.length > 0) {
+    pages.push({ title: 'No manager assigned', nodeIds: unassigned });
+  }
+  return pages;
+}
+
+/**
+ * Export the chart as a landscape PDF: an overview page, then one page per group
+ * @param {Object} options
+ * @param {Array} options.nodes - ReactFlow nodes from the store
+ * @param {Array} options.edges - ReactFlow edges from the store
+ * @param {string} options.groupBy - 'manager' or 'department'
+ * @param {string} options.scenarioName - Shown in each page header
+ * @param {string} options.periodLabel - Shown in each page header, e.g. 'Q1 2026'
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function exportChartPdf({ nodes, edges, groupBy, scenarioName, periodLabel }) {
+  if (nodes.length === 0) {
+    throw new Error('The chart is empty');
+  }
+
+  const { jsPDF } = await import('jspdf');
+  const { viewport } = getChartElements();
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 36;
+  const headerHeight = 48;
+  const date = new Date().toLocaleDateString();
+
+  const pages = [{ title: 'Overview', nodeIds: nodes.map(n => n.id) }, ...getPdfPages(nodes, groupBy)];
+
+  for (const [index, page] of pages.entries()) {
+    const nodeIds = new Set(page.nodeIds);
+    const bounds = getBounds(viewport, nodes.filter(n => nodeIds.has(n.id)));
+    const pixelRatio = Math.min(PNG_PIXEL_RATIO, Math.max(0.5, PDF_IMAGE_SIZE / Math.max(bounds.width, bounds.height)));
+    const image = await renderBounds(viewport, bounds, {
+      render: toJpeg,
+      pixelRatio,
+      filter: keepOnly(nodeIds, edges)
+    });
+
+    if (index > 0) doc.addPage();
+
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.text(scenarioName, margin, margin);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(`${periodLabel} · ${date}`, pageWidth - margin, margin, { align: 'right' });
+    doc.setFontSize(12);
+    doc.text(page.title, margin, margin + 20);
+    doc.setFontSize(9);
+    doc.text(`Page ${index + 1} of ${pages.length}`, pageWidth - margin, pageHeight - margin / 2, { align: 'right' });
+
+    // Fit the image below the header, keeping its aspect ratio
+    const imageWidth = bounds.width + PADDING * 2;
+    const imageHeight = bounds.height + PADDING * 2;
+    const availableWidth = pageWidth - margin * 2;
+    const availableHeight = pageHeight - margin * 2 - headerHeight;
+    const scale = Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+    doc.addImage(image, 'JPEG', margin, margin + headerHeight, imageWidth * scale, imageHeight * scale);
+  }
+
+  return doc.output('blob');
+}
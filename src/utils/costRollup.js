@@ -0,0 +1,246 @@
+import { getPeriodTimeline, parsePeriod, ALL_PERIODS_VIEW } from './periods';
+
+/**
+ * Cost helpers built on the costPerRole/costByYear strings from the sheet.
+ * Costs are annual per seat, so totals are annualized run-rates for the
+ * headcount in a period.
+ */
+
+const SEAT_ID_PATTERN = /^(role-\d+)-person-(\d+)$/;
+
+/**
+ * Parse a cost cell into a number
+ * @param {string|number} value - e.g. "$2,154,286", "(12,000)", 350000
+ * @returns {number} Amount in dollars, 0 when blank or unreadable
+ */
+export function parseCost(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : 0;
+  if (!value) return 0;
+
+  const text = String(value).trim();
+  const isNegative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(amount)) return 0;
+
+  return isNegative ? -amount : amount;
+}
+
+/**
+ * Format a dollar amount, e.g. "$2,154,286" or compact "$2.2M"
+ * @param {number} amount - Amount in dollars
+ * @param {boolean} compact - Use K/M/B suffixes (for node badges)
+ * @returns {string}
+ */
+export function formatCost(amount, compact = false) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: compact ? 1 : 0,
+    notation: compact ? 'compact' : 'standard'
+  }).format(amount || 0);
+}
+
+function getYearCost(template, year) {
+  const yearCost = template.costByYear?.[year];
+  return parseCost(yearCost !== undefined ? yearCost : template.costPerRole);
+}
+
+/**
+ * Annual cost of one seat of a role template in a period
+ * Uses that year's cost column when the sheet has one, otherwise costPerRole.
+ * 'Full Year' spans several years, so each filled period is priced at its own
+ * year's cost and the seat costs the average.
+ * @param {Object} template - Role template
+ * @param {string} period - Period ID or 'Full Year'
+ * @param {Array<string>} filledPeriods - Periods the seat is filled ('Full Year' only;
+ *   defaults to every period the role has headcount)
+ * @returns {number}
+ */
+export function getTemplateCost(template, period, filledPeriods) {
+  if (period === ALL_PERIODS_VIEW) {
+    const periods = filledPeriods?.length
+      ? filledPeriods
+      : Object.keys(template.quarters || {}).filter(p => template.quarters[p] > 0);
+    if (periods.length > 0) {
+      return periods.reduce((sum, p) => sum + getYearCost(template, parsePeriod(p).year), 0) / periods.length;
+    }
+  }
+  return getYearCost(template, parsePeriod(period).year);
+}
+
+/**
+ * Annual cost of a person node in a period
+ * Placeholders for future managers aren't hired yet, so they cost nothing.
+ * @param {Object} person - Person node
+ * @param {Map} templatesById - Role templates keyed by ID
+ * @param {string} period - Period ID or 'Full Year'
+ * @returns {number}
+ */
+export function getPersonCost(person, templatesById, period) {
+  if (person.isFutureRole) return 0;
+
+  const template = person.templateId && templatesById.get(person.templateId);
+  return template
+    ? getTemplateCost(template, period, person.filledInQuarters)
+    : parseCost(person.metadata?.costPerRole);
+}
+
+/**
+ * Fully-loaded cost of each person's subtree (themselves plus everyone below them)
+ * @param {Array} personNodes - Person nodes with managerId set
+ * @param {Array} roleTemplates - Role templates
+ * @param {string} period - Period ID or 'Full Year'
+ * @returns {Object} { personId: total }
+ */
+export function getSubtreeCosts(personNodes, roleTemplates, period) {
+  const templatesById = new Map(roleTemplates.map(t => [t.id, t]));
+  const reportsByManager = new Map();
+  personNodes.forEach(person => {
+    if (!person.managerId) return;
+    if (!reportsByManager.has(person.managerId)) reportsByManager.set(person.managerId, []);
+    reportsByManager.get(person.managerId).push(person);
+  });
+
+  const totals = {};
+  const visiting = new Set();
+
+  const visit = (person) => {
+    if (totals[person.id] !== undefined) return totals[person.id];
+    if (visiting.has(person.id)) return 0; // Guard against circular assignments
+    visiting.add(person.id);
+
+    let total = getPersonCost(person, templatesById, period);
+    (reportsByManager.get(person.id) || []).forEach(report => {
+      total += visit(report);
+    });
+
+    visiting.delete(person.id);
+    totals[person.id] = total;
+    return total;
+  };
+
+  personNodes.forEach(visit);
+  return totals;
+}
+
+/**
+ * Total cost of the people in each department
+ * @param {Array} personNodes - Person nodes for the selected period
+ * @param {Array} roleTemplates - Role templates
+ * @param {string} period - Period ID or 'Full Year'
+ * @returns {Object} { departmentId: total }
+ */
+export function getDepartmentCosts(personNodes, roleTemplates, period) {
+  const templatesById = new Map(roleTemplates.map(t => [t.id, t]));
+  const totals = {};
+
+  personNodes.forEach(person => {
+    totals[person.departmentId] = (totals[person.departmentId] || 0)
+      + getPersonCost(person, templatesById, period);
+  });
+
+  return totals;
+}
+
+/**
+ * Cost per period across the whole timeline, optionally limited to the seats
+ * under a manager in the canonical assignments
+ * @param {Array} roleTemplates - Role templates
+ * @param {Object} managerAssignments - Canonical { personId: managerId } map
+ * @param {Array} personNodes - Person nodes (for custom roles)
+ * @param {string|null} managerId - Only count this manager's subtree (and them)
+ * @returns {Array<{period: string, cost: number, headcount: number}>}
+ */
+export function getCostTrend(roleTemplates, managerAssignments, personNodes, managerId = null) {
+  const timeline = getPeriodTimeline(roleTemplates);
+  const templatesById = new Map(roleTemplates.map(t => [t.id, t]));
+  const customNodes = personNodes.filter(p => p.isCustom);
+
+  // Seats to count, or null for the whole org
+  let seatIds = null;
+  if (managerId) {
+    const reportsByManager = new Map();
+    Object.entries(managerAssignments).forEach(([personId, assignedManagerId]) => {
+      if (!reportsByManager.has(assignedManagerId)) reportsByManager.set(assignedManagerId, []);
+      reportsByManager.get(assignedManagerId).push(personId);
+    });
+
+    seatIds = new Set([managerId]);
+    const queue = [managerId];
+    while (queue.length > 0) {
+      (reportsByManager.get(queue.shift()) || []).forEach(personId => {
+        if (seatIds.has(personId)) return;
+        seatIds.add(personId);
+        queue.push(personId);
+      });
+    }
+  }
+
+  return timeline.map(period => {
+    let cost = 0;
+    let headcount = 0;
+
+    if (seatIds) {
+      seatIds.forEach(personId => {
+        const match = personId.match(SEAT_ID_PATTERN);
+        const template = match && templatesById.get(match[1]);
+        if (template && (template.quarters[period] || 0) > parseInt(match[2], 10)) {
+          cost += getTemplateCost(template, period);
+          headcount++;
+        }
+      });
+    } else {
+      roleTemplates.forEach(template => {
+        const count = template.quarters[period] || 0;
+        cost += count * getTemplateCost(template, period);
+        headcount += count;
+      });
+    }
+
+    customNodes
+      .filter(node => (!seatIds || seatIds.has(node.id)) && (node.activeInQuarters || []).includes(period))
+      .forEach(node => {
+        cost += parseCost(node.metadata?.costPerRole);
+        headcount++;
+      });
+
+    return { period, cost, headcount };
+  });
+}
+
+/**
+ * Headcount and cost change per department between two periods
+ * @param {Array} roleTemplates - Role templates
+ * @param {Array} personNodes - Person nodes (for custom roles)
+ * @param {string} fromPeriod - Earlier period ID
+ * @param {string} toPeriod - Later period ID
+ * @returns {Array<{departmentId: string, headcount: number, cost: number}>} Departments
+ *   whose headcount or cost changed, with the change (to minus from)
+ */
+export function getDepartmentDeltas(roleTemplates, personNodes, fromPeriod, toPeriod) {
+  const deltas = {};
+  const add = (departmentId, headcount, cost) => {
+    if (!deltas[departmentId]) deltas[departmentId] = { departmentId, headcount: 0, cost: 0 };
+    deltas[departmentId].headcount += headcount;
+    deltas[departmentId].cost += cost;
+  };
+
+  roleTemplates.forEach(template => {
+    const before = template.quarters[fromPeriod] || 0;
+    const after = template.quarters[toPeriod] || 0;
+    add(
+      template.departmentId,
+      after - before,
+      after * getTemplateCost(template, toPeriod) - before * getTemplateCost(template, fromPeriod)
+    );
+  });
+
+  personNodes.filter(p => p.isCustom).forEach(node => {
+    const before = (node.activeInQuarters || []).includes(fromPeriod) ? 1 : 0;
+    const after = (node.activeInQuarters || []).includes(toPeriod) ? 1 : 0;
+    add(node.departmentId, after - before, (after - before) * parseCost(node.metadata?.costPerRole));
+  });
+
+  return Object.values(deltas).filter(d => d.headcount !== 0 || d.cost !== 0);
+}
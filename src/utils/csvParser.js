@@ -1,21 +1,31 @@
 import Papa from 'papaparse';
+import { QUARTER_KEYS, makePeriod, comparePeriods, formatPeriod } from './periods';
 
-// Department configuration with fixed row ranges from the CSV
-const DEPARTMENT_CONFIG = [
-  { name: 'Execs', startRow: 17, endRow: 21, color: '#3B82F6' },
-  { name: 'Sales', startRow: 23, endRow: 31, color: '#10B981' },
-  { name: 'Delivery', startRow: 33, endRow: 46, color: '#F59E0B', excludeRows: [35] }, // Exclude row 35 (Head of AI Engineering) - duplicate with Product AI Lead
-  { name: 'Partnerships + Marketing', startRow: 48, endRow: 57, color: '#EC4899', excludeRows: [51] }, // Exclude row 51 (Product / Branding Marketing) - belongs to Product
-  { name: 'Product + Eng - Foundry', startRow: 59, endRow: 69, color: '#8B5CF6' },
-  { name: 'Ops / Other', startRow: 71, endRow: 78, color: '#6B7280' }
-];
+// Colors for the departments we know about; anything else gets a palette color
+const DEPARTMENT_COLORS = {
+  'Execs': '#3B82F6',
+  'Sales': '#10B981',
+  'Delivery': '#F59E0B',
+  'Partnerships + Marketing': '#EC4899',
+  'Product + Eng - Foundry': '#8B5CF6',
+  'Ops / Other': '#6B7280'
+};
 
-// Column indices for 2026 quarterly data
-const Q1_COL = 9;
-const Q2_COL = 10;
-const Q3_COL = 11;
-const Q4_COL = 12;
-const COST_COL = 2;
+const FALLBACK_COLORS = ['#0EA5E9', '#14B8A6', '#F97316', '#EF4444', '#84CC16', '#A855F7', '#64748B'];
+
+// Mapping overrides applied on top of detection when no saved mapping exists yet
+const DEFAULT_MAPPING_OVERRIDES = {
+  'Delivery': { excludeRoles: ['Head of AI Engineering'] }, // Duplicate with Product AI Lead
+  'Partnerships + Marketing': { excludeRoles: ['Product / Branding Marketing'] } // Belongs to Product
+};
+
+// Column indices used when the header rows can't be recognised (the 2026 block)
+const DEFAULT_COLUMNS = {
+  roleName: 0,
+  cost: 2,
+  periods: { '2026-Q1': 9, '2026-Q2': 10, '2026-Q3': 11, '2026-Q4': 12 },
+  costs: {}
+};
 
 /**
  * Clean role name by removing asterisks, parentheses content, and trimming
@@ -38,6 +48,25 @@ function parseHeadcount(value) {
   return isNaN(num) ? 0 : num;
 }
 
+/**
+ * Check a headcount cell for values parseHeadcount would silently coerce
+ * @returns {string|null} Problem description, or null if the cell is fine
+ */
+function getHeadcountIssue(value) {
+  if (!hasValue(value)) return null;
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) return `non-numeric headcount "${text}"`;
+  if (parseInt(text, 10) < 0) return `negative headcount ${text}`;
+  return null;
+}
+
+/**
+ * Check if a row holds the sheet's overall headcount per quarter
+ */
+function isHeadcountTotalRow(name) {
+  return /^(people summary \(quarterly\)|total (headcount|people))$/i.test((name || '').trim());
+}
+
 /**
  * Check if a row is a cost summary row (should be skipped)
  */
@@ -47,41 +76,237 @@ function isCostRow(roleName) {
 }
 
 /**
- * Parse CSV file and extract departments and role templates
- * @param {File} file - The CSV file to parse
- * @returns {Promise<{departments: Array, roleTemplates: Array}>}
+ * Check if a cell has a non-blank value
+ */
+function hasValue(cell) {
+  return cell !== undefined && cell !== null && String(cell).trim() !== '';
+}
+
+/**
+ * Check if a row looks like a section header: a name in the first column and nothing else
+ */
+function isSectionHeaderRow(row, roleNameCol) {
+  if (!row || !hasValue(row[roleNameCol])) return false;
+  return row.every((cell, colIdx) => colIdx === roleNameCol || !hasValue(cell));
+}
+
+/**
+ * Normalize a department header or role name for matching across uploads
+ */
+export function normalizeName(name) {
+  return cleanRoleName(name).toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Detect column positions from the two header rows
+ * Row 1 carries the year / "<year> Cost per Role" labels, row 2 carries Q1..Q4 under each year
+ * @param {Array} rows - Raw CSV rows
+ * @returns {Object} Column mapping ({ roleName, cost, periods, costs })
+ */
+export function detectColumns(rows) {
+  const yearRow = rows[0] || [];
+  const quarterRow = rows[1] || [];
+  const columns = {
+    roleName: DEFAULT_COLUMNS.roleName,
+    cost: DEFAULT_COLUMNS.cost,
+    periods: { ...DEFAULT_COLUMNS.periods },
+    costs: { ...DEFAULT_COLUMNS.costs }
+  };
+
+  // The first "Cost per Role" column is the one every role row fills in
+  const costCol = yearRow.findIndex(cell => /cost per role/i.test(cell || ''));
+  if (costCol !== -1) {
+    columns.cost = costCol;
+  }
+
+  const periods = {};
+  yearRow.forEach((cell, yearCol) => {
+    const label = (cell || '').trim();
+
+    const costMatch = label.match(/^(\d{4}) cost per role$/i);
+    if (costMatch) {
+      columns.costs[costMatch[1]] = yearCol;
+      return;
+    }
+
+    // A bare year heads a block of Q1..Q4 columns
+    if (!/^\d{4}$/.test(label)) return;
+    for (let colIdx = yearCol; colIdx < quarterRow.length && colIdx < yearCol + 4; colIdx++) {
+      const quarter = (quarterRow[colIdx] || '').trim().toUpperCase();
+      if (QUARTER_KEYS.includes(quarter)) {
+        periods[makePeriod(label, quarter)] = colIdx;
+      }
+    }
+  });
+
+  if (Object.keys(periods).length > 0) {
+    columns.periods = periods;
+  }
+
+  return columns;
+}
+
+/**
+ * Detect department sections in the sheet
+ * A section starts at a header row (name only, no cost data) and ends at the
+ * next "Cost of X" row. Headers without any role rows before the cost row
+ * (e.g. "Cost Summary") are ignored.
+ * @param {Array} rows - Raw CSV rows
+ * @param {Object} columns - Column mapping from detectColumns
+ * @returns {Array} Sections with header name and 1-based start/end rows
+ */
+export function detectDepartmentSections(rows, columns) {
+  const sections = [];
+  let current = null;
+
+  rows.forEach((row, index) => {
+    const rowIdx = index + 1;
+    const name = row?.[columns.roleName];
+
+    if (!hasValue(name)) return;
+
+    if (isCostRow(name)) {
+      if (current && current.roleCount > 0) {
+        sections.push({
+          header: current.header,
+          startRow: current.startRow,
+          endRow: rowIdx
+        });
+      }
+      current = null;
+      return;
+    }
+
+    if (isSectionHeaderRow(row, columns.roleName)) {
+      current = { header: name.trim(), startRow: rowIdx, roleCount: 0 };
+      return;
+    }
+
+    if (current && hasValue(row[columns.cost])) {
+      current.roleCount++;
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Build the import mapping for a sheet
+ * Sections are always detected from the data so inserted rows don't shift
+ * anything; a saved mapping only contributes what the user chose (names,
+ * colors, inclusion, excluded roles, columns), matched by section header.
+ * @param {Array} rows - Raw CSV rows
+ * @param {Object} savedMapping - Previously saved mapping (optional)
+ * @returns {Object} Mapping ({ columns, departments })
+ */
+export function detectCSVMapping(rows, savedMapping = null) {
+  // Mappings saved before multi-year support only carry Q1..Q4 columns
+  let columns = savedMapping?.columns?.periods ? savedMapping.columns : detectColumns(rows);
+  let sections = detectDepartmentSections(rows, columns);
+
+  // Saved columns may not fit a differently laid out file or sheet
+  if (sections.length === 0 && columns === savedMapping?.columns) {
+    columns = detectColumns(rows);
+    sections = detectDepartmentSections(rows, columns);
+  }
+  const savedDepartments = savedMapping?.departments || [];
+
+  const departments = sections.map((section, index) => {
+    const saved = savedDepartments.find(d => normalizeName(d.header) === normalizeName(section.header));
+    const defaults = savedMapping ? {} : (DEFAULT_MAPPING_OVERRIDES[section.header] || {});
+
+    return {
+      header: section.header,
+      name: saved?.name || section.header,
+      color: saved?.color || DEPARTMENT_COLORS[section.header] || FALLBACK_COLORS[index % FALLBACK_COLORS.length],
+      include: saved ? saved.include !== false : true,
+      excludeRoles: saved?.excludeRoles || defaults.excludeRoles || [],
+      startRow: section.startRow,
+      endRow: section.endRow
+    };
+  });
+
+  return { columns, departments };
+}
+
+/**
+ * List the role names found in a department section (for the mapping UI)
+ * @param {Array} rows - Raw CSV rows
+ * @param {Object} columns - Column mapping
+ * @param {Object} section - Department mapping entry with startRow/endRow
+ * @returns {Array<string>} Role names in row order
  */
-export function parseOrgChartCSV(file) {
+export function getSectionRoleNames(rows, columns, section) {
+  const names = [];
+  for (let rowIdx = section.startRow; rowIdx <= section.endRow; rowIdx++) {
+    const row = rows[rowIdx - 1];
+    const name = row?.[columns.roleName];
+    if (!hasValue(name) || isCostRow(name) || !hasValue(row[columns.cost])) continue;
+    names.push(name.trim());
+  }
+  return names;
+}
+
+/**
+ * Read a CSV file into raw rows
+ * @param {File} file - The CSV file to read
+ * @returns {Promise<Array>} Array of row arrays
+ */
+export function readCSVRows(file) {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
-      complete: (results) => {
-        try {
-          const parsed = processCSVData(results.data);
-          resolve(parsed);
-        } catch (error) {
-          reject(error);
-        }
-      },
-      error: (error) => {
-        reject(error);
-      },
-      skipEmptyLines: false // Keep empty lines to detect section boundaries
+      complete: (results) => resolve(results.data),
+      error: (error) => reject(error),
+      skipEmptyLines: false // Keep empty lines so row numbers match the sheet
     });
   });
 }
 
+/**
+ * Parse CSV file and extract departments and role templates
+ * @param {File} file - The CSV file to parse
+ * @param {Object} mapping - Column/department mapping (detected when omitted)
+ * @returns {Promise<{departments: Array, roleTemplates: Array, mapping: Object}>}
+ */
+export async function parseOrgChartCSV(file, mapping = null) {
+  const rows = await readCSVRows(file);
+  return processCSVData(rows, mapping || detectCSVMapping(rows));
+}
+
 /**
  * Process parsed CSV data into departments and role templates
+ * Every row in a detected section is recorded in the returned report with
+ * its outcome, so the import preview can show what was accepted or skipped
+ * and why.
+ * @param {Array} rows - Raw CSV rows
+ * @param {Object} mapping - Mapping from detectCSVMapping
+ * @returns {{departments: Array, roleTemplates: Array, mapping: Object, report: Object}}
  */
-function processCSVData(rows) {
+export function processCSVData(rows, mapping) {
   const departments = [];
   const roleTemplates = [];
+  const { columns } = mapping;
+  const periods = Object.keys(columns.periods).sort(comparePeriods);
+  const totals = Object.fromEntries(periods.map(period => [period, 0]));
+  const reportRows = [];
+
+  const record = (rowIdx, name, departmentName, status, reason, issues = []) => {
+    reportRows.push({ rowIndex: rowIdx, name: (name || '').trim(), department: departmentName, status, reason, issues });
+  };
 
-  console.log('🔍 CSV Parser - Starting to process CSV data');
-  let totalQ1 = 0, totalQ2 = 0, totalQ3 = 0, totalQ4 = 0;
+  let deptIndex = 0;
+  mapping.departments.forEach(deptConfig => {
+    // Departments left out in the mapping are still listed in the report
+    if (deptConfig.include === false) {
+      for (let rowIdx = deptConfig.startRow + 1; rowIdx <= deptConfig.endRow; rowIdx++) {
+        const name = rows[rowIdx - 1]?.[columns.roleName];
+        if (hasValue(name) && !isCostRow(name)) {
+          record(rowIdx, name, deptConfig.name, 'skipped', 'Department excluded in mapping');
+        }
+      }
+      return;
+    }
 
-  // Process each department
-  DEPARTMENT_CONFIG.forEach((deptConfig, deptIndex) => {
     // Create department object
     const department = {
       id: `dept-${deptIndex}`,
@@ -93,57 +318,76 @@ function processCSVData(rows) {
       order: deptIndex
     };
     departments.push(department);
+    deptIndex++;
 
-    console.log(`\n📊 Processing ${deptConfig.name} (rows ${deptConfig.startRow}-${deptConfig.endRow})`);
+    const excluded = new Set((deptConfig.excludeRoles || []).map(normalizeName));
 
     // Extract roles in this department's row range
     for (let rowIdx = deptConfig.startRow; rowIdx <= deptConfig.endRow; rowIdx++) {
-      // Skip explicitly excluded rows
-      if (deptConfig.excludeRows && deptConfig.excludeRows.includes(rowIdx)) {
-        console.log(`  ⏭️  Row ${rowIdx}: Excluded by configuration (see comment in DEPARTMENT_CONFIG)`);
-        continue;
-      }
-
       // Convert to 0-based index
       const row = rows[rowIdx - 1];
 
-      if (!row || !row[0]) {
-        console.log(`  ⏭️  Row ${rowIdx}: Empty, skipping`);
+      // Blank spacer rows aren't worth reporting
+      if (!row || !hasValue(row[columns.roleName])) continue;
+
+      const roleName = row[columns.roleName];
+
+      if (rowIdx === deptConfig.startRow) {
+        record(rowIdx, roleName, deptConfig.name, 'skipped', 'Section header');
         continue;
       }
 
-      const roleName = row[0];
+      // Skip roles excluded in the mapping
+      if (excluded.has(normalizeName(roleName))) {
+        record(rowIdx, roleName, deptConfig.name, 'skipped', 'Excluded in mapping');
+        continue;
+      }
 
       // Skip cost summary rows
       if (isCostRow(roleName)) {
-        console.log(`  ⏭️  Row ${rowIdx}: Cost row "${roleName}", skipping`);
+        record(rowIdx, roleName, deptConfig.name, 'skipped', 'Cost row');
         continue;
       }
 
-      // Skip department header rows (they don't have cost data)
-      const hasCostData = row[COST_COL] && row[COST_COL].trim() !== '';
+      const issues = periods
+        .map(period => {
+          const problem = getHeadcountIssue(row[columns.periods[period]]);
+          return problem ? `${formatPeriod(period)}: ${problem}` : null;
+        })
+        .filter(Boolean);
+
+      // Parse headcount for every period on the timeline
+      const quarters = {};
+      periods.forEach(period => {
+        quarters[period] = Math.max(0, parseHeadcount(row[columns.periods[period]]));
+      });
+      const hasHeadcount = periods.some(period => quarters[period] > 0);
+
+      // Rows without cost data are sub-headers, but one with headcount is probably a role missing its cost
+      const hasCostData = hasValue(row[columns.cost]);
       if (!hasCostData) {
-        console.log(`  ⏭️  Row ${rowIdx}: No cost data "${roleName}", skipping`);
+        if (hasHeadcount) issues.push('Missing cost per role');
+        record(rowIdx, roleName, deptConfig.name, 'skipped', 'No cost data', issues);
         continue;
       }
 
-      // Parse quarterly headcount
-      const q1 = parseHeadcount(row[Q1_COL]);
-      const q2 = parseHeadcount(row[Q2_COL]);
-      const q3 = parseHeadcount(row[Q3_COL]);
-      const q4 = parseHeadcount(row[Q4_COL]);
-
-      // Only add role if it has headcount in at least one quarter
-      if (q1 === 0 && q2 === 0 && q3 === 0 && q4 === 0) {
-        console.log(`  ⏭️  Row ${rowIdx}: "${roleName}" has 0 headcount in all quarters, skipping`);
+      // Only add role if it has headcount in at least one period
+      if (!hasHeadcount) {
+        record(rowIdx, roleName, deptConfig.name, 'skipped', 'Zero headcount in all periods', issues);
         continue;
       }
 
-      console.log(`  ✅ Row ${rowIdx}: "${roleName}" - Q1:${q1} Q2:${q2} Q3:${q3} Q4:${q4}`);
-      totalQ1 += q1;
-      totalQ2 += q2;
-      totalQ3 += q3;
-      totalQ4 += q4;
+      periods.forEach(period => {
+        totals[period] += quarters[period];
+      });
+
+      // Cost per role for each year that has its own cost column
+      const costByYear = {};
+      Object.entries(columns.costs || {}).forEach(([year, colIdx]) => {
+        if (row[colIdx] && row[colIdx].trim() !== '') {
+          costByYear[year] = row[colIdx].trim();
+        }
+      });
 
       const roleTemplate = {
         id: `role-${rowIdx}`,
@@ -151,35 +395,94 @@ function processCSVData(rows) {
         cleanName: cleanRoleName(roleName),
         department: deptConfig.name,
         departmentId: department.id,
-        quarters: {
-          Q1: q1,
-          Q2: q2,
-          Q3: q3,
-          Q4: q4
-        },
-        costPerRole: row[COST_COL] || '',
+        quarters,
+        costPerRole: row[columns.cost] || '',
+        costByYear,
         metadata: {
           rowIndex: rowIdx,
+          sheetDepartment: deptConfig.name, // department can be changed in the chart; this is the sheet's
           hasAsterisk: roleName.includes('*'),
           hasParentheses: /\([^)]*\)/.test(roleName)
         }
       };
 
       roleTemplates.push(roleTemplate);
+      record(rowIdx, roleName, deptConfig.name, 'accepted', null, issues);
     }
   });
 
-  console.log(`\n📈 TOTALS: Q1=${totalQ1}, Q2=${totalQ2}, Q3=${totalQ3}, Q4=${totalQ4}`);
-  console.log(`📦 Generated ${roleTemplates.length} role templates`);
+  flagDuplicateRoleNames(roleTemplates, reportRows);
+
+  const expectedTotals = findExpectedTotals(rows, columns, periods);
+  const totalMismatches = expectedTotals
+    ? periods
+      .filter(period => expectedTotals[period] !== undefined && expectedTotals[period] !== totals[period])
+      .map(period => ({ period, parsed: totals[period], expected: expectedTotals[period] }))
+    : [];
+
+  const report = {
+    rows: reportRows.sort((a, b) => a.rowIndex - b.rowIndex),
+    periods,
+    totals,
+    expectedTotals,
+    totalMismatches,
+    counts: {
+      accepted: reportRows.filter(r => r.status === 'accepted').length,
+      skipped: reportRows.filter(r => r.status === 'skipped').length,
+      flagged: reportRows.filter(r => r.issues.length > 0).length
+    }
+  };
 
   return {
     departments,
-    roleTemplates
+    roleTemplates,
+    mapping,
+    report
   };
 }
 
 /**
- * Get total headcount for a specific quarter
+ * Flag accepted roles whose cleaned name appears in more than one department
+ */
+function flagDuplicateRoleNames(roleTemplates, reportRows) {
+  const departmentsByName = new Map();
+  roleTemplates.forEach(template => {
+    const key = normalizeName(template.cleanName);
+    if (!departmentsByName.has(key)) {
+      departmentsByName.set(key, new Set());
+    }
+    departmentsByName.get(key).add(template.department);
+  });
+
+  roleTemplates.forEach(template => {
+    const depts = departmentsByName.get(normalizeName(template.cleanName));
+    if (depts.size < 2) return;
+    const others = [...depts].filter(d => d !== template.department);
+    const entry = reportRows.find(r => r.rowIndex === template.metadata.rowIndex);
+    entry?.issues.push(`Role name also used in ${others.join(', ')}`);
+  });
+}
+
+/**
+ * Read the sheet's own headcount totals (e.g. "People Summary (Quarterly)")
+ * @returns {Object|null} period -> expected headcount, or null if the sheet has no total row
+ */
+function findExpectedTotals(rows, columns, periods) {
+  const totalRow = rows.find(row => isHeadcountTotalRow(row?.[columns.roleName]));
+  if (!totalRow) return null;
+
+  const expected = {};
+  periods.forEach(period => {
+    const cell = totalRow[columns.periods[period]];
+    if (hasValue(cell) && !getHeadcountIssue(cell)) {
+      expected[period] = parseHeadcount(cell);
+    }
+  });
+  return expected;
+}
+
+/**
+ * Get total headcount for a specific period
  */
 export function getTotalHeadcount(roleTemplates, quarter) {
   return roleTemplates.reduce((total, template) => {
@@ -188,7 +491,7 @@ export function getTotalHeadcount(roleTemplates, quarter) {
 }
 
 /**
- * Get headcount by department for a specific quarter
+ * Get headcount by department for a specific period
  */
 export function getHeadcountByDepartment(roleTemplates, departments, quarter) {
   return departments.map(dept => {
@@ -0,0 +1,206 @@
+/**
+ * Text exports of the reporting hierarchy for docs and diagram tools
+ * Each format keeps department colours, draws cross-department reporting lines
+ * dashed in red like the canvas, and leaves out people under collapsed managers,
+ * marking the collapsed manager with how many people it hides.
+ */
+
+export const DIAGRAM_FORMATS = [
+  { id: 'mermaid', label: 'Mermaid flowchart', extension: 'mmd', type: 'text/plain' },
+  { id: 'dot', label: 'Graphviz DOT', extension: 'dot', type: 'text/vnd.graphviz' },
+  { id: 'graphml', label: 'GraphML', extension: 'graphml', type: 'application/xml' }
+];
+
+const DEFAULT_COLOR = '#6B7280';
+const EDGE_COLOR = '#94A3B8';
+const CROSS_DEPARTMENT_COLOR = '#EF4444';
+
+/**
+ * Collect the people and reporting lines to export
+ * @param {Array} personNodes - Person nodes for the selected quarter
+ * @param {Array} departments - Departments (for names and colours)
+ * @param {Set|Array} collapsedNodes - IDs of collapsed managers
+ * @param {string|null} rootId - Only export this person and everyone below them
+ * @returns {{people: Array, links: Array}} people have { id, label, department,
+ *   color, isCollapsed, hiddenCount }; links have { source, target, isCrossDepartment }
+ */
+export function getDiagramGraph(personNodes, departments, collapsedNodes, rootId = null) {
+  const collapsed = new Set(collapsedNodes);
+  const reportsOf = (id) => personNodes.filter(p => p.managerId === id);
+  const countBelow = (id) => reportsOf(id).reduce((total, p) => total + 1 + countBelow(p.id), 0);
+
+  // Walk down from the roots, stopping at collapsed managers
+  const roots = rootId
+    ? personNodes.filter(p => p.id === rootId)
+    : personNodes.filter(p => !p.managerId || !personNodes.some(m => m.id === p.managerId));
+  const included = [];
+  const queue = [...roots];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const person = queue.shift();
+    if (seen.has(person.id)) continue;
+    seen.add(person.id);
+    included.push(person);
+    if (!collapsed.has(person.id)) queue.push(...reportsOf(person.id));
+  }
+
+  const byId = new Map(included.map(p => [p.id, p]));
+  const people = included.map(person => {
+    const dept = departments.find(d => d.id === person.departmentId);
+    const isCollapsed = collapsed.has(person.id) && reportsOf(person.id).length > 0;
+    return {
+      id: person.id,
+      label: person.displayName,
+      department: dept?.displayName || person.department || '',
+      color: dept?.color || DEFAULT_COLOR,
+      isCollapsed,
+      hiddenCount: isCollapsed ? countBelow(person.id) : 0
+    };
+  });
+
+  const links = included
+    .filter(person => person.id !== rootId && byId.has(person.managerId))
+    .map(person => ({
+      source: person.managerId,
+      target: person.id,
+      isCrossDepartment: byId.get(person.managerId).departmentId !== person.departmentId
+    }));
+
+  return { people, links };
+}
+
+function nodeLabel(person) {
+  return person.isCollapsed ? `${person.label} (+${person.hiddenCount} hidden)` : person.label;
+}
+
+/**
+ * Mermaid flowchart with a class per department
+ * @param {Object} graph - Result of getDiagramGraph
+ * @param {string} direction - 'TB' or 'LR'
+ * @returns {string}
+ */
+export function toMermaid({ people, links }, direction = 'TB') {
+  const mermaidId = (id) => id.replace(/[^A-Za-z0-9_]/g, '_');
+  const escape = (text) => String(text).replace(/"/g, '#quot;');
+  const departmentClasses = new Map();
+  people.forEach(person => {
+    const key = `dept${departmentClasses.size}`;
+    if (!departmentClasses.has(person.color)) departmentClasses.set(person.color, key);
+  });
+
+  const lines = [`flowchart ${direction}`];
+  people.forEach(person => {
+    const department = person.department ? `<br/><small>${escape(person.department)}</small>` : '';
+    lines.push(`  ${mermaidId(person.id)}["${escape(nodeLabel(person))}${department}"]`);
+  });
+  links.forEach(link => {
+    lines.push(`  ${mermaidId(link.source)} ${link.isCrossDepartment ? '-.->' : '-->'} ${mermaidId(link.target)}`);
+  });
+
+  departmentClasses.forEach((className, color) => {
+    lines.push(`  classDef ${className} fill:${color}22,stroke:${color},stroke-width:2px`);
+    const members = people.filter(p => p.color === color).map(p => mermaidId(p.id));
+    lines.push(`  class ${members.join(',')} ${className}`);
+  });
+  people.filter(p => p.isCollapsed).forEach(person => {
+    lines.push(`  style ${mermaidId(person.id)} stroke-width:4px`);
+  });
+  links.forEach((link, index) => {
+    if (link.isCrossDepartment) lines.push(`  linkStyle ${index} stroke:${CROSS_DEPARTMENT_COLOR}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Graphviz DOT digraph
+ * @param {Object} graph - Result of getDiagramGraph
+ * @param {string} direction - 'TB' or 'LR'
+ * @returns {string}
+ */
+export function toDot({ people, links }, direction = 'TB') {
+  const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [
+    'digraph OrgChart {',
+    `  rankdir=${direction};`,
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    `  edge [color=${quote(EDGE_COLOR)}];`
+  ];
+
+  people.forEach(person => {
+    const label = person.department ? `${nodeLabel(person)}\n${person.department}` : nodeLabel(person);
+    const attributes = [
+      `label=${quote(label).replace(/\n/g, '\\n')}`,
+      `color=${quote(person.color)}`,
+      `fillcolor=${quote(`${person.color}22`)}`
+    ];
+    if (person.isCollapsed) attributes.push('peripheries=2');
+    lines.push(`  ${quote(person.id)} [${attributes.join(', ')}];`);
+  });
+  links.forEach(link => {
+    const attributes = link.isCrossDepartment ? ` [style=dashed, color=${quote(CROSS_DEPARTMENT_COLOR)}]` : '';
+    lines.push(`  ${quote(link.source)} -> ${quote(link.target)}${attributes};`);
+  });
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * GraphML document with label, department, colour and collapsed state as data keys
+ * @param {Object} graph - Result of getDiagramGraph
+ * @returns {string}
+ */
+export function toGraphML({ people, links }) {
+  const escape = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const data = (key, value) => `      <data key="${key}">${escape(value)}</data>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="department" for="node" attr.name="department" attr.type="string"/>',
+    '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+    '  <key id="collapsed" for="node" attr.name="collapsed" attr.type="boolean"><default>false</default></key>',
+    '  <key id="hiddenCount" for="node" attr.name="hiddenCount" attr.type="int"><default>0</default></key>',
+    '  <key id="crossDepartment" for="edge" attr.name="crossDepartment" attr.type="boolean"><default>false</default></key>',
+    '  <graph id="OrgChart" edgedefault="directed">'
+  ];
+
+  people.forEach(person => {
+    lines.push(`    <node id="${escape(person.id)}">`);
+    lines.push(data('label', person.label));
+    lines.push(data('department', person.department));
+    lines.push(data('color', person.color));
+    if (person.isCollapsed) {
+      lines.push(data('collapsed', 'true'));
+      lines.push(data('hiddenCount', person.hiddenCount));
+    }
+    lines.push('    </node>');
+  });
+  links.forEach((link, index) => {
+    lines.push(`    <edge id="e${index}" source="${escape(link.source)}" target="${escape(link.target)}">`);
+    if (link.isCrossDepartment) lines.push(data('crossDepartment', 'true'));
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a graph in one of DIAGRAM_FORMATS
+ * @param {string} format - 'mermaid', 'dot' or 'graphml'
+ * @param {Object} graph - Result of getDiagramGraph
+ * @param {string} direction - 'TB' or 'LR' (GraphML has no direction)
+ * @returns {string}
+ */
+export function formatDiagram(format, graph, direction = 'TB') {
+  if (format === 'dot') return toDot(graph, direction);
+  if (format === 'graphml') return toGraphML(graph);
+  return toMermaid(graph, direction);
+}
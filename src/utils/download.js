@@ -0,0 +1,39 @@
+/**
+ * Browser downloads for exported files
+ */
+
+/**
+ * Download a URL (object URL or data URL) under a file name
+ * @param {string} url - URL to download
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadUrl(url, fileName) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+/**
+ * Download text or binary content as a file
+ * @param {string|Blob} content - File content
+ * @param {string} type - MIME type, e.g. 'application/json'
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(content, type, fileName) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  downloadUrl(url, fileName);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * File name for an export of the current quarter, e.g. "org-chart-2026-Q1-2026-03-01.png"
+ * @param {string} period - Selected quarter or view
+ * @param {string} extension - File extension without the dot
+ */
+export function getExportFileName(period, extension) {
+  return `org-chart-${period}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
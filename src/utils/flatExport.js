@@ -0,0 +1,114 @@
+import Papa from 'papaparse';
+import { getManagerChain } from './roleExpander';
+import { getPersonCost } from './costRollup';
+
+/**
+ * Flat HRIS-style file: one row per seat per quarter with its reporting line
+ * The Seat ID and Manager ID columns are enough to read the file back into
+ * manager assignments; the other columns are for People Ops.
+ */
+
+export const FLAT_EXPORT_COLUMNS = [
+  'Quarter',
+  'Seat ID',
+  'Display Name',
+  'Role',
+  'Department',
+  'Manager ID',
+  'Manager Name',
+  'Manager Chain',
+  'Start Quarter',
+  'Annual Cost',
+  'Custom',
+  'Future'
+];
+
+const CHAIN_SEPARATOR = ' > ';
+
+/**
+ * Build flat rows for the seats in one period
+ * @param {Array} personNodes - Person nodes for the period, with managers applied
+ * @param {Array} roleTemplates - Role templates (for costs)
+ * @param {Array} departments - Departments (for display names)
+ * @param {string} period - Period the nodes were built for
+ * @returns {Array<Object>} Rows keyed by FLAT_EXPORT_COLUMNS
+ */
+export function buildFlatRows(personNodes, roleTemplates, departments, period) {
+  const templatesById = new Map(roleTemplates.map(t => [t.id, t]));
+  const nodesById = new Map(personNodes.map(p => [p.id, p]));
+
+  return personNodes.map(person => {
+    const manager = nodesById.get(person.managerId);
+    const chain = getManagerChain(person.id, personNodes).reverse();
+    const department = departments.find(d => d.id === person.departmentId);
+
+    return {
+      'Quarter': period,
+      'Seat ID': person.id,
+      'Display Name': person.displayName,
+      'Role': person.roleName,
+      'Department': department?.displayName || person.department || '',
+      'Manager ID': person.managerId || '',
+      'Manager Name': manager?.displayName || '',
+      'Manager Chain': chain.map(p => p.displayName).join(CHAIN_SEPARATOR),
+      'Start Quarter': person.startQuarter || '',
+      'Annual Cost': getPersonCost(person, templatesById, period),
+      'Custom': person.isCustom ? 'Yes' : 'No',
+      'Future': person.isFutureRole ? 'Yes' : 'No'
+    };
+  });
+}
+
+/**
+ * Serialize flat rows to CSV text
+ * Text starting with =, +, - or @ is prefixed with ' so a role or display name
+ * can't become a live formula when the file is opened in Excel or Sheets.
+ * @param {Array<Object>} rows - Rows from buildFlatRows
+ * @returns {string}
+ */
+export function toFlatCSV(rows) {
+  return Papa.unparse(
+    { fields: FLAT_EXPORT_COLUMNS, data: rows.map(row => FLAT_EXPORT_COLUMNS.map(c => row[c])) },
+    { escapeFormulae: true }
+  );
+}
+
+/**
+ * Check whether raw CSV rows look like a flat export (rather than a planning sheet)
+ * @param {Array<Array>} rows - Raw CSV rows
+ * @returns {boolean}
+ */
+export function isFlatExport(rows) {
+  const header = (rows[0] || []).map(cell => String(cell).trim());
+  return header.includes('Seat ID') && header.includes('Manager ID');
+}
+
+/**
+ * Read reporting lines from a flat export
+ * A file covering several quarters repeats each seat; seats whose rows name
+ * different managers are reported as conflicts and left out.
+ * @param {Array<Array>} rows - Raw CSV rows, header first
+ * @returns {{assignments: Object, conflicts: Array<string>}} assignments is
+ *   { seatId: managerId | null }, null meaning no manager
+ */
+export function parseFlatAssignments(rows) {
+  const header = (rows[0] || []).map(cell => String(cell).trim());
+  const seatColumn = header.indexOf('Seat ID');
+  const managerColumn = header.indexOf('Manager ID');
+  const assignments = {};
+  const conflicts = new Set();
+
+  rows.slice(1).forEach(row => {
+    const seatId = String(row[seatColumn] || '').trim();
+    if (!seatId) return;
+
+    const managerId = String(row[managerColumn] || '').trim() || null;
+    if (seatId in assignments && assignments[seatId] !== managerId) {
+      conflicts.add(seatId);
+    }
+    assignments[seatId] = managerId;
+  });
+
+  conflicts.forEach(seatId => delete assignments[seatId]);
+  return { assignments, conflicts: Array.from(conflicts) };
+}
@@ -0,0 +1,122 @@
+/**
+ * Compact form of the undo/redo stacks for localStorage
+ * Each entry's snapshot is stored as a patch against the snapshot after it
+ * (the newest against the current state), so a step that changes one manager
+ * assignment saves one key instead of the whole chart.
+ */
+
+function isSameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Patch for one snapshot field, or null when it didn't change
+ * Objects and arrays only store the keys or items that differ.
+ */
+function diffField(base, value) {
+  if (isSameValue(base, value)) return null;
+
+  if (Array.isArray(base) && Array.isArray(value)) {
+    const items = {};
+    value.forEach((item, index) => {
+      if (!isSameValue(base[index], item)) items[index] = item;
+    });
+    return { items, length: value.length };
+  }
+
+  if (isPlainObject(base) && isPlainObject(value)) {
+    const setKeys = {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (!(key in base) || !isSameValue(base[key], item)) setKeys[key] = item;
+    });
+    return { set: setKeys, unset: Object.keys(base).filter(key => !(key in value)) };
+  }
+
+  return { value };
+}
+
+function applyField(base, patch) {
+  if ('value' in patch) return patch.value;
+
+  if ('items' in patch) {
+    const result = base.slice(0, patch.length);
+    Object.entries(patch.items).forEach(([index, item]) => {
+      result[index] = item;
+    });
+    return result;
+  }
+
+  const result = { ...base, ...patch.set };
+  patch.unset.forEach(key => delete result[key]);
+  return result;
+}
+
+/**
+ * Patch that turns `base` into `snapshot`
+ * @param {Object} base - Newer snapshot
+ * @param {Object} snapshot - Snapshot to store
+ * @returns {Object} { field: patch }, with { omit: true } for fields snapshot lacks
+ */
+export function diffSnapshot(base, snapshot) {
+  const patch = {};
+  Object.keys(base).forEach(key => {
+    if (!(key in snapshot)) patch[key] = { omit: true };
+  });
+  Object.keys(snapshot).forEach(key => {
+    const field = key in base ? diffField(base[key], snapshot[key]) : { value: snapshot[key] };
+    if (field) patch[key] = field;
+  });
+  return patch;
+}
+
+/**
+ * Rebuild a snapshot from the newer one and its patch
+ * Unchanged fields keep the newer snapshot's references.
+ */
+export function applySnapshotPatch(base, patch) {
+  const snapshot = { ...base };
+  Object.entries(patch).forEach(([key, field]) => {
+    if (field.omit) {
+      delete snapshot[key];
+    } else {
+      snapshot[key] = key in base ? applyField(base[key], field) : field.value;
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Encode an undo or redo stack ([{ snapshot, ...entry }], newest last)
+ * @param {Array} stack - Stack entries
+ * @param {Object} current - Snapshot of the current state, in the stack's shape
+ * @returns {Array} [{ patch, ...entry }]
+ */
+export function encodeHistoryStack(stack, current) {
+  const encoded = [];
+  let base = current;
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const { snapshot, ...entry } = stack[i];
+    encoded.unshift({ ...entry, patch: diffSnapshot(base, snapshot) });
+    base = snapshot;
+  }
+  return encoded;
+}
+
+/**
+ * Decode a stack saved by encodeHistoryStack against the same current snapshot
+ */
+export function decodeHistoryStack(encoded, current) {
+  const stack = [];
+  let base = current;
+  for (let i = (encoded || []).length - 1; i >= 0; i--) {
+    const { patch, ...entry } = encoded[i];
+    const snapshot = applySnapshotPatch(base, patch);
+    stack.unshift({ ...entry, snapshot });
+    base = snapshot;
+  }
+  return stack;
+}
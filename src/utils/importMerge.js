@@ -0,0 +1,307 @@
+/**
+ * Reconciles a new CSV revision with the current org chart so manager
+ * assignments survive rows moving around in the sheet
+ */
+
+import { normalizeName } from './csvParser';
+import { getPeriodTimeline, formatPeriod } from './periods';
+
+const SEAT_ID_PATTERN = /^(role-\d+)-person-(\d+)$/;
+
+/**
+ * Key used to match a role template across revisions
+ */
+function getTemplateKey(template) {
+  return `${normalizeName(template.department)}|${normalizeName(template.cleanName)}`;
+}
+
+/**
+ * Number of seats a template ever has on its timeline
+ */
+function getSeatCount(template) {
+  return Math.max(0, ...Object.values(template.quarters || {}));
+}
+
+/**
+ * Label a seat ID for display, e.g. "GMs 3"
+ */
+export function describeSeat(personId, templatesById, personNodes) {
+  const node = personNodes.find(p => p.id === personId);
+  if (node) return node.displayName;
+
+  const match = personId.match(SEAT_ID_PATTERN);
+  const template = match && templatesById.get(match[1]);
+  if (!template) return personId;
+  return getSeatCount(template) > 1 ? `${template.cleanName} ${parseInt(match[2], 10) + 1}` : template.cleanName;
+}
+
+/**
+ * Match incoming role templates to the current ones
+ * Roles match by normalized name and department. Those left over fall back to
+ * a role with the same name in another department (moved), then to the role
+ * on the same row of the same department (renamed); both are listed in
+ * `rematched` so the user can check them.
+ * @param {Array} currentTemplates - Role templates in the store
+ * @param {Array} incomingTemplates - Role templates parsed from the new CSV
+ * @returns {{templateIdMap: Object, added: Array, removed: Array, changed: Array, rematched: Array}}
+ */
+export function matchRoleTemplates(currentTemplates, incomingTemplates) {
+  const incomingByKey = new Map();
+  incomingTemplates.forEach(template => {
+    const key = getTemplateKey(template);
+    if (!incomingByKey.has(key)) {
+      incomingByKey.set(key, template);
+    }
+  });
+
+  const templateIdMap = {};
+  const matchedIncomingIds = new Set();
+  const pairs = [];
+  const rematched = [];
+
+  const pair = (template, match, reason) => {
+    matchedIncomingIds.add(match.id);
+    templateIdMap[template.id] = match.id;
+    pairs.push([template, match]);
+    if (reason) rematched.push({ template: match, previous: template, reason });
+  };
+
+  let unmatched = [];
+  currentTemplates.forEach(template => {
+    const match = incomingByKey.get(getTemplateKey(template));
+    if (!match || matchedIncomingIds.has(match.id)) {
+      unmatched.push(template);
+      return;
+    }
+    pair(template, match, null);
+  });
+
+  // Moved: the only unmatched incoming role with the same name
+  unmatched = unmatched.filter(template => {
+    const candidates = incomingTemplates.filter(t =>
+      !matchedIncomingIds.has(t.id) && normalizeName(t.cleanName) === normalizeName(template.cleanName)
+    );
+    if (candidates.length !== 1) return true;
+    pair(template, candidates[0], 'moved');
+    return false;
+  });
+
+  // Renamed: the unmatched incoming role on the same row, in the same department
+  const incomingById = new Map(incomingTemplates.map(t => [t.id, t]));
+  const removed = unmatched.filter(template => {
+    const candidate = incomingById.get(template.id);
+    if (!candidate || matchedIncomingIds.has(candidate.id) ||
+        normalizeName(candidate.department) !== normalizeName(template.department)) {
+      return true;
+    }
+    pair(template, candidate, 'renamed');
+    return false;
+  });
+
+  const changed = [];
+  pairs.forEach(([template, match]) => {
+    const timeline = getPeriodTimeline([template, match]);
+    const changes = timeline
+      .filter(period => (template.quarters[period] || 0) !== (match.quarters[period] || 0))
+      .map(period => ({
+        period,
+        from: template.quarters[period] || 0,
+        to: match.quarters[period] || 0
+      }));
+
+    if (changes.length > 0) {
+      changed.push({ template: match, previous: template, changes });
+    }
+  });
+
+  const added = incomingTemplates.filter(t => !matchedIncomingIds.has(t.id));
+
+  return { templateIdMap, added, removed, changed, rematched };
+}
+
+/**
+ * Reconcile the current chart with a newly parsed CSV revision
+ * @param {Object} current - Store state ({ roleTemplates, departments, personNodes, managerAssignments, seatPeople })
+ * @param {Object} incoming - Parsed CSV ({ roleTemplates, departments })
+ * @returns {Object} Diff plus the carried-over managerAssignments and custom nodes
+ */
+export function reconcileImport(current, incoming) {
+  const { templateIdMap, added, removed, changed, rematched } = matchRoleTemplates(
+    current.roleTemplates,
+    incoming.roleTemplates
+  );
+
+  const currentTemplatesById = new Map(current.roleTemplates.map(t => [t.id, t]));
+  const incomingTemplatesById = new Map(incoming.roleTemplates.map(t => [t.id, t]));
+
+  // Custom roles keep their IDs; move them to the department with the same name
+  const incomingDeptByName = new Map(incoming.departments.map(d => [normalizeName(d.name), d]));
+  const customNodes = [];
+  const droppedCustomIds = new Set();
+  current.personNodes.filter(p => p.isCustom).forEach(node => {
+    const dept = incomingDeptByName.get(normalizeName(node.department));
+    if (!dept) {
+      droppedCustomIds.add(node.id);
+      return;
+    }
+    customNodes.push({ ...node, department: dept.name, departmentId: dept.id });
+  });
+  const customIds = new Set(customNodes.map(n => n.id));
+
+  /**
+   * Map a current seat/custom ID to its ID in the new revision
+   * @returns {{id: string|null, reason: string|null}}
+   */
+  const remapId = (personId) => {
+    if (customIds.has(personId)) return { id: personId, reason: null };
+    if (droppedCustomIds.has(personId)) return { id: null, reason: 'custom role department no longer exists' };
+
+    const match = personId.match(SEAT_ID_PATTERN);
+    if (!match) return { id: null, reason: 'unknown role' };
+
+    const newTemplateId = templateIdMap[match[1]];
+    if (!newTemplateId) return { id: null, reason: 'role removed' };
+
+    const seatIndex = parseInt(match[2], 10);
+    if (seatIndex >= getSeatCount(incomingTemplatesById.get(newTemplateId))) {
+      return { id: null, reason: 'seat no longer in headcount' };
+    }
+
+    return { id: `${newTemplateId}-person-${seatIndex}`, reason: null };
+  };
+
+  const managerAssignments = {};
+  const orphaned = [];
+  Object.entries(current.managerAssignments).forEach(([personId, managerId]) => {
+    const person = remapId(personId);
+    const manager = remapId(managerId);
+
+    if (person.id && manager.id) {
+      managerAssignments[person.id] = manager.id;
+      return;
+    }
+
+    orphaned.push({
+      personId,
+      managerId,
+      personName: describeSeat(personId, currentTemplatesById, current.personNodes),
+      managerName: describeSeat(managerId, currentTemplatesById, current.personNodes),
+      reason: person.reason ? `Report's ${person.reason}` : `Manager's ${manager.reason}`
+    });
+  });
+
+  // Custom nodes point at their remapped managers
+  customNodes.forEach(node => {
+    node.managerId = managerAssignments[node.id] || null;
+  });
+
+  // Roles moved out of their sheet department keep the move
+  const { roleDepartments, droppedMoves } = remapRoleDepartments(
+    { departments: current.departments, roleDepartments: Object.fromEntries(current.roleTemplates.map(t => [t.id, t.departmentId])) },
+    current.roleTemplates,
+    incoming.roleTemplates,
+    templateIdMap,
+    incoming.departments
+  );
+
+  // Named people on seats that don't carry over
+  const droppedPeople = [];
+  Object.entries(current.seatPeople || {}).forEach(([personId, record]) => {
+    const { id, reason } = remapId(personId);
+    if (id) return;
+    droppedPeople.push({
+      personId,
+      name: record.name,
+      seatName: describeSeat(personId, currentTemplatesById, current.personNodes),
+      reason
+    });
+  });
+
+  return {
+    templateIdMap,
+    added,
+    removed,
+    changed,
+    rematched,
+    orphaned,
+    droppedPeople,
+    roleDepartments,
+    droppedMoves,
+    managerAssignments,
+    customNodes,
+    carriedCount: Object.keys(managerAssignments).length,
+    remapPersonId: (personId) => remapId(personId).id
+  };
+}
+
+/**
+ * Carry a scenario's role departments over to a new revision
+ * Only roles the scenario moved out of the department the sheet put them in
+ * are kept, so departments changed in the sheet still apply. Templates from
+ * before the sheet department was recorded compare against the new sheet.
+ * @param {Object} scenario - Scenario data ({ departments, roleDepartments })
+ * @param {Array} currentTemplates - Role templates in the store
+ * @param {Array} incomingTemplates - Role templates parsed from the new CSV
+ * @param {Object} templateIdMap - From reconcileImport
+ * @param {Array} incomingDepartments - Departments parsed from the new CSV
+ * @returns {{roleDepartments: Object, droppedMoves: Array}} { templateId: departmentId }
+ *   for the new revision, and the moved roles whose department is gone
+ */
+export function remapRoleDepartments(scenario, currentTemplates, incomingTemplates, templateIdMap, incomingDepartments) {
+  const scenarioDeptById = new Map((scenario.departments || []).map(d => [d.id, d]));
+  const incomingTemplatesById = new Map(incomingTemplates.map(t => [t.id, t]));
+  const incomingDeptByName = new Map(incomingDepartments.map(d => [normalizeName(d.name), d]));
+  const roleDepartments = {};
+  const droppedMoves = [];
+
+  currentTemplates.forEach(template => {
+    const dept = scenarioDeptById.get(scenario.roleDepartments?.[template.id]);
+    const newTemplateId = templateIdMap[template.id];
+    if (!dept || !newTemplateId) return;
+
+    const sheetDepartment = template.metadata?.sheetDepartment ?? incomingTemplatesById.get(newTemplateId).department;
+    if (normalizeName(dept.name) === normalizeName(sheetDepartment)) return;
+
+    const newDept = incomingDeptByName.get(normalizeName(dept.name));
+    if (newDept) {
+      roleDepartments[newTemplateId] = newDept.id;
+    } else {
+      droppedMoves.push({ template, department: dept });
+    }
+  });
+
+  return { roleDepartments, droppedMoves };
+}
+
+/**
+ * Move role templates to the departments in a { templateId: departmentId } map
+ */
+export function applyRoleDepartments(roleTemplates, departments, roleDepartments) {
+  return roleTemplates.map(template => {
+    const dept = departments.find(d => d.id === roleDepartments[template.id]);
+    return dept ? { ...template, department: dept.name, departmentId: dept.id } : template;
+  });
+}
+
+/**
+ * Keep department renames made in the chart on the new revision's departments
+ * @param {Array} incomingDepartments - Departments parsed from the new CSV
+ * @param {Array} currentDepartments - A scenario's current departments
+ * @returns {Array} Incoming departments with the chart's display names
+ */
+export function carryOverDepartmentEdits(incomingDepartments, currentDepartments) {
+  const currentByName = new Map((currentDepartments || []).map(d => [normalizeName(d.name), d]));
+  return incomingDepartments.map(dept => {
+    const current = currentByName.get(normalizeName(dept.name));
+    return current?.displayName && current.displayName !== current.name
+      ? { ...dept, displayName: current.displayName }
+      : dept;
+  });
+}
+
+/**
+ * Describe a headcount change for display, e.g. "Q3 2026: 4 → 6"
+ */
+export function formatHeadcountChange({ period, from, to }) {
+  return `${formatPeriod(period)}: ${from} → ${to}`;
+}
@@ -1,5 +1,49 @@
 import dagre from 'dagre';
 
+const NODE_WIDTH = 220;
+const NODE_HEIGHT = 100;
+const HORIZONTAL_GAP = 20;      // Gap between columns
+const VERTICAL_GAP = 15;        // Gap between stacked reports
+const LEVEL_GAP = 40;           // Gap between hierarchy levels
+
+export const DEFAULT_COLUMN_WRAP = 6;
+
+// Layouts selectable from the chart toolbar
+export const LAYOUT_TYPES = [
+  { id: 'hierarchical', label: 'Top-down (by role)' },
+  { id: 'dagre', label: 'Top-down (dagre)' },
+  { id: 'dagre-lr', label: 'Left-to-right' },
+  { id: 'compact', label: 'Compact' },
+  { id: 'radial', label: 'Radial' }
+];
+
+/**
+ * Build manager → reports lookups for the nodes being laid out
+ * Roots are people without a manager in the set.
+ */
+function buildTree(personNodes) {
+  const nodeMap = new Map(personNodes.map(p => [p.id, p]));
+  const childrenMap = new Map();
+  personNodes.forEach(p => {
+    if (p.managerId && nodeMap.has(p.managerId)) {
+      if (!childrenMap.has(p.managerId)) {
+        childrenMap.set(p.managerId, []);
+      }
+      childrenMap.get(p.managerId).push(p);
+    }
+  });
+
+  const roots = personNodes.filter(p => !p.managerId || !nodeMap.has(p.managerId));
+  return { childrenMap, roots };
+}
+
+/**
+ * Order reports so seats of the same role sit together
+ */
+function sortByRole(children) {
+  return [...children].sort((a, b) => (a.templateId || a.id).localeCompare(b.templateId || b.id));
+}
+
 /**
  * Calculate hierarchical layout for org chart
  * Managers are laid out horizontally, direct reports organized by role in columns
@@ -8,12 +52,6 @@ import dagre from 'dagre';
  * @returns {Object} Object with person IDs as keys and {x, y} positions as values
  */
 export function calculateHierarchicalLayout(personNodes, departments) {
-  const NODE_WIDTH = 220;
-  const NODE_HEIGHT = 100;
-  const HORIZONTAL_GAP = 20;      // Gap between columns
-  const VERTICAL_GAP = 15;        // Gap between stacked reports
-  const LEVEL_GAP = 40;           // Gap between hierarchy levels
-
   const positions = {};
 
   // Build lookup maps
@@ -158,6 +196,258 @@ export function calculateHierarchicalLayout(personNodes, departments) {
   return positions;
 }
 
+/**
+ * Lay out the hierarchy with dagre
+ * @param {Array} personNodes - Array of person node objects
+ * @param {string} direction - 'TB' (top-down) or 'LR' (left-to-right)
+ * @returns {Object} Object with person IDs as keys and {x, y} positions as values
+ */
+export function calculateDagreLayout(personNodes, direction = 'TB') {
+  const graph = new dagre.graphlib.Graph();
+  graph.setGraph({
+    rankdir: direction,
+    nodesep: direction === 'LR' ? VERTICAL_GAP : HORIZONTAL_GAP,
+    ranksep: direction === 'LR' ? LEVEL_GAP * 2 : LEVEL_GAP,
+    marginx: 50,
+    marginy: 50
+  });
+  graph.setDefaultEdgeLabel(() => ({}));
+
+  const ids = new Set(personNodes.map(p => p.id));
+  personNodes.forEach(person => {
+    graph.setNode(person.id, { width: NODE_WIDTH, height: NODE_HEIGHT });
+  });
+  personNodes.forEach(person => {
+    if (person.managerId && ids.has(person.managerId)) {
+      graph.setEdge(person.managerId, person.id);
+    }
+  });
+
+  dagre.layout(graph);
+
+  // Dagre positions are node centers; ReactFlow wants the top-left corner
+  const positions = {};
+  graph.nodes().forEach(id => {
+    const { x, y } = graph.node(id);
+    positions[id] = { x: x - NODE_WIDTH / 2, y: y - NODE_HEIGHT / 2 };
+  });
+  return positions;
+}
+
+/**
+ * Top-down layout that stacks each manager's individual contributors in
+ * columns of at most `columnWrap` cards, beside the reports who manage others
+ * @param {Array} personNodes - Array of person node objects
+ * @param {number} columnWrap - Maximum cards per leaf column
+ * @returns {Object} Object with person IDs as keys and {x, y} positions as values
+ */
+export function calculateCompactLayout(personNodes, columnWrap = DEFAULT_COLUMN_WRAP) {
+  const positions = {};
+  const { childrenMap, roots } = buildTree(personNodes);
+  const wrap = Math.max(1, columnWrap);
+
+  const isManager = (person) => (childrenMap.get(person.id) || []).length > 0;
+  const splitChildren = (nodeId) => {
+    const children = sortByRole(childrenMap.get(nodeId) || []);
+    return { managers: children.filter(isManager), leaves: children.filter(c => !isManager(c)) };
+  };
+  const blockWidth = (count) => {
+    const columns = Math.ceil(count / wrap);
+    return columns > 0 ? columns * NODE_WIDTH + (columns - 1) * HORIZONTAL_GAP : 0;
+  };
+
+  const widths = new Map();
+  const getWidth = (nodeId) => {
+    if (widths.has(nodeId)) return widths.get(nodeId);
+    const { managers, leaves } = splitChildren(nodeId);
+    const parts = [blockWidth(leaves.length), ...managers.map(m => getWidth(m.id))].filter(w => w > 0);
+    const width = Math.max(NODE_WIDTH, parts.reduce((sum, w) => sum + w, 0) + Math.max(0, parts.length - 1) * HORIZONTAL_GAP);
+    widths.set(nodeId, width);
+    return width;
+  };
+
+  const layoutSubtree = (nodeId, startX, startY) => {
+    const width = getWidth(nodeId);
+    positions[nodeId] = { x: startX + (width - NODE_WIDTH) / 2, y: startY };
+
+    const { managers, leaves } = splitChildren(nodeId);
+    const childY = startY + NODE_HEIGHT + LEVEL_GAP;
+    let currentX = startX;
+
+    leaves.forEach((leaf, index) => {
+      positions[leaf.id] = {
+        x: currentX + Math.floor(index / wrap) * (NODE_WIDTH + HORIZONTAL_GAP),
+        y: childY + (index % wrap) * (NODE_HEIGHT + VERTICAL_GAP)
+      };
+    });
+    if (leaves.length > 0) currentX += blockWidth(leaves.length) + HORIZONTAL_GAP;
+
+    managers.forEach(manager => {
+      layoutSubtree(manager.id, currentX, childY);
+      currentX += getWidth(manager.id) + HORIZONTAL_GAP;
+    });
+  };
+
+  let currentX = 50;
+  let currentY = 50;
+
+  // Unassigned people go in a wrapped block at the top, as in the hierarchical layout
+  const unassigned = roots.filter(r => !isManager(r));
+  unassigned.forEach((person, index) => {
+    positions[person.id] = {
+      x: currentX + (index % DEFAULT_COLUMN_WRAP) * (NODE_WIDTH + HORIZONTAL_GAP),
+      y: currentY + Math.floor(index / DEFAULT_COLUMN_WRAP) * (NODE_HEIGHT + VERTICAL_GAP)
+    };
+  });
+  if (unassigned.length > 0) {
+    currentY += Math.ceil(unassigned.length / DEFAULT_COLUMN_WRAP) * (NODE_HEIGHT + VERTICAL_GAP) + LEVEL_GAP;
+  }
+
+  roots.filter(isManager).forEach(root => {
+    layoutSubtree(root.id, currentX, currentY);
+    currentX += getWidth(root.id) + HORIZONTAL_GAP * 2;
+  });
+
+  return positions;
+}
+
+/**
+ * Radial layout: top-level managers in the middle, each level of reports on a
+ * ring further out, with every subtree getting a slice proportional to its size
+ * @param {Array} personNodes - Array of person node objects
+ * @returns {Object} Object with person IDs as keys and {x, y} positions as values
+ */
+export function calculateRadialLayout(personNodes) {
+  const positions = {};
+  const { childrenMap, roots } = buildTree(personNodes);
+  const RING_GAP = NODE_WIDTH + LEVEL_GAP;
+
+  // Leaf count per subtree decides how much of the circle it gets
+  const sizes = new Map();
+  const getSize = (nodeId) => {
+    if (sizes.has(nodeId)) return sizes.get(nodeId);
+    const children = childrenMap.get(nodeId) || [];
+    const size = children.length === 0 ? 1 : children.reduce((sum, c) => sum + getSize(c.id), 0);
+    sizes.set(nodeId, size);
+    return size;
+  };
+
+  // Assign angles depth-first, collecting how many nodes sit on each ring
+  const placements = [];
+  const ringCounts = [];
+  const place = (person, depth, startAngle, sweep) => {
+    placements.push({ id: person.id, depth, angle: startAngle + sweep / 2 });
+    ringCounts[depth] = (ringCounts[depth] || 0) + 1;
+
+    let angle = startAngle;
+    sortByRole(childrenMap.get(person.id) || []).forEach(child => {
+      const childSweep = sweep * (getSize(child.id) / getSize(person.id));
+      place(child, depth + 1, angle, childSweep);
+      angle += childSweep;
+    });
+  };
+
+  // A single root sits in the center; several roots share the first ring
+  const totalSize = roots.reduce((sum, r) => sum + getSize(r.id), 0);
+  const firstDepth = roots.length === 1 ? 0 : 1;
+  let angle = 0;
+  roots.forEach(root => {
+    const sweep = 2 * Math.PI * (getSize(root.id) / totalSize);
+    place(root, firstDepth, angle, sweep);
+    angle += sweep;
+  });
+
+  // Each ring is far enough out that its two closest neighbours don't overlap
+  const radii = [];
+  ringCounts.forEach((count, depth) => {
+    const angles = placements.filter(p => p.depth === depth).map(p => p.angle).sort((a, b) => a - b);
+    let minGap = 2 * Math.PI;
+    angles.forEach((nodeAngle, index) => {
+      const next = index < angles.length - 1 ? angles[index + 1] : angles[0] + 2 * Math.PI;
+      if (angles.length > 1) minGap = Math.min(minGap, next - nodeAngle);
+    });
+    const fitRadius = (NODE_WIDTH + HORIZONTAL_GAP) / (2 * Math.sin(Math.min(minGap, Math.PI) / 2));
+    const previous = depth > 0 ? (radii[depth - 1] || 0) : -RING_GAP;
+    radii[depth] = depth === 0 ? 0 : Math.max(previous + RING_GAP, fitRadius);
+  });
+
+  placements.forEach(({ id, depth, angle: nodeAngle }) => {
+    positions[id] = {
+      x: radii[depth] * Math.cos(nodeAngle) - NODE_WIDTH / 2,
+      y: radii[depth] * Math.sin(nodeAngle) - NODE_HEIGHT / 2
+    };
+  });
+
+  return positions;
+}
+
+/**
+ * Background regions for department swimlanes
+ * People in a department who are connected through reporting lines within that
+ * department share a region, so someone reporting across departments gets a
+ * region of their own and the dashed cross-department line stands out.
+ * @param {Array} personNodes - Visible person nodes
+ * @param {Object} positions - { personId: {x, y} } from the layout
+ * @returns {Array<{id: string, departmentId: string, x: number, y: number, width: number, height: number, headcount: number}>}
+ */
+export function calculateDepartmentRegions(personNodes, positions) {
+  const PADDING = 16;
+  const LABEL_HEIGHT = 28;
+
+  // Union people with their manager when both are in the same department
+  const parent = new Map(personNodes.map(p => [p.id, p.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const nodeMap = new Map(personNodes.map(p => [p.id, p]));
+  personNodes.forEach(person => {
+    const manager = nodeMap.get(person.managerId);
+    if (manager && manager.departmentId === person.departmentId) {
+      parent.set(find(person.id), find(manager.id));
+    }
+  });
+
+  // Unassigned people of a department are grouped together
+  const unassignedRoots = new Map();
+  personNodes.forEach(person => {
+    const root = find(person.id);
+    const isAlone = !person.managerId && !personNodes.some(p => p.managerId === person.id);
+    if (!isAlone) return;
+    if (!unassignedRoots.has(person.departmentId)) unassignedRoots.set(person.departmentId, root);
+    parent.set(root, unassignedRoots.get(person.departmentId));
+  });
+
+  const clusters = new Map();
+  personNodes.forEach(person => {
+    const position = positions[person.id];
+    if (!position) return;
+    const root = find(person.id);
+    if (!clusters.has(root)) clusters.set(root, { departmentId: person.departmentId, people: [] });
+    clusters.get(root).people.push(position);
+  });
+
+  return Array.from(clusters.entries()).map(([root, { departmentId, people }]) => {
+    const minX = Math.min(...people.map(p => p.x));
+    const minY = Math.min(...people.map(p => p.y));
+    const maxX = Math.max(...people.map(p => p.x)) + NODE_WIDTH;
+    const maxY = Math.max(...people.map(p => p.y)) + NODE_HEIGHT;
+
+    return {
+      id: `region-${root}`,
+      departmentId,
+      x: minX - PADDING,
+      y: minY - PADDING - LABEL_HEIGHT,
+      width: maxX - minX + PADDING * 2,
+      height: maxY - minY + PADDING * 2 + LABEL_HEIGHT,
+      headcount: people.length
+    };
+  });
+}
+
 /**
  * Calculate simple grid layout for nodes without hierarchy
  * @param {Array} personNodes - Array of person node objects
@@ -200,18 +490,31 @@ export function calculateGridLayout(personNodes, departments) {
 
 /**
  * Calculate layout positions for all person nodes
- * Uses hierarchical layout if manager relationships exist, otherwise grid layout
+ * Uses the chosen layout if manager relationships exist, otherwise grid layout
  * @param {Array} personNodes - Array of person node objects
  * @param {Array} departments - Array of department objects
+ * @param {string} layoutType - One of LAYOUT_TYPES
+ * @param {Object} options - { columnWrap } for the compact layout
  * @returns {Object} Object with person IDs as keys and {x, y} positions as values
  */
-export function calculateLayout(personNodes, departments) {
+export function calculateLayout(personNodes, departments, layoutType = 'hierarchical', options = {}) {
   // Check if any person has a manager assigned
   const hasHierarchy = personNodes.some(p => p.managerId !== null);
 
-  if (hasHierarchy) {
-    return calculateHierarchicalLayout(personNodes, departments);
-  } else {
+  if (!hasHierarchy) {
     return calculateGridLayout(personNodes, departments);
   }
+
+  switch (layoutType) {
+    case 'dagre':
+      return calculateDagreLayout(personNodes, 'TB');
+    case 'dagre-lr':
+      return calculateDagreLayout(personNodes, 'LR');
+    case 'compact':
+      return calculateCompactLayout(personNodes, options.columnWrap);
+    case 'radial':
+      return calculateRadialLayout(personNodes);
+    default:
+      return calculateHierarchicalLayout(personNodes, departments);
+  }
 }
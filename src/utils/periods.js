@@ -0,0 +1,159 @@
+/**
+ * Helpers for planning periods ("2026-Q1", "2027-Q4", ...)
+ * Period IDs sort chronologically as plain strings.
+ *
+ * Besides single periods, the selected view can be a whole year ("2026-FY")
+ * or 'Full Year', which covers every period on the timeline.
+ */
+
+export const QUARTER_KEYS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+// Year that data exported before multi-year support was planned against
+export const LEGACY_YEAR = '2026';
+
+export const DEFAULT_PERIOD = `${LEGACY_YEAR}-Q4`;
+
+// View covering the whole timeline
+export const ALL_PERIODS_VIEW = 'Full Year';
+
+const YEAR_VIEW_SUFFIX = 'FY';
+
+/**
+ * Build a period ID from a year and quarter
+ * @param {string|number} year - e.g. 2026
+ * @param {string} quarter - 'Q1'..'Q4'
+ * @returns {string} Period ID, e.g. '2026-Q1'
+ */
+export function makePeriod(year, quarter) {
+  return `${year}-${quarter}`;
+}
+
+/**
+ * Split a period ID into its year and quarter
+ * @param {string} period - Period ID
+ * @returns {{year: string, quarter: string}}
+ */
+export function parsePeriod(period) {
+  const [year, quarter] = String(period).split('-');
+  return { year, quarter };
+}
+
+/**
+ * Build the view ID for a whole year
+ * @param {string|number} year - e.g. 2026
+ * @returns {string} e.g. '2026-FY'
+ */
+export function makeYearView(year) {
+  return makePeriod(year, YEAR_VIEW_SUFFIX);
+}
+
+/**
+ * Check whether a view covers more than one period (a year or the whole timeline)
+ * @param {string} view - Selected view
+ * @returns {boolean}
+ */
+export function isAggregateView(view) {
+  return view === ALL_PERIODS_VIEW || parsePeriod(view).quarter === YEAR_VIEW_SUFFIX;
+}
+
+/**
+ * Get the periods a view covers
+ * @param {string} view - Period ID, year view or 'Full Year'
+ * @param {Array<string>} timeline - Sorted period IDs
+ * @returns {Array<string>} Periods on the timeline covered by the view
+ */
+export function getViewPeriods(view, timeline) {
+  if (view === ALL_PERIODS_VIEW) return timeline;
+  const { year, quarter } = parsePeriod(view);
+  if (quarter === YEAR_VIEW_SUFFIX) return timeline.filter(period => parsePeriod(period).year === year);
+  return timeline.includes(view) ? [view] : [];
+}
+
+/**
+ * Human readable label for a period or view
+ * @param {string} period - Period ID or view
+ * @returns {string} e.g. 'Q1 2026', 'FY 2026', 'All Years'
+ */
+export function formatPeriod(period) {
+  if (period === ALL_PERIODS_VIEW) return 'All Years';
+  if (!period || !period.includes('-')) return period || '';
+  const { year, quarter } = parsePeriod(period);
+  return `${quarter} ${year}`;
+}
+
+/**
+ * Compare two period IDs chronologically
+ */
+export function comparePeriods(a, b) {
+  return a.localeCompare(b);
+}
+
+/**
+ * Convert a legacy quarter key ('Q1') to a period ID; period IDs pass through
+ * @param {string} key - Quarter key or period ID
+ * @returns {string} Period ID
+ */
+export function toPeriod(key) {
+  return QUARTER_KEYS.includes(key) ? makePeriod(LEGACY_YEAR, key) : key;
+}
+
+/**
+ * Get the ordered list of periods covered by the role templates
+ * @param {Array} roleTemplates - Array of role template objects
+ * @returns {Array<string>} Sorted period IDs
+ */
+export function getPeriodTimeline(roleTemplates) {
+  const periods = new Set();
+  roleTemplates.forEach(template => {
+    Object.keys(template.quarters || {}).forEach(period => periods.add(period));
+  });
+  return Array.from(periods).sort(comparePeriods);
+}
+
+/**
+ * Group an ordered timeline by year
+ * @param {Array<string>} timeline - Sorted period IDs
+ * @returns {Array<{year: string, periods: Array<string>}>}
+ */
+export function groupPeriodsByYear(timeline) {
+  const groups = [];
+  timeline.forEach(period => {
+    const { year } = parsePeriod(period);
+    let group = groups[groups.length - 1];
+    if (!group || group.year !== year) {
+      group = { year, periods: [] };
+      groups.push(group);
+    }
+    group.periods.push(period);
+  });
+  return groups;
+}
+
+/**
+ * Upgrade role templates and person nodes saved with Q1..Q4 keys to period IDs
+ * @param {Object} data - Object with roleTemplates, personNodes, selectedQuarter
+ * @returns {Object} Same shape with period IDs
+ */
+export function migrateLegacyPeriods(data) {
+  const roleTemplates = (data.roleTemplates || []).map(template => ({
+    ...template,
+    quarters: Object.fromEntries(
+      Object.entries(template.quarters || {}).map(([key, count]) => [toPeriod(key), count])
+    )
+  }));
+
+  const personNodes = (data.personNodes || []).map(node => ({
+    ...node,
+    activeInQuarters: (node.activeInQuarters || []).map(toPeriod),
+    startQuarter: node.startQuarter ? toPeriod(node.startQuarter) : node.startQuarter
+  }));
+
+  return {
+    ...data,
+    roleTemplates,
+    personNodes,
+    selectedQuarter: data.selectedQuarter === ALL_PERIODS_VIEW
+      ? data.selectedQuarter
+      : toPeriod(data.selectedQuarter || DEFAULT_PERIOD)
+  };
+}
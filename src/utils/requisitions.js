@@ -0,0 +1,81 @@
+/**
+ * Requisitions for unfilled seats
+ * A requisition is { stage, targetQuarter } keyed by seat ID, like seatPeople;
+ * the hiring manager is whoever the seat reports to in the active scenario.
+ */
+
+import { getPeriodTimeline } from './periods';
+import { describeSeat } from './importMerge';
+
+export const REQUISITION_STAGES = [
+  { id: 'planned', label: 'Planned' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'posted', label: 'Posted' },
+  { id: 'interviewing', label: 'Interviewing' },
+  { id: 'offer', label: 'Offer' },
+  { id: 'filled', label: 'Filled' }
+];
+
+/**
+ * Label for a requisition stage, e.g. 'Interviewing'
+ */
+export function getStageLabel(stage) {
+  return REQUISITION_STAGES.find(s => s.id === stage)?.label || stage;
+}
+
+/**
+ * Template seats that aren't filled yet as of a period and have no requisition
+ * @param {Array} roleTemplates - Role templates
+ * @param {Object} seatPeople - { personId: record }
+ * @param {Object} requisitions - { personId: requisition }
+ * @param {string} period - Period the plan is viewed as of
+ * @returns {Array<{personId: string, targetQuarter: string}>} Seats with the period they're first filled
+ */
+export function getUntrackedFutureSeats(roleTemplates, seatPeople, requisitions, period) {
+  const timeline = getPeriodTimeline(roleTemplates);
+  const periodIndex = timeline.indexOf(period);
+  const seats = [];
+
+  roleTemplates.forEach(template => {
+    const seatCount = Math.max(0, ...timeline.map(p => template.quarters[p] || 0));
+    for (let i = 0; i < seatCount; i++) {
+      const personId = `${template.id}-person-${i}`;
+      if (requisitions[personId] || seatPeople[personId]?.status === 'filled') continue;
+
+      const targetQuarter = timeline.find(p => (template.quarters[p] || 0) > i);
+      if (timeline.indexOf(targetQuarter) > periodIndex) {
+        seats.push({ personId, targetQuarter });
+      }
+    }
+  });
+
+  return seats;
+}
+
+/**
+ * Build pipeline cards for every requisition
+ * @param {Object} state - { requisitions, roleTemplates, departments, managerAssignments, seatPeople, personNodes }
+ * @returns {Array} Cards: { personId, seatName, stage, targetQuarter, department,
+ *   hiringManagerId, hiringManagerName, candidate }
+ */
+export function buildPipeline({ requisitions, roleTemplates, departments, managerAssignments, seatPeople, personNodes }) {
+  const templatesById = new Map(roleTemplates.map(t => [t.id, t]));
+  const customNodes = personNodes.filter(p => p.isCustom);
+
+  return Object.entries(requisitions).map(([personId, requisition]) => {
+    const templateId = personId.replace(/-person-\d+$/, '');
+    const departmentId = templatesById.get(templateId)?.departmentId
+      || customNodes.find(n => n.id === personId)?.departmentId;
+    const hiringManagerId = managerAssignments[personId] || null;
+
+    return {
+      personId,
+      seatName: describeSeat(personId, templatesById, customNodes),
+      ...requisition,
+      department: departments.find(d => d.id === departmentId) || null,
+      hiringManagerId,
+      hiringManagerName: hiringManagerId ? describeSeat(hiringManagerId, templatesById, customNodes) : null,
+      candidate: seatPeople[personId] || null
+    };
+  });
+}
@@ -1,12 +1,14 @@
+import { getPeriodTimeline, getViewPeriods, isAggregateView, groupPeriodsByYear, makeYearView, ALL_PERIODS_VIEW } from './periods';
+
 /**
- * Determine the first quarter a role starts (has headcount > 0)
- * @param {Object} quarters - Object with Q1, Q2, Q3, Q4 counts
- * @returns {string} The start quarter ('Q1', 'Q2', 'Q3', 'Q4') or null
+ * Determine the first period a role starts (has headcount > 0)
+ * @param {Object} quarters - Object with period ID -> headcount
+ * @param {Array<string>} timeline - Ordered period IDs (defaults to the keys of quarters)
+ * @returns {string} The start period (e.g. '2026-Q3') or null
  */
-function getStartQuarter(quarters) {
-  const quarterOrder = ['Q1', 'Q2', 'Q3', 'Q4'];
-  for (const q of quarterOrder) {
-    if (quarters[q] > 0) return q;
+export function getStartQuarter(quarters, timeline = getPeriodTimeline([{ quarters }])) {
+  for (const period of timeline) {
+    if (quarters[period] > 0) return period;
   }
   return null;
 }
@@ -14,65 +16,60 @@ function getStartQuarter(quarters) {
 /**
  * Expand role templates into individual person nodes based on headcount
  * @param {Array} roleTemplates - Array of role template objects
- * @param {string} quarter - Quarter to expand for ('Q1', 'Q2', 'Q3', 'Q4', or 'Full Year')
+ * @param {string} quarter - Period to expand for (e.g. '2026-Q1'), a year view ('2026-FY') or 'Full Year'
  * @param {Array} existingManagerIds - Optional array of manager IDs that need placeholders
  * @returns {Array} Array of person node objects
  */
 export function expandRoleTemplates(roleTemplates, quarter, existingManagerIds = []) {
   const personNodes = [];
   const createdIds = new Set();
+  const timeline = getPeriodTimeline(roleTemplates);
+  const currentQIdx = timeline.indexOf(quarter);
+  const isAggregate = isAggregateView(quarter);
+  const viewPeriods = getViewPeriods(quarter, timeline);
 
   roleTemplates.forEach(template => {
     let headcount;
 
-    // Determine headcount for selected quarter
-    if (quarter === 'Full Year') {
-      // For full year, use the maximum headcount across all quarters
-      headcount = Math.max(
-        template.quarters.Q1,
-        template.quarters.Q2,
-        template.quarters.Q3,
-        template.quarters.Q4
-      );
+    // Determine headcount for selected period
+    if (isAggregate) {
+      // For a year or all years, use the maximum headcount across the covered periods
+      headcount = Math.max(0, ...viewPeriods.map(period => template.quarters[period] || 0));
     } else {
       headcount = template.quarters[quarter] || 0;
     }
 
-    // Determine which quarters this person is active in (for Full Year view)
-    const activeInQuarters = [];
-    Object.entries(template.quarters).forEach(([q, count]) => {
-      if (count > 0) activeInQuarters.push(q);
-    });
+    // Determine which periods this person is active in (for Full Year view)
+    const activeInQuarters = timeline.filter(period => template.quarters[period] > 0);
 
-    // Calculate start quarter for this role
-    const startQuarter = getStartQuarter(template.quarters);
+    // Calculate start period for this role
+    const startQuarter = getStartQuarter(template.quarters, timeline);
 
-    // Check if this role is "future" (not yet active in current quarter)
-    const quarterOrder = ['Q1', 'Q2', 'Q3', 'Q4'];
-    const currentQIdx = quarterOrder.indexOf(quarter);
-    const startQIdx = quarterOrder.indexOf(startQuarter);
-    const isFutureRole = quarter !== 'Full Year' && startQIdx > currentQIdx;
+    // Check if this role is "future" (not yet active in current period)
+    const startQIdx = timeline.indexOf(startQuarter);
+    const isFutureRole = !isAggregate && startQIdx > currentQIdx;
 
-    // Skip if no headcount for this quarter AND not needed as a manager placeholder
+    // Skip if no headcount for this period AND not needed as a manager placeholder
     if (headcount === 0) {
       // Check if any instance of this template is needed as a manager
       const neededAsManager = existingManagerIds.some(id => id && id.startsWith(template.id));
       if (!neededAsManager) return;
 
-      // Create placeholder for future manager (use Q4 headcount as guide)
-      headcount = Math.max(1, template.quarters.Q4 || 1);
+      // Create placeholder for future manager (use the last period's headcount as guide)
+      headcount = Math.max(1, template.quarters[timeline[timeline.length - 1]] || 1);
     }
-
     // Create individual person nodes
     for (let i = 0; i < headcount; i++) {
       const nodeId = `${template.id}-person-${i}`;
 
       // Check if this specific node is needed as a manager placeholder
       const isNeededAsManager = existingManagerIds.includes(nodeId);
-      const isCurrentlyActive = template.quarters[quarter] > i;
+      const isCurrentlyActive = isAggregate
+        ? viewPeriods.some(period => template.quarters[period] > i)
+        : template.quarters[quarter] > i;
 
       // Skip if not active and not needed as manager
-      if (!isCurrentlyActive && !isNeededAsManager && quarter !== 'Full Year') continue;
+      if (!isCurrentlyActive && !isNeededAsManager) continue;
 
       const personNode = {
         id: nodeId,
@@ -84,6 +81,7 @@ export function expandRoleTemplates(roleTemplates, quarter, existingManagerIds =
         managerId: null, // Will be set through UI
         position: { x: 0, y: 0 }, // Will be calculated by layout engine
         activeInQuarters,
+        filledInQuarters: timeline.filter(period => template.quarters[period] > i), // This seat specifically
         startQuarter,
         isFutureRole: !isCurrentlyActive && isNeededAsManager,
         metadata: {
@@ -104,28 +102,29 @@ export function expandRoleTemplates(roleTemplates, quarter, existingManagerIds =
 }
 
 /**
- * Get the maximum number of person nodes across all quarters
+ * Get the total number of person nodes for every period and view
  * @param {Array} roleTemplates - Array of role template objects
- * @returns {Object} Object with quarter keys and total person counts
+ * @returns {Object} Object with period/view keys and total person counts
  */
 export function getPersonCountsByQuarter(roleTemplates) {
-  const counts = {
-    Q1: 0,
-    Q2: 0,
-    Q3: 0,
-    Q4: 0,
-    'Full Year': 0
-  };
+  const timeline = getPeriodTimeline(roleTemplates);
+  const counts = Object.fromEntries(timeline.map(period => [period, 0]));
 
   roleTemplates.forEach(template => {
-    counts.Q1 += template.quarters.Q1;
-    counts.Q2 += template.quarters.Q2;
-    counts.Q3 += template.quarters.Q3;
-    counts.Q4 += template.quarters.Q4;
+    timeline.forEach(period => {
+      counts[period] += template.quarters[period] || 0;
+    });
   });
 
-  // Full Year is the max headcount needed
-  counts['Full Year'] = Math.max(counts.Q1, counts.Q2, counts.Q3, counts.Q4);
+  // Year and all-years views show every seat filled at some point, i.e. the max per role
+  const maxSeats = (periods) => roleTemplates.reduce(
+    (sum, template) => sum + Math.max(0, ...periods.map(period => template.quarters[period] || 0)),
+    0
+  );
+  groupPeriodsByYear(timeline).forEach(({ year, periods }) => {
+    counts[makeYearView(year)] = maxSeats(periods);
+  });
+  counts[ALL_PERIODS_VIEW] = maxSeats(timeline);
 
   return counts;
 }
@@ -195,6 +194,30 @@ export function getDirectReports(personId, allPersonNodes) {
   return allPersonNodes.filter(node => node.managerId === personId);
 }
 
+/**
+ * Get everyone below a person node, at any depth
+ * @param {string} personId - ID of the person node
+ * @param {Array} allPersonNodes - All person nodes
+ * @returns {Array} Array of person nodes in the person's reporting tree, excluding them
+ */
+export function getAllReports(personId, allPersonNodes) {
+  const reports = [];
+  const seen = new Set([personId]);
+  const queue = [personId];
+
+  while (queue.length > 0) {
+    const managerId = queue.shift();
+    getDirectReports(managerId, allPersonNodes).forEach(node => {
+      if (seen.has(node.id)) return;
+      seen.add(node.id);
+      reports.push(node);
+      queue.push(node.id);
+    });
+  }
+
+  return reports;
+}
+
 /**
  * Get the manager chain for a person node (all managers up the hierarchy)
  * @param {string} personId - ID of the person node
@@ -217,3 +240,21 @@ export function getManagerChain(personId, allPersonNodes) {
 
   return chain;
 }
+
+/**
+ * Classify how a seat changes in a period compared with the period before
+ * @param {Array<string>} filledInQuarters - Periods the seat is filled
+ * @param {string} period - Period to check
+ * @param {Array<string>} timeline - Sorted period IDs
+ * @returns {string|null} 'added', 'removed' or null
+ */
+export function getSeatChange(filledInQuarters, period, timeline) {
+  const index = timeline.indexOf(period);
+  if (index <= 0) return null;
+
+  const filledNow = filledInQuarters.includes(period);
+  const filledBefore = filledInQuarters.includes(timeline[index - 1]);
+  if (filledNow && !filledBefore) return 'added';
+  if (!filledNow && filledBefore) return 'removed';
+  return null;
+}
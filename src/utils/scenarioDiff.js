@@ -0,0 +1,206 @@
+/**
+ * Compares two org chart states (scenarios or exported JSON snapshots)
+ * Each state is { roleTemplates, departments, managerAssignments, customNodes }.
+ */
+
+import { matchRoleTemplates, reconcileImport, describeSeat } from './importMerge';
+import { migrateLegacyPeriods } from './periods';
+
+/**
+ * Reporting lines saved in an export
+ * Newer exports carry the canonical map, and exports with scenarios carry it on
+ * the active scenario; older files only have the selected period's person
+ * nodes, so seats outside that period have no manager.
+ * @param {Object} data - Parsed export
+ * @returns {Object} { personId: managerId }
+ */
+export function getExportManagerAssignments(data) {
+  if (data.managerAssignments && typeof data.managerAssignments === 'object') {
+    return data.managerAssignments;
+  }
+
+  const activeScenario = Array.isArray(data.scenarios)
+    && data.scenarios.find(s => s.id === data.activeScenarioId);
+  if (activeScenario?.managerAssignments) {
+    return activeScenario.managerAssignments;
+  }
+
+  const managerAssignments = {};
+  data.personNodes.forEach(node => {
+    if (node.managerId) {
+      managerAssignments[node.id] = node.managerId;
+    }
+  });
+  return managerAssignments;
+}
+
+/**
+ * Build a comparable state from a JSON file written by exportToJSON
+ * Exports with scenarios are compared using their active scenario.
+ * @param {Object} jsonData - Parsed export
+ * @returns {Object} State for diffOrgStates
+ */
+export function snapshotFromExport(jsonData) {
+  if (!Array.isArray(jsonData?.roleTemplates) || !Array.isArray(jsonData?.personNodes)) {
+    throw new Error('Not an org chart export');
+  }
+
+  const data = migrateLegacyPeriods(jsonData);
+  const managerAssignments = getExportManagerAssignments(data);
+
+  return {
+    roleTemplates: data.roleTemplates,
+    departments: data.departments || [],
+    managerAssignments,
+    customNodes: data.personNodes.filter(p => p.isCustom)
+  };
+}
+
+/**
+ * Compare two org chart states
+ * IDs in the result are in the compare state's ID space; base seats are
+ * remapped by role name so snapshots from different CSV revisions line up.
+ * @param {Object} base - State to compare against
+ * @param {Object} compare - State being reviewed (usually the current chart)
+ * @returns {{managerChanges: Array, addedRoles: Array, removedRoles: Array, departmentChanges: Array, roleMoves: Array}}
+ */
+export function diffOrgStates(base, compare) {
+  const baseTemplatesById = new Map(base.roleTemplates.map(t => [t.id, t]));
+  const compareTemplatesById = new Map(compare.roleTemplates.map(t => [t.id, t]));
+
+  // Same template ID and name means the same role, even if it moved department;
+  // anything else is matched by name as for a CSV re-import
+  const sameIds = base.roleTemplates
+    .filter(t => compareTemplatesById.get(t.id)?.cleanName === t.cleanName)
+    .map(t => t.id);
+  const sameIdSet = new Set(sameIds);
+  const matched = matchRoleTemplates(
+    base.roleTemplates.filter(t => !sameIdSet.has(t.id)),
+    compare.roleTemplates.filter(t => !sameIdSet.has(t.id))
+  );
+  const templateIdMap = { ...Object.fromEntries(sameIds.map(id => [id, id])), ...matched.templateIdMap };
+  const { added, removed } = matched;
+
+  // Translate base seat IDs into the compare state's IDs
+  const { remapPersonId } = reconcileImport(
+    { roleTemplates: base.roleTemplates, personNodes: base.customNodes, managerAssignments: {} },
+    { roleTemplates: compare.roleTemplates, departments: compare.departments }
+  );
+  const baseAssignments = {};
+  Object.entries(base.managerAssignments).forEach(([personId, managerId]) => {
+    const id = remapPersonId(personId) || personId;
+    baseAssignments[id] = remapPersonId(managerId) || managerId;
+  });
+
+  // Seats only in the base state are named from the base templates
+  const nameOf = (id) => {
+    const name = describeSeat(id, compareTemplatesById, compare.customNodes);
+    return name !== id ? name : describeSeat(id, baseTemplatesById, base.customNodes);
+  };
+
+  const managerChanges = [];
+  const personIds = new Set([...Object.keys(baseAssignments), ...Object.keys(compare.managerAssignments)]);
+  personIds.forEach(personId => {
+    const from = baseAssignments[personId] || null;
+    const to = compare.managerAssignments[personId] || null;
+    if (from === to) return;
+
+    managerChanges.push({
+      personId,
+      personName: nameOf(personId),
+      from,
+      fromName: from ? nameOf(from) : null,
+      to,
+      toName: to ? nameOf(to) : null
+    });
+  });
+
+  const baseCustomIds = new Set(base.customNodes.map(n => n.id));
+  const compareCustomIds = new Set(compare.customNodes.map(n => n.id));
+
+  const addedRoles = [
+    ...added.map(t => ({ id: t.id, name: t.cleanName, department: t.department, isCustom: false })),
+    ...compare.customNodes
+      .filter(n => !baseCustomIds.has(n.id))
+      .map(n => ({ id: n.id, name: n.displayName, department: n.department, isCustom: true }))
+  ];
+
+  const removedRoles = [
+    ...removed.map(t => ({ id: t.id, name: t.cleanName, department: t.department, isCustom: false })),
+    ...base.customNodes
+      .filter(n => !compareCustomIds.has(n.id))
+      .map(n => ({ id: n.id, name: n.displayName, department: n.department, isCustom: true }))
+  ];
+
+  // Roles whose department differs between the two states
+  const roleMoves = [];
+  Object.entries(templateIdMap).forEach(([baseId, compareId]) => {
+    const before = baseTemplatesById.get(baseId);
+    const after = compareTemplatesById.get(compareId);
+    if (before.department !== after.department) {
+      roleMoves.push({ templateId: compareId, name: after.cleanName, from: before.department, to: after.department });
+    }
+  });
+
+  const departmentChanges = [];
+  compare.departments.forEach(dept => {
+    const before = base.departments.find(d => d.name === dept.name);
+    if (!before) {
+      departmentChanges.push({ departmentId: dept.id, name: dept.displayName, changes: ['Added'] });
+      return;
+    }
+
+    const changes = [];
+    if (before.displayName !== dept.displayName) changes.push(`Renamed from "${before.displayName}"`);
+    if (before.color !== dept.color) changes.push('Color changed');
+    if (changes.length > 0) {
+      departmentChanges.push({ departmentId: dept.id, name: dept.displayName, changes });
+    }
+  });
+  base.departments
+    .filter(before => !compare.departments.some(d => d.name === before.name))
+    .forEach(before => {
+      departmentChanges.push({ departmentId: null, name: before.displayName, changes: ['Removed'] });
+    });
+
+  return { managerChanges, addedRoles, removedRoles, departmentChanges, roleMoves };
+}
+
+/**
+ * Index a diff for highlighting the compare state's people on the canvas
+ * @param {Object} diff - Result of diffOrgStates
+ * @returns {{personStatus: Object, templateStatus: Object}} Status by person ID
+ *   and by role template ID (applies to every seat of the role)
+ */
+export function getDiffHighlights(diff) {
+  const personStatus = {};
+  const templateStatus = {};
+
+  diff.roleMoves.forEach(move => {
+    templateStatus[move.templateId] = 'moved';
+  });
+  diff.managerChanges.forEach(change => {
+    personStatus[change.personId] = 'manager-changed';
+  });
+  diff.addedRoles.forEach(role => {
+    if (role.isCustom) {
+      personStatus[role.id] = 'added';
+    } else {
+      templateStatus[role.id] = 'added';
+    }
+  });
+
+  return { personStatus, templateStatus };
+}
+
+/**
+ * Highlight status of a person node
+ * @param {Object} person - Person node
+ * @param {Object} highlights - Result of getDiffHighlights
+ * @returns {string|null} 'added' | 'manager-changed' | 'moved' | null
+ */
+export function getPersonDiffStatus(person, highlights) {
+  const templateStatus = person.templateId ? highlights.templateStatus[person.templateId] : null;
+  if (templateStatus === 'added') return templateStatus;
+  return highlights.personStatus[person.id] || templateStatus || null;
+}
@@ -0,0 +1,49 @@
+/**
+ * Person records attached to seats ("role-X-person-N" or custom role IDs)
+ * A record is { name, email, status, startDate }; seats without one are anonymous.
+ */
+
+export const SEAT_STATUSES = [
+  { id: 'filled', label: 'Filled' },
+  { id: 'open', label: 'Open req' },
+  { id: 'offer', label: 'Offer out' },
+  { id: 'backfill', label: 'Backfill' }
+];
+
+/**
+ * Label for a seat status, e.g. 'Offer out'
+ */
+export function getSeatStatusLabel(status) {
+  return SEAT_STATUSES.find(s => s.id === status)?.label || status;
+}
+
+/**
+ * Clean up a person record from a form
+ * @param {Object} record - { name, email, status, startDate }
+ * @returns {Object|null} Normalized record, or null when the record is invalid
+ */
+export function normalizeSeatPerson(record) {
+  const status = record?.status || 'filled';
+  if (!SEAT_STATUSES.some(s => s.id === status)) return null;
+
+  const name = (record.name || '').trim();
+  // Open reqs and backfills may not have a name yet
+  if (!name && (status === 'filled' || status === 'offer')) return null;
+
+  return {
+    name,
+    email: (record.email || '').trim(),
+    status,
+    startDate: record.startDate || ''
+  };
+}
+
+/**
+ * Check whether a seat's person record matches a search term
+ * @param {Object|undefined} record - Person record
+ * @param {string} term - Lowercased search term
+ */
+export function matchesSeatPerson(record, term) {
+  if (!record || !term) return false;
+  return record.name.toLowerCase().includes(term) || record.email.toLowerCase().includes(term);
+}
@@ -0,0 +1,55 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Reads Excel workbooks into the same row arrays Papa Parse produces for CSV,
+ * so they can go through detectCSVMapping/processCSVData unchanged
+ */
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm', '.xls'];
+
+/**
+ * Check whether a file should be read as an Excel workbook
+ * Browsers report inconsistent MIME types for spreadsheets, so go by extension
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export function isWorkbookFile(file) {
+  const name = (file?.name || '').toLowerCase();
+  return WORKBOOK_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+/**
+ * Read a workbook file
+ * @param {File} file - .xlsx file
+ * @returns {Promise<Object>} SheetJS workbook
+ */
+export async function readWorkbook(file) {
+  const data = await file.arrayBuffer();
+  return XLSX.read(data, { type: 'array' });
+}
+
+/**
+ * Get the rows of one sheet as arrays of display strings
+ * Cells come back as formatted in Excel ("$2,154,286") and formulas as their
+ * cached values, matching what a CSV export of the tab would contain.
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Sheet to read
+ * @returns {Array<Array<string>>} Rows, with row 1 of the sheet at index 0
+ */
+export function getSheetRows(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) return [];
+
+  // Start from A1 so row numbers and column indexes match the sheet
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  range.s.r = 0;
+  range.s.c = 0;
+
+  return XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: false,
+    defval: '',
+    blankrows: true,
+    range
+  });
+}
@@ -3,4 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Commands go through the API server (`npm start`) so the key stays server-side
+    proxy: {
+      '/api': `http://localhost:${process.env.API_PORT || 3000}`
+    }
+  },
 })